@@ -3,7 +3,7 @@
  * 
  * This file handles:
  * 1. Data loading (Auto-load, Manual folder select, n8n API)
- * 2. Data processing (n8n workflow JSON parsing to nodes/links)
+ * 2. Data processing (parsing and analysis delegated to stack_graph.js)
  * 3. Graph visualization (D3.js force simulation)
  * 4. UI interactions (Filtering, Highlighting, Exporting)
  */
@@ -15,6 +15,11 @@ let graphData = { nodes: [], links: [] };
 let simulation;
 let svg, g;
 let selectedTool = null;
+let currentData = null; // Last dataset passed to processWorkflows (stack_data or workflow list)
+let graphWorkflows = new Map(); // Graph node ID -> n8n workflow object, from buildGraph()
+let diffState = null;   // Active snapshot comparison, see compareWithSnapshot()
+let policyState = { rules: null, label: null, error: null, violations: [], badges: new Map() }; // see loadPolicyRules()
+let catalogState = { entries: null, label: null, error: null, nodes: new Map(), ownerColors: new Map() }; // see loadCatalog()
 
 /* GitHub Configuration */
 const GITHUB_CONFIG = {
@@ -23,30 +28,34 @@ const GITHUB_CONFIG = {
     workflow: 'n8n-visualizer.yml'
 };
 
+// Parsing, grouping, impact analysis and exports live in stack_graph.js (shared with the Node CLI)
+const {
+    colorMap, groupLabels, getGroup, ACCESS_MODES, registerExtractor, registerHost, buildGraph, mergeLocalData,
+    groupGraph, groupNodeId, listEnvironments, computeEnvironmentDrift, buildDriftReport, parseQuery, evaluateQuery, expandNeighbors, diffGraphs, diffLinkKey,
+    describeTriggers, workflowFlow, computeSchedule, buildScheduleReport, computeHygiene, hygieneRows, buildHygieneReport, computeCredentialUsage, buildRotationReport,
+    parsePolicyRules, evaluatePolicies, describeViolation, parseCatalog, resolveCatalog, notifyList, describeOwnership, toExportGraph, toMermaid, toDot, toGraphML, toCsv, toGraphJson, buildMarkdownReport
+} = StackGraph;
+
 // Grouping State: Controls if entities of a certain type are collapsed into a single group node.
 // Default is false (collapsed) for a cleaner initial view.
-let groupState = {
-    workflow: false,
-    supabase: false,
-    notion: false,
-    bigquery: false,
-    microsoft: false,
-    google: false,
-    openai: false,
-    other: false
-};
+let groupState = {};
 
-// Color scheme for different entity types
-const colorMap = {
-    workflow: '#f85149',
-    supabase: '#3ecf8e',
-    notion: '#a371f7',
-    bigquery: '#4285f4',
-    microsoft: '#f9ba48',
-    google: '#ff00ff',
-    openai: '#ffffff',
-    other: '#8b949e'
-};
+/**
+ * Adds groups registered in StackGraph (built-ins, visualizer_config.json extractors) to groupState
+ */
+function syncGroupState() {
+    StackGraph.groupKeys.forEach(key => {
+        if (!(key in groupState)) groupState[key] = false;
+    });
+}
+
+syncGroupState();
+
+// Nodes whose children (HTTP path prefixes of a host) are shown, see toggleChildren()
+let expandedNodes = new Set();
+
+// Edge colors per access mode (SVG arrow markers and the Canvas renderer)
+const ACCESS_COLORS = { read: '#58a6ff', write: '#f0883e', delete: '#f85149', call: '#bc8cff' };
 
 /**
  * Initialization: Sets up the SVG and D3 simulation
@@ -64,6 +73,21 @@ function initGraph() {
         .attr('width', width)
         .attr('height', height);
 
+    // Direction arrows per access mode (read arrows point back to the workflow)
+    const defs = svg.append('defs');
+    Object.entries(ACCESS_COLORS).forEach(([mode, color]) => {
+        defs.append('marker')
+            .attr('id', `arrow-${mode}`)
+            .attr('viewBox', '0 -5 10 10')
+            .attr('refX', 10)
+            .attr('markerWidth', 6)
+            .attr('markerHeight', 6)
+            .attr('orient', mode === 'read' ? 'auto-start-reverse' : 'auto')
+            .append('path')
+            .attr('d', 'M0,-5L10,0L0,5')
+            .attr('fill', color);
+    });
+
     g = svg.append('g');
 
     // Pan & Zoom support
@@ -91,6 +115,9 @@ function resetZoom() {
         d3.zoom().transform,
         d3.zoomIdentity
     );
+    if (canvasState.canvas) {
+        d3.select(canvasState.canvas).transition().duration(750).call(canvasState.zoom.transform, d3.zoomIdentity);
+    }
 }
 
 /**
@@ -101,19 +128,10 @@ function updateLegend() {
     if (!legend) return;
     legend.innerHTML = '';
 
-    // Friendly labels for legend
-    const labelMap = {
-        workflow: 'n8n',
-        supabase: 'Supabase',
-        notion: 'Notion',
-        bigquery: 'BigQuery',
-        microsoft: 'Microsoft',
-        google: 'Google',
-        openai: 'OpenAI',
-        other: 'Outros'
-    };
+    // 'Outros' always closes the legend, even after groups registered from config
+    const types = Object.keys(groupState).sort((a, b) => (a === 'other') - (b === 'other'));
 
-    Object.keys(groupState).forEach(type => {
+    types.forEach(type => {
         const item = document.createElement('div');
         item.className = `legend-item ${groupState[type] ? 'expanded' : 'collapsed'}`;
         item.onclick = () => toggleGroup(type);
@@ -123,7 +141,7 @@ function updateLegend() {
         dot.style.background = colorMap[type] || '#ccc';
         if (type === 'openai') dot.style.border = '1px solid #30363d';
 
-        const label = document.createTextNode(labelMap[type] || type);
+        const label = document.createTextNode(groupLabels[type] || type);
 
         item.appendChild(dot);
         item.appendChild(label);
@@ -146,232 +164,71 @@ function updateLegend() {
 function toggleGroup(type) {
     groupState[type] = !groupState[type];
     updateLegend();
-    updateGraphData();
+    updateGraphData({ preservePositions: true });
 }
 
 /**
- * Internal helper to safely get values from n8n Resource Locator (RL) objects or strings
+ * Expands or collapses the children of a node (path prefixes of an HTTP host)
  */
-const getVal = (v) => {
-    if (v === null || v === undefined) return '';
-    if (typeof v === 'string') return v;
-    if (typeof v === 'object') {
-        return v.cachedResultName || v.value || JSON.stringify(v);
-    }
-    return String(v);
-};
+function toggleChildren(nodeId) {
+    if (expandedNodes.has(nodeId)) expandedNodes.delete(nodeId);
+    else expandedNodes.add(nodeId);
+    updateGraphData({ preservePositions: true });
+}
 
 /**
- * Internal helper to add a node to the nodeMap if it doesn't exist
+ * Click on a graph node: toggles groups, Shift+click toggles the children of a node,
+ * workflows also open the inspector
  */
-function addNode(map, id, label, type) {
-    if (!map.has(id)) {
-        map.set(id, { id, label, type });
+function onNodeClick(event, d) {
+    if (d.type === 'group') toggleGroup(d.groupType);
+    else if (event.shiftKey && d.childCount) toggleChildren(d.id);
+    else {
+        highlightTool(d.id, null);
+        if (d.type === 'workflow') openWorkflowInspector(d.id);
     }
 }
 
 /**
- * Data Parser: Converts list of n8n workflow objects into graph nodes and links
- * Also processes Supabase metadata (orphan tables and RPC functions)
+ * Loads a parsed dataset into the visualizer state and renders it.
+ * With preserveView (live refresh), node positions, zoom and selection are kept.
  */
-
-function processWorkflows(data) {
-    rawNodes = [];
-    rawLinks = [];
-    const nodeMap = new Map();
-
-    // Handle both legacy array and new stack_data format
-    const workflows = Array.isArray(data) ? data : (data.workflows || []);
-    const supabaseData = data.supabase || null;
-
-    // Track which Supabase tables are referenced by n8n workflows
-    const tablesUsedByN8n = new Set();
-
-    workflows.forEach(workflow => {
-        const workflowId = workflow.id;
-        const workflowName = workflow.name;
-
-        // Create n8n Workflow node
-        addNode(nodeMap, workflowId, workflowName, 'workflow');
-
-        // Extract dependencies from internal nodes
-        (workflow.nodes || []).forEach(node => {
-            const nodeType = (node.type || '').toLowerCase();
-            const params = node.parameters || {};
-            const creds = node.credentials || {};
-
-            // OpenAI Extraction
-            if (nodeType.includes('openai') || creds.openAiApi) {
-                const modelName = getVal(params.model || params.modelId || params.modelName || 'OpenAI');
-                const sourceId = `openai_${modelName}`;
-                addNode(nodeMap, sourceId, modelName, 'openai');
-                rawLinks.push({ source: workflowId, target: sourceId, type: 'uses' });
-
-                if (creds.openAiApi) {
-                    const credName = getVal(creds.openAiApi.name || creds.openAiApi.id || 'OpenAI API');
-                    const credId = `cred_openai_${credName}`;
-                    addNode(nodeMap, credId, `Cred: ${credName}`, 'credential openai');
-                    rawLinks.push({ source: sourceId, target: credId, type: 'auth' });
-                }
-            }
-
-            // Qdrant Extraction
-            if (nodeType.includes('qdrant') || creds.qdrantRestApi || creds.qdrantApi) {
-                const qCreds = creds.qdrantRestApi || creds.qdrantApi;
-                const collection = getVal(params.collectionName || params.qdrantCollection || 'Qdrant');
-                const sourceId = `qdrant_${collection}`;
-                addNode(nodeMap, sourceId, collection, 'other');
-                rawLinks.push({ source: workflowId, target: sourceId, type: 'uses' });
-
-                if (qCreds) {
-                    const credName = getVal(qCreds.name || qCreds.id || 'Qdrant API');
-                    const credId = `cred_qdrant_${credName}`;
-                    addNode(nodeMap, credId, `Cred: ${credName}`, 'credential other');
-                    rawLinks.push({ source: sourceId, target: credId, type: 'auth' });
-                }
-            }
-
-            // Supabase Extraction
-            if (nodeType.includes('supabase')) {
-                const tableName = getVal(params.tableName || 'Supabase');
-                if (tableName && tableName !== 'Supabase') {
-                    tablesUsedByN8n.add(tableName);
-                    const sourceId = `supabase_${tableName}`;
-                    addNode(nodeMap, sourceId, tableName, 'supabase');
-                    rawLinks.push({ source: workflowId, target: sourceId, type: 'uses' });
-
-                    if (creds.supabaseApi) {
-                        const cName = getVal(creds.supabaseApi.name || creds.supabaseApi.id || 'Supabase API');
-                        const credId = `cred_supabase_${cName}`;
-                        addNode(nodeMap, credId, `Cred: ${cName}`, 'credential supabase');
-                        rawLinks.push({ source: sourceId, target: credId, type: 'auth' });
-                    }
-                }
-
-                // Check for RPC function calls
-                const operation = getVal(params.operation);
-                if (operation === 'call' || operation === 'rpc') {
-                    const funcName = getVal(params.functionName || params.rpc || params.function);
-                    if (funcName) {
-                        const funcId = `rpc_${funcName}`;
-                        addNode(nodeMap, funcId, `rpc: ${funcName}`, 'rpc_function');
-                        rawLinks.push({ source: workflowId, target: funcId, type: 'calls' });
-                    }
-                }
-            }
-
-            // HTTP Request that might call Supabase RPC
-            if (nodeType.includes('httprequest') || nodeType.includes('http')) {
-                const url = getVal(params.url || '');
-                const rpcMatch = url.match(/\/rpc\/([a-zA-Z_][a-zA-Z0-9_]*)/);
-                if (rpcMatch) {
-                    const funcName = rpcMatch[1];
-                    const funcId = `rpc_${funcName}`;
-                    addNode(nodeMap, funcId, `rpc: ${funcName}`, 'rpc_function');
-                    rawLinks.push({ source: workflowId, target: funcId, type: 'calls' });
-                }
-            }
-
-            // Notion Extraction
-            if (nodeType.includes('notion')) {
-                const databaseName = getVal(params.databaseId || params.tableName || 'Notion');
-                if (databaseName) {
-                    const sourceId = `notion_${databaseName}`;
-                    addNode(nodeMap, sourceId, databaseName, 'notion');
-                    rawLinks.push({ source: workflowId, target: sourceId, type: 'uses' });
-
-                    if (creds.notionApi) {
-                        const cName = getVal(creds.notionApi.name || creds.notionApi.id || 'Notion API');
-                        const credId = `cred_notion_${cName}`;
-                        addNode(nodeMap, credId, `Cred: ${cName}`, 'credential notion');
-                        rawLinks.push({ source: sourceId, target: credId, type: 'auth' });
-                    }
-                }
-            }
-
-            // BigQuery Extraction
-            if (nodeType.includes('bigquery')) {
-                let tableName = getVal(params.tableId);
-                if (!tableName && params.datasetId && params.tableId) {
-                    tableName = `${params.datasetId}.${params.tableId}`;
-                }
-
-                if (tableName) {
-                    const sourceId = `bigquery_${tableName}`;
-                    addNode(nodeMap, sourceId, tableName, 'bigquery');
-                    rawLinks.push({ source: workflowId, target: sourceId, type: 'uses' });
-
-                    if (creds.googleBigQueryOAuth2Api) {
-                        const credId = `cred_bigquery_${creds.googleBigQueryOAuth2Api.name || creds.googleBigQueryOAuth2Api.id}`;
-                        addNode(nodeMap, credId, getVal(creds.googleBigQueryOAuth2Api.name) || 'BigQuery API', 'credential bigquery');
-                        rawLinks.push({ source: sourceId, target: credId, type: 'auth' });
-                    }
-                }
-            }
-
-            // Microsoft/SharePoint Extraction
-            if (nodeType.includes('microsoft') || (nodeType.includes('httprequest') && creds.microsoftSharePointOAuth2Api)) {
-                const url = params.url || '';
-                const match = url.match(/\/sites\/([^\/]+)/);
-                const name = match ? match[1] : (params.resource === 'message' ? 'Outlook' : 'Microsoft');
-                const sourceId = `microsoft_${name}`;
-                addNode(nodeMap, sourceId, name, 'microsoft');
-                rawLinks.push({ source: workflowId, target: sourceId, type: 'uses' });
-
-                const mCreds = creds.microsoftSharePointOAuth2Api || creds.microsoftOutlookOAuth2Api;
-                if (mCreds) {
-                    const credId = `cred_microsoft_${mCreds.name || mCreds.id}`;
-                    addNode(nodeMap, credId, getVal(mCreds.name) || 'Microsoft API', 'credential microsoft');
-                    rawLinks.push({ source: sourceId, target: credId, type: 'auth' });
-                }
-            }
-        });
-    });
-
-    // Process Supabase metadata if available (from stack_data.json)
-    if (supabaseData) {
-        // Add orphan tables (not used by n8n) - same type as regular supabase, just different label
-        (supabaseData.tables || []).forEach(table => {
-            const tableName = table.name;
-            const tableId = `supabase_${tableName}`;
-
-            // Only add if not already added by n8n extraction
-            if (!nodeMap.has(tableId)) {
-                // This is an orphan table (not used by n8n) - use supabase type with orphan marker
-                const node = { id: tableId, label: tableName, type: 'supabase', isOrphan: true };
-                nodeMap.set(tableId, node);
-            }
-        });
-
-        // Add table dependencies for RPC functions that ARE used by n8n
-        // (function nodes were already added during workflow processing)
-        (supabaseData.functions || []).forEach(func => {
-            const funcName = func.name;
-            const funcId = `rpc_${funcName}`;
-
-            // Only process if this function is already in the graph (used by n8n)
-            if (nodeMap.has(funcId)) {
-                // Create links from function to tables it uses
-                (func.tables_used || []).forEach(tableName => {
-                    const tableId = `supabase_${tableName}`;
-
-                    // Ensure table node exists
-                    if (!nodeMap.has(tableId)) {
-                        const node = { id: tableId, label: tableName, type: 'supabase', isOrphan: true };
-                        nodeMap.set(tableId, node);
-                    }
-
-                    rawLinks.push({ source: funcId, target: tableId, type: 'reads' });
-                });
-            }
-        });
+function processWorkflows(data, { preserveView = false } = {}) {
+    const graph = buildGraph(data);
+    graph.nodes.filter(n => n.codeIssues).forEach(n => n.codeIssues.forEach(issue => {
+        console.warn(`Código não analisado em "${issue.node}" (${n.label}): ${issue.message}`);
+    }));
+    currentData = data;
+    diffState = null;
+    rawNodes = graph.nodes;
+    rawLinks = graph.links;
+    graphWorkflows = graph.workflows;
+
+    // Re-evaluate the active search against the new data
+    if (searchState.query) {
+        try {
+            searchState.matches = evaluateQuery(parseQuery(searchState.query), getGraphIndex());
+            searchState.visible = searchVisibleNodes(searchState.matches, searchState.hops);
+        } catch (e) {
+            searchState = { query: '', hops: 0, matches: null, visible: null };
+        }
     }
 
-    rawNodes = Array.from(nodeMap.values());
-
+    resolveCatalogNodes();
+    evaluatePolicyRules();
+    updateEnvironmentControls();
     updateToolsList();
-    updateGraphData();
-    setTimeout(resetZoom, 500);
+    updateGraphData({ preservePositions: preserveView });
+    updateDiffPanel();
+    updateHygienePanel();
+    renderWorkflowInspector();
+    renderScheduleView();
+
+    if (!preserveView) {
+        setTimeout(resetZoom, 500);
+    } else if (selectedTool && getGraphIndex().node(selectedTool)) {
+        highlightTool(selectedTool, null);
+    }
 }
 
 
@@ -381,130 +238,63 @@ function processWorkflows(data) {
 /**
  * Graph Aggregator: Processes rawNodes and rawLinks based on groupState to produce graphData
  */
-function updateGraphData() {
-    const idMap = new Map();
-    const visibleNodesMap = new Map();
-
-    // Friendly labels for groups
-    const labelMap = {
-        workflow: 'n8n',
-        supabase: 'Supabase',
-        notion: 'Notion',
-        bigquery: 'BigQuery',
-        microsoft: 'Microsoft',
-        google: 'Google',
-        openai: 'OpenAI',
-        other: 'Outros'
-    };
-
-    // 1. Group nodes as requested
-    rawNodes.forEach(node => {
-        let effectiveGroup = getGroup(node);
-
-        if (groupState[effectiveGroup] === false) {
-            // Collapsed: Multiple entities merge into one 'group' node
-            const groupId = `group_${effectiveGroup}`;
-            idMap.set(node.id, groupId);
-
-            if (!visibleNodesMap.has(groupId)) {
-                let labelName = labelMap[effectiveGroup] || effectiveGroup;
-                visibleNodesMap.set(groupId, {
-                    id: groupId,
-                    label: labelName,
-                    type: 'group',
-                    groupType: effectiveGroup,
-                    count: 1
-                });
-            } else {
-                const gNode = visibleNodesMap.get(groupId);
-                gNode.count++;
-                let labelName = labelMap[effectiveGroup] || effectiveGroup;
-                gNode.label = `${labelName} (${gNode.count})`;
-            }
-        } else {
-            // Expanded: Entities shown individually
-            idMap.set(node.id, node.id);
-            visibleNodesMap.set(node.id, { ...node });
-        }
-    });
-
-    graphData.nodes = Array.from(visibleNodesMap.values());
-
-    // 2. Map and aggregate links according to node grouping
-    const linkMap = new Map();
-    rawLinks.forEach(link => {
-        const sourceId = idMap.get(link.source);
-        const targetId = idMap.get(link.target);
-
-        if (sourceId && targetId && sourceId !== targetId) {
-            const key = `${sourceId}->${targetId}`;
-            if (!linkMap.has(key)) {
-                linkMap.set(key, { source: sourceId, target: targetId, type: link.type, id: key });
-            }
-        }
-    });
-
-    graphData.links = Array.from(linkMap.values());
+function updateGraphData({ preservePositions = false } = {}) {
+    const grouped = groupGraph(getVisibleGraph(), group => groupState[group] !== false, id => expandedNodes.has(id));
+    graphData.nodes = grouped.nodes;
+    graphData.links = grouped.links;
+    policyState.badges = visibleViolationCounts();
 
     updateStats();
     updateToolsList();
-    renderGraph();
+    renderGraph({ preservePositions });
 }
 
 /**
- * D3 Renderer: Draws the SVG elements based on graphData
+ * D3 Renderer: Lays out graphData and draws it with the SVG or the Canvas renderer
  */
-function renderGraph() {
+function renderGraph({ preservePositions = false } = {}) {
     if (graphData.nodes.length === 0) return;
 
-    g.selectAll('*').remove();
+    const useCanvas = layoutMode !== 'matrix' && activeRenderer() === 'canvas';
+    showCanvas(useCanvas);
 
-    // Draw Links
-    const link = g.append('g')
-        .selectAll('path')
-        .data(graphData.links)
-        .enter().append('path')
-        .attr('class', 'link');
+    if (layoutMode === 'matrix') {
+        g.selectAll('*').remove();
+        simulation.stop();
+        renderMatrix();
+        return;
+    }
 
-    // Draw Nodes
-    const node = g.append('g')
-        .selectAll('g')
-        .data(graphData.nodes)
-        .enter().append('g')
-        .attr('class', d => `node ${d.type} ${d.groupType || ''}`)
-        .call(d3.drag()
-            .on('start', dragstarted)
-            .on('drag', dragged)
-            .on('end', dragended))
-        .on('click', (event, d) => {
-            if (d.type === 'group') {
-                event.stopPropagation();
-                toggleGroup(d.groupType);
+    // Surviving nodes keep their place (and pin); new ones start where they came from:
+    // expanded members at their former group node, a collapsed group at its members' centroid
+    let alpha = 1;
+    const previous = new Map(simulation.nodes().map(n => [n.id, n]));
+    if (preservePositions) {
+        graphData.nodes.forEach(n => {
+            const old = previous.get(n.id);
+            if (old) {
+                Object.assign(n, { x: old.x, y: old.y, vx: old.vx, vy: old.vy, fx: old.fx, fy: old.fy });
+                return;
             }
+            const origin = spawnPosition(n, previous);
+            if (origin) Object.assign(n, { x: origin.x + (Math.random() - 0.5) * 10, y: origin.y + (Math.random() - 0.5) * 10 });
         });
+        alpha = graphData.nodes.every(n => previous.has(n.id)) ? 0.1 : 0.3;
+    }
+    // Fixed layouts need a full run to move nodes onto their targets
+    if (layoutMode !== 'force') alpha = 1;
 
-    // Node Visuals
-    node.append('circle')
-        .attr('r', d => d.type === 'group' ? 30 + (d.count * 0.5) : (d.type === 'workflow' ? 20 : 15))
-        .style('stroke', d => d.type === 'group' ? colorMap[d.groupType] : null)
-        .style('fill', d => d.type === 'group' ? colorMap[d.groupType] : null);
-
-    // Tooltips
-    node.append('title').text(d => d.type === 'group' ? `${d.label} Group (${d.count} items)` : d.label);
-
-    // Labels
-    node.append('text')
-        .attr('dy', d => d.type === 'group' ? 45 : 30)
-        .attr('text-anchor', 'middle')
-        .text(d => d.label.length > 15 ? d.label.substring(0, 15) + '...' : d.label);
+    if (useCanvas) g.selectAll('*').remove();
+    const drawFrame = useCanvas ? drawCanvas : renderSvgElements(preservePositions);
 
     // Start Force Simulation
     simulation.nodes(graphData.nodes);
+    applyLayoutForces();
     simulation.force('link').links(graphData.links);
 
-    // Grouping Force Logic (Clustering)
+    // Grouping Force Logic (Clustering), only for the free force layout
     const groups = {};
-    graphData.nodes.forEach(d => {
+    if (layoutMode === 'force') graphData.nodes.forEach(d => {
         const group = d.type === 'group' ? 'group' : getGroup(d);
         if (!groups[group]) groups[group] = [];
         groups[group].push(d);
@@ -531,181 +321,2388 @@ function renderGraph() {
             }
         });
 
+        drawFrame();
+    });
+
+    simulation.alpha(alpha).restart();
+}
+
+/**
+ * SVG Renderer: keyed joins of links and nodes. Returns the per-tick update.
+ */
+function renderSvgElements(preservePositions) {
+    // Persistent layers so that updates are keyed joins instead of a full redraw
+    let linkLayer = g.select('g.links');
+    let nodeLayer = g.select('g.nodes');
+    if (linkLayer.empty() || nodeLayer.empty()) {
+        g.selectAll('*').remove();
+        linkLayer = g.append('g').attr('class', 'links');
+        nodeLayer = g.append('g').attr('class', 'nodes');
+    }
+    if (!preservePositions) {
+        nodeLayer.selectAll('g.node').remove();
+        linkLayer.selectAll('path').remove();
+    }
+
+    const current = new Map(graphData.nodes.map(n => [n.id, n]));
+    const transition = d3.transition().duration(400);
+
+    // Draw Links
+    const link = linkLayer.selectAll('path')
+        .data(graphData.links, d => d.id)
+        .join(
+            enter => enter.append('path').style('opacity', 0)
+                .call(sel => sel.transition(transition).style('opacity', null)),
+            update => update,
+            exit => exit.transition(transition).style('opacity', 0).remove()
+        )
+        .attr('class', d => `link ${d.type || ''} ${d.access ? `access-${d.access}` : ''} ${d.origin === 'code' ? 'from-code' : ''} ${d.diffStatus ? `diff-${d.diffStatus}` : ''}`)
+        .attr('marker-start', d => (d.accessModes || []).includes('read') ? 'url(#arrow-read)' : null)
+        .attr('marker-end', d => {
+            const mode = ACCESS_MODES.find(m => m !== 'read' && (d.accessModes || []).includes(m));
+            return mode ? `url(#arrow-${mode})` : null;
+        });
+
+    link.selectAll('title').data(d => [d]).join('title')
+        .text(d => {
+            const methods = (d.methods || []).length ? ` (${d.methods.join(', ')})` : '';
+            let text = (d.accessModes || []).length ? `Acesso: ${d.accessModes.join(', ')}${methods}` : d.type;
+            if (d.origin === 'code') text += ' (inferido do código)';
+            return (d.nodeNames || []).length ? `${text}\nNós: ${d.nodeNames.join(', ')}` : text;
+        });
+
+    // Draw Nodes
+    const node = nodeLayer.selectAll('g.node')
+        .data(graphData.nodes, d => d.id)
+        .join(
+            enter => {
+                const added = enter.append('g')
+                    .attr('transform', d => isNaN(d.x) ? null : `translate(${d.x},${d.y})`)
+                    .style('opacity', 0)
+                    .call(d3.drag()
+                        .on('start', dragstarted)
+                        .on('drag', dragged)
+                        .on('end', dragended))
+                    .on('click', (event, d) => {
+                        event.stopPropagation();
+                        onNodeClick(event, d);
+                    })
+                    .on('dblclick', (event, d) => {
+                        event.stopPropagation();
+                        unpinNode(d);
+                    });
+                added.append('circle');
+                added.append('title');
+                added.append('text').attr('text-anchor', 'middle');
+                added.append('text').attr('class', 'violation-badge');
+                added.transition(transition).style('opacity', null);
+                return added;
+            },
+            update => update,
+            // Collapsed members slide into their group (or parent) node before disappearing
+            exit => exit.transition(transition)
+                .attr('transform', function (d) {
+                    const target = d.type !== 'group' && (current.get(d.parent) || current.get(groupNodeId(getGroup(d), d.environment)));
+                    return target && !isNaN(target.x) ? `translate(${target.x},${target.y})` : d3.select(this).attr('transform');
+                })
+                .style('opacity', 0)
+                .remove()
+        )
+        .attr('class', d => `node ${d.type} ${d.groupType || ''} ${d.dynamic ? 'dynamic' : ''} ${d.isOrphan ? 'orphan' : ''} ${d.diffStatus ? `diff-${d.diffStatus}` : ''}`)
+        .classed('search-match', d => Boolean(searchState.matches && searchState.hops > 0 && searchState.matches.has(d.id)))
+        .classed('drift', d => driftState.nodes.has(d.id))
+        .classed('pinned', d => d.fx !== null && d.fx !== undefined);
+
+    // Node Visuals
+    node.select('circle')
+        .attr('r', nodeRadius)
+        .style('stroke', d => d.type === 'group' ? colorMap[d.groupType] : null)
+        .style('fill', nodeFill);
+
+    // Tooltips
+    node.select('title').text(nodeTooltip);
+
+    // Labels
+    node.select('text')
+        .attr('dy', d => d.type === 'group' ? 45 : 30)
+        .text(d => d.label.length > 15 ? d.label.substring(0, 15) + '...' : d.label);
+
+    // Policy violations: badge with the count (members of collapsed groups count for the group)
+    node.classed('violation', d => policyState.badges.has(d.id));
+    node.select('.violation-badge')
+        .attr('x', d => nodeRadius(d) * 0.7)
+        .attr('y', d => -nodeRadius(d) * 0.7)
+        .text(d => (policyState.badges.has(d.id) ? `⚠${policyState.badges.get(d.id)}` : ''));
+
+    return () => {
         link.attr('d', d => {
             if (!d.source || !d.target || isNaN(d.source.x) || isNaN(d.target.x)) return null;
-            return `M${d.source.x},${d.source.y}L${d.target.x},${d.target.y}`;
+            // Trim the path at the circle borders so direction arrows stay visible
+            const dx = d.target.x - d.source.x;
+            const dy = d.target.y - d.source.y;
+            const dist = Math.hypot(dx, dy) || 1;
+            const rs = nodeRadius(d.source) / dist;
+            const rt = nodeRadius(d.target) / dist;
+            return `M${d.source.x + dx * rs},${d.source.y + dy * rs}L${d.target.x - dx * rt},${d.target.y - dy * rt}`;
         });
 
         node.attr('transform', d => isNaN(d.x) ? null : `translate(${d.x},${d.y})`);
-    });
-
-    simulation.alpha(1).restart();
+    };
 }
 
 /**
- * Helper to determine which color group a node belongs to
+ * Canvas Renderer: replaces the SVG for large graphs (above CANVAS_NODE_THRESHOLD visible
+ * nodes in "auto" mode). Hit-testing goes through simulation.find, only what is inside the
+ * viewport is drawn and labels follow the zoom level.
  */
-function getGroup(node) {
-    const type = node.type || '';
-    if (type.includes('supabase')) return 'supabase';
-    if (type.includes('notion')) return 'notion';
-    if (type.includes('bigquery')) return 'bigquery';
-    if (type.includes('microsoft')) return 'microsoft';
-    if (type.includes('google')) return 'google';
-    if (type.includes('openai')) return 'openai';
-    if (type.includes('workflow')) return 'workflow';
-    return 'other';
+const CANVAS_NODE_THRESHOLD = 300;
+let rendererMode = 'auto';
+const canvasState = { canvas: null, ctx: null, zoom: null, transform: d3.zoomIdentity, width: 0, height: 0, ratio: 1 };
+
+// Selection state for the canvas, mirroring the CSS classes set on SVG elements
+let highlightState = { nodes: new Set(), links: new Set(), upstream: new Set(), downstream: new Set() };
+
+function setRenderer(mode) {
+    rendererMode = mode;
+    renderGraph({ preservePositions: true });
+    if (selectedTool && getGraphIndex().node(selectedTool)) {
+        highlightTool(selectedTool, document.querySelector('.tool-item.selected'));
+    }
 }
 
+function activeRenderer() {
+    if (rendererMode !== 'auto') return rendererMode;
+    return graphData.nodes.length > CANVAS_NODE_THRESHOLD ? 'canvas' : 'svg';
+}
 
-/* UI Utility Functions */
-
-function updateStats() {
-    const workflows = rawNodes.filter(n => n.type === 'workflow').length;
-    const sources = rawNodes.filter(n => getGroup(n) !== 'workflow' && getGroup(n) !== 'other' && !n.type.includes('credential')).length;
-    document.getElementById('workflowCount').textContent = workflows;
-    document.getElementById('sourceCount').textContent = sources;
+function isCanvasActive() {
+    return Boolean(canvasState.canvas) && canvasState.canvas.style.display !== 'none';
 }
 
-function updateToolsList() {
-    const list = document.getElementById('toolsList');
-    if (!list) return;
-    list.innerHTML = '';
+function showCanvas(visible) {
+    if (visible && !canvasState.canvas) initCanvas();
+    if (canvasState.canvas) canvasState.canvas.style.display = visible ? 'block' : 'none';
+    svg.style('display', visible ? 'none' : null);
+}
 
-    const grouped = {};
-    rawNodes.filter(n => getGroup(n) !== 'workflow' && !n.type.includes('credential')).forEach(n => {
-        let type = getGroup(n);
-        if (!grouped[type]) grouped[type] = [];
-        grouped[type].push(n);
-    });
+function initCanvas() {
+    const width = +svg.attr('width');
+    const height = +svg.attr('height');
+    const ratio = window.devicePixelRatio || 1;
+
+    const canvas = d3.select('#graph').append('canvas')
+        .attr('class', 'graph-canvas')
+        .attr('width', width * ratio)
+        .attr('height', height * ratio)
+        .style('width', `${width}px`)
+        .style('height', `${height}px`);
+    Object.assign(canvasState, { canvas: canvas.node(), ctx: canvas.node().getContext('2d'), width, height, ratio });
+
+    const pointerPosition = (event) => canvasState.transform.invert(d3.pointer(event, canvasState.canvas));
+
+    canvas.call(d3.drag()
+        .subject(event => canvasNodeAt(event.sourceEvent))
+        .on('start', event => dragstarted(event, event.subject))
+        .on('drag', event => {
+            const [x, y] = pointerPosition(event.sourceEvent);
+            event.subject.fx = x;
+            event.subject.fy = y;
+        })
+        .on('end', event => dragended(event, event.subject)));
+
+    canvasState.zoom = d3.zoom()
+        .scaleExtent([0.05, 4])
+        .on('zoom', (event) => {
+            canvasState.transform = event.transform;
+            drawCanvas();
+        });
+    canvas.call(canvasState.zoom).on('dblclick.zoom', null);
+
+    canvas
+        .on('click', (event) => {
+            const d = canvasNodeAt(event);
+            if (d) onNodeClick(event, d);
+        })
+        .on('dblclick', (event) => {
+            const d = canvasNodeAt(event);
+            if (d) unpinNode(d);
+        })
+        .on('mousemove', (event) => {
+            const d = canvasNodeAt(event);
+            canvasState.canvas.title = d ? nodeTooltip(d) : '';
+            canvasState.canvas.style.cursor = d ? 'pointer' : 'grab';
+        });
+}
 
-    Object.keys(grouped).sort().forEach(type => {
-        const header = document.createElement('div');
-        header.className = 'category-header';
-        header.innerHTML = `${type} <span class="category-toggle">${groupState[type] ? 'Expandido' : 'Agrupado'}</span>`;
-        header.onclick = () => toggleGroup(type);
-        list.appendChild(header);
+function canvasNodeAt(event) {
+    const [x, y] = canvasState.transform.invert(d3.pointer(event, canvasState.canvas));
+    const d = simulation.find(x, y, 60);
+    return d && Math.hypot(d.x - x, d.y - y) <= nodeRadius(d) + 2 ? d : null;
+}
 
-        grouped[type].forEach(n => {
-            const count = rawLinks.filter(l => l.target === n.id).length;
-            const div = document.createElement('div');
-            div.className = 'tool-item';
-            div.innerHTML = `${n.label} <span class="tool-count">${count}</span>`;
-            div.onclick = (e) => { e.stopPropagation(); highlightTool(n.id, div); };
-            list.appendChild(div);
-        });
-    });
+// Stroke accent of a node, in the same precedence as the CSS rules for the SVG renderer
+function canvasNodeAccent(d) {
+    if (d.diffStatus === 'added') return { color: '#3fb950', width: 4 };
+    if (d.diffStatus === 'removed') return { color: '#f85149', width: 4 };
+    if (d.diffStatus === 'changed') return { color: '#e3b341', width: 4 };
+    if (highlightState.upstream.has(d.id)) return { color: '#f0883e', width: 4 };
+    if (highlightState.downstream.has(d.id)) return { color: '#58a6ff', width: 4 };
+    if (highlightState.nodes.has(d.id)) return { color: '#58a6ff', width: 3 };
+    if (searchState.matches && searchState.hops > 0 && searchState.matches.has(d.id)) return { color: '#e3b341', width: 3 };
+    if (policyState.badges.has(d.id)) return { color: '#f85149', width: 3 };
+    if (d.fx !== null && d.fx !== undefined) return { color: '#f0f6fc', width: 3 };
+    if (d.type === 'group') return { color: colorMap[d.groupType], width: 2 };
+    if (d.dynamic) return { color: '#d29922', width: 2 };
+    return { color: d.type.includes('credential') ? '#8b949e' : '#30363d', width: 2 };
 }
 
-function highlightTool(toolId, element) {
-    document.querySelectorAll('.tool-item').forEach(el => el.classList.remove('selected'));
-    element.classList.add('selected');
+function drawCanvas() {
+    const { ctx, transform: t, width, height, ratio } = canvasState;
+    if (!ctx || !isCanvasActive()) return;
 
-    // Reset visuals
-    d3.selectAll('.node').classed('highlighted', false);
-    d3.selectAll('.link').classed('highlighted', false);
+    ctx.setTransform(ratio, 0, 0, ratio, 0, 0);
+    ctx.clearRect(0, 0, width, height);
+    ctx.translate(t.x, t.y);
+    ctx.scale(t.k, t.k);
 
-    const node = rawNodes.find(n => n.id === toolId);
-    let effectiveId = toolId;
-    if (node && !groupState[getGroup(node)]) effectiveId = `group_${getGroup(node)}`;
+    // Viewport culling in graph coordinates
+    const [x0, y0] = t.invert([0, 0]);
+    const [x1, y1] = t.invert([width, height]);
+    const margin = 60;
+    const inView = d => d.x > x0 - margin && d.x < x1 + margin && d.y > y0 - margin && d.y < y1 + margin;
 
-    // Highlight target and its neighbors
-    const neighbors = new Set([effectiveId]);
     graphData.links.forEach(l => {
-        const s = l.source.id || l.source;
-        const t = l.target.id || l.target;
-        if (s === effectiveId || t === effectiveId) {
-            neighbors.add(s); neighbors.add(t);
-            d3.selectAll('.link').filter(d => (d.source.id || d.source) === s && (d.target.id || d.target) === t).classed('highlighted', true);
+        const source = l.source, target = l.target;
+        if (isNaN(source.x) || isNaN(target.x) || (!inView(source) && !inView(target))) return;
+        const highlighted = highlightState.links.has(`${source.id}->${target.id}`);
+        ctx.globalAlpha = highlighted ? 1 : (l.diffStatus === 'removed' ? 0.3 : 0.6);
+        ctx.strokeStyle = highlighted ? '#58a6ff' : (l.type === 'calls_workflow' ? '#f85149' : ACCESS_COLORS[l.access] || '#30363d');
+        ctx.lineWidth = highlighted ? 2.5 : 1.5;
+        ctx.setLineDash(l.type === 'calls_workflow' ? [6, 4] : (l.origin === 'code' ? [2, 4] : []));
+        ctx.beginPath();
+        ctx.moveTo(source.x, source.y);
+        ctx.lineTo(target.x, target.y);
+        ctx.stroke();
+
+        // Direction arrows only once zoomed in enough to see them
+        if (t.k >= 1 && l.access) {
+            const reverse = l.access === 'read';
+            const [from, to] = reverse ? [target, source] : [source, target];
+            const angle = Math.atan2(to.y - from.y, to.x - from.x);
+            const tipX = to.x - Math.cos(angle) * nodeRadius(to);
+            const tipY = to.y - Math.sin(angle) * nodeRadius(to);
+            ctx.setLineDash([]);
+            ctx.fillStyle = ctx.strokeStyle;
+            ctx.beginPath();
+            ctx.moveTo(tipX, tipY);
+            ctx.lineTo(tipX - 8 * Math.cos(angle - 0.4), tipY - 8 * Math.sin(angle - 0.4));
+            ctx.lineTo(tipX - 8 * Math.cos(angle + 0.4), tipY - 8 * Math.sin(angle + 0.4));
+            ctx.fill();
         }
     });
 
-    d3.selectAll('.node').filter(d => neighbors.has(d.id)).classed('highlighted', true);
-    showImpact(toolId);
+    const visibleNodes = graphData.nodes.filter(d => !isNaN(d.x) && inView(d));
+    visibleNodes.forEach(d => {
+        const credential = d.type.includes('credential');
+        const accent = canvasNodeAccent(d);
+        ctx.globalAlpha = d.diffStatus === 'removed' ? 0.35 : 1;
+        ctx.beginPath();
+        ctx.arc(d.x, d.y, nodeRadius(d), 0, 2 * Math.PI);
+        const fill = nodeFill(d);
+        if (fill) {
+            ctx.fillStyle = fill;
+            ctx.fill();
+        }
+        ctx.setLineDash(credential ? [4, 4] : (d.diffStatus === 'removed' || d.dynamic ? [3, 3] : (d.isOrphan ? [4, 2] : [])));
+        ctx.strokeStyle = accent.color;
+        ctx.lineWidth = accent.width;
+        ctx.stroke();
+    });
+
+    // Level of detail: far out only group labels, then workflows, then everything
+    const showLabel = d => d.type === 'group'
+        || highlightState.nodes.has(d.id)
+        || (t.k >= 0.5 && d.type === 'workflow')
+        || t.k >= 0.9;
+    ctx.globalAlpha = 1;
+    ctx.setLineDash([]);
+    ctx.fillStyle = '#c9d1d9';
+    ctx.textAlign = 'center';
+    visibleNodes.filter(showLabel).forEach(d => {
+        ctx.font = d.type === 'group' ? 'bold 14px sans-serif' : '11px sans-serif';
+        const label = d.label.length > 15 ? d.label.substring(0, 15) + '...' : d.label;
+        ctx.fillText(label, d.x, d.y + (d.type === 'group' ? 45 : 30));
+    });
 }
 
-function showImpact(toolId) {
-    const affected = rawLinks.filter(l => l.target === toolId).map(l => rawNodes.find(n => n.id === l.source)).filter(n => n?.type === 'workflow');
-    const panel = document.getElementById('impactPanel');
-    const list = document.getElementById('impactList');
-    if (affected.length > 0) {
-        panel.style.display = 'block';
-        list.innerHTML = affected.map(wf => `<li>${wf.label}</li>`).join('');
-    } else panel.style.display = 'none';
+/**
+ * Tooltip text of a rendered node
+ */
+function nodeTooltip(d) {
+    const violations = policyState.badges.get(d.id);
+    let text = nodeTooltipText(d);
+    if (d.environment && d.type !== 'group') text += `\nAmbiente: ${d.environment}`;
+    const meta = catalogState.nodes.get(d.id);
+    if (meta) text += `\n👤 ${describeOwnership(meta) || '-'}${meta.notes ? `\n📝 ${meta.notes}` : ''}`;
+    if (driftState.nodes.has(d.id)) text += '\n⇄ Difere entre os ambientes comparados';
+    return violations ? `${text}\n⚠ ${violations} violação(ões) de política` : text;
 }
 
-/* D3 Drag Handlers */
-function dragstarted(event, d) { if (!event.active) simulation.alphaTarget(0.3).restart(); d.fx = d.x; d.fy = d.y; }
-function dragged(event, d) { d.fx = event.x; d.fy = event.y; }
-function dragended(event, d) { if (!event.active) simulation.alphaTarget(0); d.fx = null; d.fy = null; }
+function nodeTooltipText(d) {
+    if (d.type === 'group') return `${d.label} Group (${d.count} items)`;
+    if (d.childCount) {
+        const hosts = d.hosts && (d.hosts.length > 1 || d.hosts[0] !== d.label) ? ` (${d.hosts.join(', ')})` : '';
+        return `${d.label}${hosts}\n${d.childCount} caminho(s) — Shift+clique para ${d.childrenExpanded ? 'recolher' : 'expandir'}`;
+    }
+    if (d.codeIssues) {
+        return [d.label, ...d.codeIssues.map(issue => `⚠ Código não analisado em "${issue.node}": ${issue.message}`)].join('\n');
+    }
+    if (d.consumers) {
+        const workflows = new Set(d.consumers.map(c => c.workflow)).size;
+        return `${d.label}${d.credentialType ? ` (${d.credentialType})` : ''}\n${workflows} workflow(s), ${d.consumers.length} nó(s)`;
+    }
+    return d.dynamic ? `Referência dinâmica (${groupLabels[getGroup(d)] || getGroup(d)}): ${d.expression}` : d.label;
+}
 
 /**
- * Data Loaders
+ * Layouts: "force" (default simulation), "layered" (entry workflows → called workflows →
+ * sources → credentials, left to right), "radial" (rings of hops around the selected node),
+ * "environments" (one block per environment, same items on the same row) and "matrix"
+ * (workflow × source adjacency). Fixed layouts reuse the simulation with
+ * strong x/y forces so dragging and position-preserving updates keep working.
  */
-async function tryAutoLoad() {
-    const status = document.getElementById('autoLoadStatus');
+let layoutMode = 'force';
+let layoutCenter = null;
+
+function setLayout(mode) {
+    layoutMode = mode;
+    renderGraph({ preservePositions: true });
+    if (selectedTool && getGraphIndex().node(selectedTool)) {
+        highlightTool(selectedTool, document.querySelector('.tool-item.selected'));
+    }
+    setTimeout(resetZoom, 300);
+}
 
-    status.style.display = 'block';
-    status.textContent = 'Tentando carregar dados automáticos...';
-    status.style.color = '#8b949e';
+function applyLayoutForces() {
+    const width = +svg.attr('width');
+    const height = +svg.attr('height');
+
+    if (layoutMode === 'force') {
+        simulation
+            .force('link', d3.forceLink().id(d => d.id).distance(150))
+            .force('charge', d3.forceManyBody().strength(-300))
+            .force('center', d3.forceCenter(width / 2, height / 2))
+            .force('collision', d3.forceCollide().radius(40))
+            .force('x', null)
+            .force('y', null);
+        return;
+    }
 
-    const paths = ['stack_data.json', 'n8n_data.json', 'n8n_workflows_export/n8n_data.json'];
+    let positions;
+    if (layoutMode === 'layered') positions = computeLayeredPositions(graphData.nodes, graphData.links, height);
+    else if (layoutMode === 'environments') positions = computeEnvironmentPositions(graphData.nodes, height);
+    else positions = computeRadialPositions(graphData.nodes, graphData.links, width, height);
+
+    simulation
+        .force('link', d3.forceLink().id(d => d.id).strength(0))
+        .force('charge', null)
+        .force('center', null)
+        .force('collision', null)
+        // Nodes from a previous render keep their place until the new ones are set
+        .force('x', d3.forceX(d => positions.get(d.id)?.x ?? d.x).strength(1))
+        .force('y', d3.forceY(d => positions.get(d.id)?.y ?? d.y).strength(1));
+}
 
-    for (const path of paths) {
-        try {
-            console.log(`Tentando carregar de: ${path}`);
-            const res = await fetch(path);
-            if (!res.ok) continue;
+const linkEndId = (end) => end.id || end;
 
-            const data = await res.json();
-            if (data) {
-                processWorkflows(data);
+function layoutKind(node) {
+    if (node.type === 'workflow' || (node.type === 'group' && node.groupType === 'workflow')) return 'workflow';
+    if (node.type.includes('credential')) return 'credential';
+    return node.type === 'rpc_function' ? 'rpc' : 'source';
+}
 
-                // Meta-informação (Data da geração)
-                const metadata = data.metadata || {};
-                const dateStr = metadata.generated_at ? new Date(metadata.generated_at).toLocaleString() : 'Data desconhecida';
+function computeLayeredPositions(nodes, links, height) {
+    // Workflow depth along calls_workflow edges; entry workflows (not called by anyone) come first
+    const callees = new Map();
+    const called = new Set();
+    links.filter(l => l.type === 'calls_workflow').forEach(l => {
+        const s = linkEndId(l.source), t = linkEndId(l.target);
+        if (!callees.has(s)) callees.set(s, []);
+        callees.get(s).push(t);
+        called.add(t);
+    });
 
-                const freshnessPanel = document.getElementById('dataFreshness');
-                const lastUpdateDate = document.getElementById('lastUpdateDate');
-                if (freshnessPanel && lastUpdateDate) {
-                    lastUpdateDate.textContent = dateStr;
-                    freshnessPanel.style.display = 'block';
-                }
+    const workflows = nodes.filter(n => layoutKind(n) === 'workflow');
+    const depth = new Map();
+    let frontier = workflows.filter(n => !called.has(n.id)).map(n => n.id);
+    frontier.forEach(id => depth.set(id, 0));
+    while (frontier.length) {
+        const next = [];
+        frontier.forEach(id => (callees.get(id) || []).forEach(t => {
+            if (depth.has(t)) return;
+            depth.set(t, depth.get(id) + 1);
+            next.push(t);
+        }));
+        frontier = next;
+    }
+    // Workflows only reachable through a call cycle stay in the first column
+    workflows.forEach(n => { if (!depth.has(n.id)) depth.set(n.id, 0); });
+
+    const workflowColumns = Math.max(0, ...depth.values()) + 1;
+    const present = new Set(nodes.map(layoutKind));
+    let column = workflowColumns;
+    const columnOf = {};
+    ['rpc', 'source', 'credential'].forEach(kind => {
+        if (present.has(kind)) columnOf[kind] = column++;
+    });
 
-                status.textContent = `Arquivo carregado: ${path}`;
-                status.style.display = 'block';
-                return; // Sucesso!
-            }
-        } catch (e) {
-            console.warn(`Falha ao carregar ${path}:`, e);
+    const columns = new Map();
+    nodes.forEach(n => {
+        const kind = layoutKind(n);
+        const c = kind === 'workflow' ? depth.get(n.id) : columnOf[kind];
+        if (!columns.has(c)) columns.set(c, []);
+        columns.get(c).push(n);
+    });
+
+    const positions = new Map();
+    const rowHeight = 50;
+    columns.forEach((members, c) => {
+        members.sort((a, b) => getGroup(a).localeCompare(getGroup(b)) || a.label.localeCompare(b.label));
+        const top = height / 2 - ((members.length - 1) * rowHeight) / 2;
+        members.forEach((n, i) => positions.set(n.id, { x: 100 + c * 260, y: top + i * rowHeight }));
+    });
+    return positions;
+}
+
+function computeEnvironmentPositions(nodes, height) {
+    const environments = [...new Set(nodes.map(n => n.environment || ''))];
+    const kinds = ['workflow', 'source', 'credential'];
+    const kindOf = (n) => (layoutKind(n) === 'rpc' ? 'source' : layoutKind(n));
+    // The same item shares a row in every environment, so what one environment lacks shows as a gap
+    const rowKey = (n) => (n.type === 'group' ? `group:${n.groupType}` : `${getGroup(n)}:${n.label}`);
+    const rows = new Map(kinds.map(kind => {
+        const keys = [...new Set(nodes.filter(n => kindOf(n) === kind).map(rowKey))].sort();
+        return [kind, new Map(keys.map((key, i) => [key, i]))];
+    }));
+
+    const rowHeight = 50;
+    const columnWidth = 220;
+    const blockWidth = kinds.length * columnWidth + 120;
+    const tallest = Math.max(...[...rows.values()].map(r => r.size));
+    const top = height / 2 - ((tallest - 1) * rowHeight) / 2;
+    const positions = new Map();
+    nodes.forEach(n => {
+        const kind = kindOf(n);
+        positions.set(n.id, {
+            x: 100 + environments.indexOf(n.environment || '') * blockWidth + kinds.indexOf(kind) * columnWidth,
+            y: top + rows.get(kind).get(rowKey(n)) * rowHeight
+        });
+    });
+    return positions;
+}
+
+function computeRadialPositions(nodes, links, width, height) {
+    const neighbors = new Map(nodes.map(n => [n.id, []]));
+    links.forEach(l => {
+        const s = linkEndId(l.source), t = linkEndId(l.target);
+        if (neighbors.has(s) && neighbors.has(t)) {
+            neighbors.get(s).push(t);
+            neighbors.get(t).push(s);
         }
+    });
+
+    // Center on the selection (its group node when collapsed), else on the most connected node
+    let center = selectedTool ? visibleNodeId(selectedTool) : null;
+    if (!neighbors.has(center)) {
+        center = nodes.reduce((best, n) => (neighbors.get(n.id).length > neighbors.get(best.id).length ? n : best), nodes[0]).id;
+    }
+    layoutCenter = center;
+
+    const ring = new Map([[center, 0]]);
+    const parent = new Map();
+    let frontier = [center];
+    while (frontier.length) {
+        const next = [];
+        frontier.forEach(id => neighbors.get(id).forEach(nb => {
+            if (ring.has(nb)) return;
+            ring.set(nb, ring.get(id) + 1);
+            parent.set(nb, id);
+            next.push(nb);
+        }));
+        frontier = next;
     }
+    // Disconnected nodes go on an outer ring
+    const outer = Math.max(0, ...ring.values()) + 1;
+    nodes.forEach(n => { if (!ring.has(n.id)) ring.set(n.id, outer); });
+
+    const byId = new Map(nodes.map(n => [n.id, n]));
+    const rings = [];
+    ring.forEach((r, id) => { (rings[r] = rings[r] || []).push(id); });
+
+    const positions = new Map();
+    const angle = new Map([[center, 0]]);
+    positions.set(center, { x: width / 2, y: height / 2 });
+    rings.forEach((members, r) => {
+        if (!members || r === 0) return;
+        // Children follow their parent's angle to keep branches together
+        members.sort((a, b) => (angle.get(parent.get(a)) ?? Infinity) - (angle.get(parent.get(b)) ?? Infinity)
+            || byId.get(a).label.localeCompare(byId.get(b).label));
+        const radius = r * 160;
+        members.forEach((id, i) => {
+            const theta = (2 * Math.PI * i) / members.length;
+            angle.set(id, theta);
+            positions.set(id, { x: width / 2 + radius * Math.cos(theta), y: height / 2 + radius * Math.sin(theta) });
+        });
+    });
+    return positions;
+}
 
-    // Se chegou aqui, falhou em todos os caminhos
-    status.textContent = 'Nenhum dado encontrado. Configure o Token para gerar.';
-    status.style.display = 'block';
+/**
+ * Matrix view: workflows as rows, sources as columns, cells colored by access mode.
+ * Labels and cells carry the node/link data so highlightTool works unchanged.
+ */
+function renderMatrix() {
+    const rows = graphData.nodes.filter(n => layoutKind(n) === 'workflow')
+        .sort((a, b) => a.label.localeCompare(b.label));
+    const cols = graphData.nodes.filter(n => ['rpc', 'source'].includes(layoutKind(n)))
+        .sort((a, b) => getGroup(a).localeCompare(getGroup(b)) || a.label.localeCompare(b.label));
+    const rowIndex = new Map(rows.map((n, i) => [n.id, i]));
+    const colIndex = new Map(cols.map((n, i) => [n.id, i]));
+    const labels = new Map([...rows, ...cols].map(n => [n.id, n.label]));
+
+    const cell = 16;
+    const left = 180;
+    const top = 140;
+    const truncate = (text) => text.length > 25 ? text.substring(0, 25) + '...' : text;
+    const onLabelClick = (event, d) => {
+        event.stopPropagation();
+        if (d.type === 'group') toggleGroup(d.groupType);
+        else highlightTool(d.id, null);
+    };
 
-    // Se não encontrou dados, tenta disparar o GitHub Action
-    triggerGitHubAction();
+    const cells = graphData.links.filter(l => rowIndex.has(linkEndId(l.source)) && colIndex.has(linkEndId(l.target)));
+    g.append('g').selectAll('rect')
+        .data(rows).enter().append('rect')
+        .attr('class', 'matrix-row')
+        .attr('x', left).attr('y', (d, i) => top + i * cell)
+        .attr('width', cols.length * cell).attr('height', cell);
+
+    g.append('g').selectAll('rect')
+        .data(cells).enter().append('rect')
+        .attr('class', d => `link matrix-cell ${d.access ? `access-${d.access}` : ''} ${d.diffStatus ? `diff-${d.diffStatus}` : ''}`)
+        .attr('x', d => left + colIndex.get(linkEndId(d.target)) * cell + 1)
+        .attr('y', d => top + rowIndex.get(linkEndId(d.source)) * cell + 1)
+        .attr('width', cell - 2).attr('height', cell - 2)
+        .append('title')
+        .text(d => {
+            const modes = (d.accessModes || []).length ? `: ${d.accessModes.join(', ')}` : '';
+            return `${labels.get(linkEndId(d.source))} → ${labels.get(linkEndId(d.target))}${modes}`;
+        });
+
+    g.append('g').selectAll('g')
+        .data(rows).enter().append('g')
+        .attr('class', d => `node matrix-label ${d.type} ${d.diffStatus ? `diff-${d.diffStatus}` : ''}`)
+        .attr('transform', (d, i) => `translate(${left - 6},${top + i * cell + cell - 4})`)
+        .on('click', onLabelClick)
+        .append('text')
+        .attr('text-anchor', 'end')
+        .text(d => truncate(d.label));
+
+    g.append('g').selectAll('g')
+        .data(cols).enter().append('g')
+        .attr('class', d => `node matrix-label ${d.type} ${d.groupType || ''} ${d.diffStatus ? `diff-${d.diffStatus}` : ''}`)
+        .attr('transform', (d, i) => `translate(${left + i * cell + cell - 4},${top - 6}) rotate(-60)`)
+        .on('click', onLabelClick)
+        .append('text')
+        .style('fill', d => colorMap[d.groupType || getGroup(d)])
+        .text(d => truncate(d.label));
 }
 
 /**
- * GitHub API Interaction
+ * Where a node entering the view should appear, based on the previous render
  */
-async function triggerGitHubAction() {
-    const token = localStorage.getItem('gh_pat');
-    const status = document.getElementById('autoLoadStatus');
+function spawnPosition(node, previous) {
+    if (node.type === 'group') {
+        const members = Array.from(previous.values())
+            .filter(p => p.type !== 'group' && getGroup(p) === node.groupType && p.environment === node.environment && !isNaN(p.x));
+        if (members.length === 0) return null;
+        return {
+            x: members.reduce((sum, p) => sum + p.x, 0) / members.length,
+            y: members.reduce((sum, p) => sum + p.y, 0) / members.length
+        };
+    }
+    const group = previous.get(node.parent) || previous.get(groupNodeId(getGroup(node), node.environment));
+    return group && !isNaN(group.x) ? { x: group.x, y: group.y } : null;
+}
 
-    if (!token) {
-        status.style.display = 'block';
-        status.innerHTML = `
-            <div style="background: #161b22; border: 1px solid #30363d; padding: 12px; border-radius: 6px; margin-bottom: 12px;">
-                <p style="margin: 0 0 8px 0; font-weight: bold; color: #e6edf3;">Configurar Automação</p>
-                <p style="margin: 0 0 12px 0; font-size: 12px;">Para atualizar os dados automaticamente, insira seu GitHub Personal Access Token (PAT):</p>
-                <input type="password" id="ghTokenInput" placeholder="ghp_..." style="width: 100%; margin-bottom: 8px;">
-                <button onclick="saveGitHubToken()" style="width: 100%; padding: 4px; font-size: 12px;">Salvar Token</button>
-                <p style="margin: 8px 0 0 0; font-size: 10px; color: #8b949e;">* O token é salvo apenas localmente no seu navegador.</p>
-            </div>
+/**
+ * Helper to compute the rendered circle radius of a node
+ */
+function nodeRadius(d) {
+    if (d.type === 'group') return 30 + (d.count * 0.5);
+    return d.type === 'workflow' ? 20 : 15;
+}
+
+/**
+ * Indexed Graph Model (StackGraph.buildGraphIndex) over rawNodes/rawLinks, shared by the
+ * UI functions instead of scanning the arrays. Rebuilt lazily whenever either array is replaced.
+ */
+let graphIndexCache = null;
+
+function getGraphIndex() {
+    if (!graphIndexCache || graphIndexCache.nodes !== rawNodes || graphIndexCache.links !== rawLinks) {
+        graphIndexCache = StackGraph.buildGraphIndex(rawNodes, rawLinks);
+    }
+    return graphIndexCache;
+}
+
+/**
+ * Maps a raw node ID to what is on screen (the group node when its group is collapsed)
+ */
+function visibleNodeId(id) {
+    const n = getGraphIndex().node(id);
+    if (n && n.parent && !expandedNodes.has(n.parent) && getGraphIndex().node(n.parent)) return visibleNodeId(n.parent);
+    return n && !groupState[getGroup(n)] ? groupNodeId(getGroup(n), n.environment) : id;
+}
+
+
+let searchState = { query: '', hops: 0, matches: null, visible: null };
+
+/**
+ * Nodes shown by a search: the matches plus their N-hop neighbors (in any direction) in the raw graph
+ */
+function searchVisibleNodes(matches, hops) {
+    return matches && hops > 0 ? expandNeighbors(matches, rawLinks, hops) : matches;
+}
+
+/**
+ * Applies the search box query (and neighbor hops) to the whole UI
+ */
+function applySearch() {
+    const input = document.getElementById('searchInput');
+    const status = document.getElementById('searchStatus');
+    const query = input ? input.value.trim() : '';
+    const hops = parseInt(document.getElementById('searchHops')?.value || '0', 10);
+
+    let matches = null;
+    if (query) {
+        try {
+            matches = evaluateQuery(parseQuery(query), getGraphIndex());
+        } catch (e) {
+            if (status) {
+                status.textContent = `❌ Consulta inválida: ${e.message}`;
+                status.style.color = '#f85149';
+            }
+            return;
+        }
+    }
+
+    const visible = searchVisibleNodes(matches, hops);
+
+    searchState = { query, hops, matches, visible };
+    if (status) {
+        status.style.color = '#8b949e';
+        status.textContent = matches ? `${matches.size} resultado(s)${visible.size > matches.size ? `, ${visible.size - matches.size} vizinho(s)` : ''}` : '';
+    }
+    updateGraphData({ preservePositions: true });
+}
+
+/**
+ * Returns the raw nodes and links that pass the current search and environment filters
+ */
+function getVisibleGraph() {
+    if (!searchState.visible && !environmentFilter) return { nodes: rawNodes, links: rawLinks };
+    const visible = searchState.visible;
+    const nodes = rawNodes.filter(n => (!visible || visible.has(n.id)) && (!environmentFilter || n.environment === environmentFilter));
+    const kept = new Set(nodes.map(n => n.id));
+    return { nodes, links: rawLinks.filter(l => kept.has(l.source) && kept.has(l.target)) };
+}
+
+/* UI Utility Functions */
+
+/**
+ * Escapes text for HTML templates: names in the data (workflows, nodes, credentials, tables,
+ * hosts) come from exports dropped on the page or from the live API and must never become markup
+ */
+const HTML_ESCAPES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+
+function escapeHtml(value) {
+    return String(value ?? '').replace(/[&<>"']/g, ch => HTML_ESCAPES[ch]);
+}
+
+function updateStats() {
+    const nodes = getVisibleGraph().nodes.filter(n => n.diffStatus !== 'removed');
+    const workflows = nodes.filter(n => n.type === 'workflow').length;
+    const sources = nodes.filter(n => getGroup(n) !== 'workflow' && getGroup(n) !== 'other' && !n.type.includes('credential')).length;
+    document.getElementById('workflowCount').textContent = workflows;
+    document.getElementById('sourceCount').textContent = sources;
+}
+
+function updateToolsList() {
+    const list = document.getElementById('toolsList');
+    if (!list) return;
+    list.innerHTML = '';
+
+    const view = getVisibleGraph();
+    const present = new Set(view.nodes.map(n => n.id));
+    const children = new Map();
+    view.nodes.filter(n => n.parent && present.has(n.parent)).forEach(n => {
+        if (!children.has(n.parent)) children.set(n.parent, []);
+        children.get(n.parent).push(n);
+    });
+
+    const grouped = {};
+    view.nodes.filter(n => getGroup(n) !== 'workflow' && !n.type.includes('credential') && !(n.parent && present.has(n.parent))).forEach(n => {
+        let type = getGroup(n);
+        if (!grouped[type]) grouped[type] = [];
+        grouped[type].push(n);
+    });
+
+    const incomingCount = new Map();
+    view.links.forEach(l => incomingCount.set(l.target, (incomingCount.get(l.target) || 0) + 1));
+
+    Object.keys(grouped).sort().forEach(type => {
+        const header = document.createElement('div');
+        header.className = 'category-header';
+        header.innerHTML = `${escapeHtml(type)} <span class="category-toggle">${groupState[type] ? 'Expandido' : 'Agrupado'}</span>`;
+        header.onclick = () => toggleGroup(type);
+        list.appendChild(header);
+
+        const addItem = (n, className, label = n.label) => {
+            const count = incomingCount.get(n.id) || 0;
+            const div = document.createElement('div');
+            div.className = className;
+            div.innerHTML = `${escapeHtml(label)} <span class="tool-count">${count}</span>`;
+            div.onclick = (e) => { e.stopPropagation(); highlightTool(n.id, div); };
+            list.appendChild(div);
+            return div;
+        };
+
+        grouped[type].forEach(n => {
+            const div = addItem(n, 'tool-item');
+            const paths = children.get(n.id);
+            if (!paths) return;
+
+            // Hosts list their path prefixes on demand
+            const expanded = expandedNodes.has(n.id);
+            const toggle = document.createElement('span');
+            toggle.className = 'tool-toggle';
+            toggle.textContent = `${expanded ? '▾' : '▸'} ${paths.length} caminho(s)`;
+            toggle.onclick = (e) => { e.stopPropagation(); toggleChildren(n.id); };
+            div.insertBefore(toggle, div.lastChild);
+            if (expanded) paths.forEach(child => addItem(child, 'tool-item tool-child', child.path));
+        });
+    });
+
+    updateCredentialsList();
+}
+
+/**
+ * Sidebar tabs: source list (filter) and credential audit
+ */
+function setSidebarTab(tabId) {
+    document.querySelectorAll('.sidebar-tab').forEach(tab => tab.classList.toggle('active', tab.dataset.tab === tabId));
+    document.querySelectorAll('.sidebar-tab-content').forEach(el => { el.style.display = el.id === tabId ? 'block' : 'none'; });
+}
+
+/**
+ * Credential Audit: credentials within the search filter with their type and consumers,
+ * most used first. Usage counts come from the full graph.
+ */
+function updateCredentialsList() {
+    const list = document.getElementById('credentialsList');
+    if (!list) return;
+    list.innerHTML = '';
+
+    const visible = new Set(getVisibleGraph().nodes.map(n => n.id));
+    const credentials = computeCredentialUsage(getGraphIndex()).filter(c => visible.has(c.id));
+    const summary = document.createElement('div');
+    summary.className = 'impact-path';
+    const shared = credentials.filter(c => c.shared).length;
+    summary.textContent = credentials.length
+        ? `${credentials.length} credencial(is)${shared ? `, ${shared} compartilhada(s) por vários workflows` : ''}`
+        : 'Nenhuma credencial encontrada.';
+    list.appendChild(summary);
+
+    credentials.forEach(c => {
+        const div = document.createElement('div');
+        div.className = `tool-item credential-item${c.shared ? ' shared' : ''}`;
+        div.innerHTML = `${escapeHtml(c.label.replace(/^Cred: /, ''))} <span class="tool-count">${c.workflows.length} wf · ${c.consumers.length} nó(s)</span>`
+            + `<div class="impact-path">${escapeHtml(c.credentialType || 'tipo desconhecido')}${c.tags.length ? ` · tags: ${escapeHtml(c.tags.join(', '))}` : ''}</div>`;
+        div.title = c.consumers.map(n => `${getGraphIndex().label(n.workflow)} → ${n.node}${n.disabled ? ' (desativado)' : ''}`).join('\n');
+        div.onclick = () => highlightTool(c.id, div);
+
+        const rotation = document.createElement('span');
+        rotation.className = 'tool-toggle';
+        rotation.textContent = '🔁 Rotação';
+        rotation.title = 'Baixa o relatório de impacto da rotação (workflows e nós a testar)';
+        rotation.onclick = (e) => { e.stopPropagation(); exportRotationReport(c.id); };
+        div.lastChild.appendChild(rotation);
+        list.appendChild(div);
+    });
+}
+
+function exportRotationReport(credentialId) {
+    const index = getGraphIndex();
+    const name = index.label(credentialId).replace(/^Cred: /, '').replace(/[^\w-]+/g, '-').toLowerCase();
+    downloadFile(buildRotationReport(index, credentialId), `n8n-rotation-${name}.md`, 'text/markdown');
+}
+
+function highlightTool(toolId, element) {
+    selectedTool = toolId;
+    document.querySelectorAll('.tool-item').forEach(el => el.classList.remove('selected'));
+    if (element) element.classList.add('selected');
+
+    // Reset visuals
+    d3.selectAll('.node').classed('highlighted', false).classed('lineage-upstream', false).classed('lineage-downstream', false);
+    d3.selectAll('.link').classed('highlighted', false);
+    highlightState = { nodes: new Set(), links: new Set(), upstream: new Set(), downstream: new Set() };
+
+    // Radial layout follows the selection
+    if (layoutMode === 'radial' && graphData.nodes.length) {
+        if (visibleNodeId(toolId) !== layoutCenter) renderGraph({ preservePositions: true });
+    }
+
+    const visibleId = visibleNodeId;
+    const effectiveId = visibleId(toolId);
+
+    // Highlight the whole affected subgraph (blast radius) plus the node's own dependencies
+    const blast = computeBlastRadius(toolId, impactDepth);
+    const highlightedNodes = new Set([effectiveId]);
+    const highlightedLinks = new Set();
+    blast.edges.forEach(l => {
+        const s = visibleId(l.source);
+        const t = visibleId(l.target);
+        highlightedNodes.add(s); highlightedNodes.add(t);
+        highlightedLinks.add(`${s}->${t}`);
+    });
+    graphData.links.forEach(l => {
+        const s = l.source.id || l.source;
+        const t = l.target.id || l.target;
+        if (s === effectiveId) {
+            highlightedNodes.add(t);
+            highlightedLinks.add(`${s}->${t}`);
+        }
+    });
+
+    d3.selectAll('.link').filter(d => highlightedLinks.has(`${d.source.id || d.source}->${d.target.id || d.target}`)).classed('highlighted', true);
+    d3.selectAll('.node').filter(d => highlightedNodes.has(d.id)).classed('highlighted', true);
+    highlightState.nodes = highlightedNodes;
+    highlightState.links = highlightedLinks;
+    showImpact(toolId, blast);
+    showLineage(toolId);
+    drawCanvas();
+}
+
+/**
+ * Lineage of a source over the loaded graph, see StackGraph.computeLineage
+ */
+function computeLineage(sourceId, maxDepth) {
+    return StackGraph.computeLineage(getGraphIndex(), sourceId, maxDepth);
+}
+
+function showLineage(toolId) {
+    const panel = document.getElementById('lineagePanel');
+    const content = document.getElementById('lineageContent');
+    const index = getGraphIndex();
+    const target = index.node(toolId);
+    if (!panel || !content) return;
+
+    if (!target || target.type === 'workflow' || target.type.includes('credential')) {
+        panel.style.display = 'none';
+        return;
+    }
+
+    const lineage = computeLineage(toolId);
+    if (lineage.writers.length === 0 && lineage.readers.length === 0) {
+        panel.style.display = 'none';
+        return;
+    }
+
+    const label = (id) => escapeHtml(index.label(id));
+    const renderSteps = (steps, verb) => steps.map(step => {
+        const produced = step.sources.length ? ` → ${verb}: ${step.sources.map(label).join(', ')}` : '';
+        return `<li style="padding-left: ${(step.depth - 1) * 12}px">${label(step.workflow)}${produced}</li>`;
+    }).join('');
+
+    content.innerHTML = `
+        <div class="lineage-section">✏️ Escrito por</div>
+        <ul class="impact-list">${lineage.writers.map(w => `<li>${label(w.workflow)} <span class="tool-count">${escapeHtml(w.via)}</span></li>`).join('') || '<li>Nenhum fluxo</li>'}</ul>
+        <div class="lineage-section">📖 Lido por</div>
+        <ul class="impact-list">${lineage.readers.map(r => `<li>${label(r.workflow)}${r.via ? ` <span class="tool-count">${escapeHtml(r.via)}</span>` : ''}</li>`).join('') || '<li>Nenhum fluxo</li>'}</ul>
+        <div class="lineage-section">⬆ Upstream</div>
+        <ul class="impact-list">${renderSteps(lineage.upstream, 'lê') || '<li>-</li>'}</ul>
+        <div class="lineage-section">⬇ Downstream</div>
+        <ul class="impact-list">${renderSteps(lineage.downstream, 'escreve') || '<li>-</li>'}</ul>
+    `;
+    panel.style.display = 'block';
+
+    // Lineage view in the graph: upstream writers vs downstream readers (mapped to visible group nodes)
+    const upstreamIds = new Set(lineage.upstream.flatMap(s => [s.workflow, ...s.sources]).map(visibleNodeId));
+    const downstreamIds = new Set(lineage.downstream.flatMap(s => [s.workflow, ...s.sources]).map(visibleNodeId));
+    d3.selectAll('.node')
+        .classed('lineage-upstream', d => upstreamIds.has(d.id))
+        .classed('lineage-downstream', d => downstreamIds.has(d.id));
+    highlightState.upstream = upstreamIds;
+    highlightState.downstream = downstreamIds;
+}
+
+/**
+ * Blast radius of a node over the loaded graph, see StackGraph.computeBlastRadius
+ */
+function computeBlastRadius(nodeId, maxDepth) {
+    return StackGraph.computeBlastRadius(getGraphIndex(), nodeId, maxDepth);
+}
+
+// Depth limit of the impact analysis (Infinity = unlimited)
+let impactDepth = Infinity;
+
+function setImpactDepth(value) {
+    const depth = parseInt(value, 10);
+    impactDepth = depth > 0 ? depth : Infinity;
+    if (selectedTool) highlightTool(selectedTool, document.querySelector('.tool-item.selected'));
+}
+
+function showImpact(toolId, blast = computeBlastRadius(toolId, impactDepth)) {
+    const byId = getGraphIndex().byId;
+    const affected = blast.affected
+        .filter(a => byId.get(a.id)?.type === 'workflow')
+        .sort((a, b) => a.hops - b.hops || byId.get(a.id).label.localeCompare(byId.get(b.id).label));
+    const target = byId.get(toolId);
+    const panel = document.getElementById('impactPanel');
+    const list = document.getElementById('impactList');
+    const targetMeta = catalogState.nodes.get(toolId);
+    if (affected.length > 0 || targetMeta) {
+        panel.style.display = 'block';
+        showImpactOwnership(toolId, targetMeta, blast);
+        document.getElementById('impactText').textContent = affected.length === 0
+            ? 'Nenhum fluxo depende deste item.'
+            : target?.type === 'workflow'
+                ? `${affected.length} fluxo(s) chamam este fluxo direta ou indiretamente:`
+                : `${affected.length} fluxo(s) dependem desta fonte direta ou indiretamente:`;
+        list.innerHTML = affected.map(a => {
+            const path = a.path.map(id => byId.get(id)?.label || id).join(' → ');
+            const owner = catalogState.nodes.get(a.id);
+            return `<li>${escapeHtml(byId.get(a.id).label)} <span class="tool-count">${a.hops} hop${a.hops > 1 ? 's' : ''}</span>`
+                + (owner ? `<div class="impact-path">👤 ${escapeHtml(describeOwnership(owner))}</div>` : '')
+                + (a.hops > 1 ? `<div class="impact-path">${escapeHtml(path)}</div>` : '') + '</li>';
+        }).join('');
+    } else panel.style.display = 'none';
+}
+
+// Catalog metadata of the selected node and the owners of everything it affects
+function showImpactOwnership(toolId, meta, blast) {
+    const ownership = document.getElementById('impactOwnership');
+    const notifyBox = document.getElementById('impactNotify');
+    ownership.innerHTML = '';
+    notifyBox.innerHTML = '';
+    if (!catalogState.entries) return;
+
+    if (meta) {
+        const summary = describeOwnership(meta);
+        if (summary) ownership.appendChild(Object.assign(document.createElement('div'), { textContent: `👤 ${summary}` }));
+        if (meta.notes) ownership.appendChild(Object.assign(document.createElement('div'), { textContent: `📝 ${meta.notes}` }));
+    }
+
+    const notify = notifyList([toolId, ...blast.affected.map(a => a.id)], catalogState.nodes);
+    const title = document.createElement('div');
+    title.className = 'lineage-section';
+    title.textContent = '📣 Quem avisar';
+    const list = document.createElement('ul');
+    list.className = 'impact-list';
+    notify.owners.forEach(o => {
+        const li = document.createElement('li');
+        li.textContent = `${o.owner}${o.team ? ` (${o.team})` : ''} `;
+        if (o.criticality) {
+            const badge = document.createElement('span');
+            badge.className = `tool-count criticality-${o.criticality}`;
+            badge.textContent = o.criticality;
+            li.appendChild(badge);
+        }
+        const items = document.createElement('div');
+        items.className = 'impact-path';
+        items.textContent = o.nodes.map(getGraphIndex().label).join(', ');
+        li.appendChild(items);
+        list.appendChild(li);
+    });
+    if (notify.owners.length === 0) list.innerHTML = '<li>Nenhum dono catalogado</li>';
+    else if (notify.unowned.length) {
+        const li = document.createElement('li');
+        li.className = 'impact-path';
+        li.textContent = `${notify.unowned.length} item(ns) sem dono no catálogo`;
+        list.appendChild(li);
+    }
+    notifyBox.append(title, list);
+}
+
+/**
+ * Workflow Inspector: side panel opened by clicking a workflow, with its metadata, triggers,
+ * internal flow (built from `connections`) and the internal node behind each outbound edge
+ */
+let inspectedWorkflow = null;
+let n8nEditorUrl = null; // "n8n_url" of visualizer_config.json, else the live mode URL
+
+const TRIGGER_KIND_LABELS = {
+    schedule: 'Agendamento', webhook: 'Webhook', polling: 'Polling', manual: 'Manual',
+    error: 'Error Trigger', subworkflow: 'Sub-workflow', event: 'Evento'
+};
+
+// "n8n_url" may be a single URL or a map of environment -> URL
+function workflowEditorUrl(workflowId, environment) {
+    const configured = n8nEditorUrl && typeof n8nEditorUrl === 'object'
+        ? n8nEditorUrl[environment || 'default']
+        : n8nEditorUrl;
+    const base = configured || localStorage.getItem('n8n_base_url');
+    return base ? `${base.replace(/\/+$/, '')}/workflow/${encodeURIComponent(workflowId)}` : null;
+}
+
+function describeTrigger(trigger) {
+    if (trigger.schedules.length) {
+        return trigger.schedules.map(s => (s.seconds ? `a cada ${s.seconds} s` : `cron ${s.cron}`)).join(' · ');
+    }
+    return trigger.method ? `${trigger.method} /${trigger.path}` : '';
+}
+
+function openWorkflowInspector(workflowId) {
+    inspectedWorkflow = workflowId;
+    renderWorkflowInspector();
+}
+
+function closeWorkflowInspector() {
+    inspectedWorkflow = null;
+    document.getElementById('workflowInspector').style.display = 'none';
+}
+
+function renderWorkflowInspector() {
+    const panel = document.getElementById('workflowInspector');
+    if (!panel || !inspectedWorkflow) return;
+
+    const index = getGraphIndex();
+    const node = index.node(inspectedWorkflow);
+    const workflow = graphWorkflows.get(inspectedWorkflow) || null;
+    if (!node || !workflow) {
+        closeWorkflowInspector();
+        return;
+    }
+
+    document.getElementById('inspectorTitle').textContent = workflow.name;
+    const editorLink = document.getElementById('inspectorEditorLink');
+    const editorUrl = workflowEditorUrl(workflow.id, node.environment);
+    editorLink.style.display = editorUrl ? '' : 'none';
+    if (editorUrl) editorLink.href = editorUrl;
+
+    const content = document.getElementById('inspectorContent');
+    content.innerHTML = '';
+    const add = (parent, tag, className, text) => {
+        const el = document.createElement(tag);
+        if (className) el.className = className;
+        if (text !== undefined) el.textContent = text;
+        parent.appendChild(el);
+        return el;
+    };
+    const section = (title) => add(content, 'div', 'lineage-section', title);
+
+    // Metadata
+    const meta = add(content, 'dl', 'inspector-meta');
+    [
+        ['Status', node.active ? '✅ Ativo' : '⏸ Inativo'],
+        ['Tags', node.tags.length ? node.tags.join(', ') : '-'],
+        ['Atualizado', workflow.updatedAt ? new Date(workflow.updatedAt).toLocaleString('pt-BR') : '-'],
+        ['ID', workflow.id],
+        ...(node.environment ? [['Ambiente', node.environment]] : []),
+        ...(catalogState.nodes.has(node.id) ? [['Dono', describeOwnership(catalogState.nodes.get(node.id)) || '-']] : []),
+        ['Nós', (workflow.nodes || []).length]
+    ].forEach(([label, value]) => {
+        add(meta, 'dt', null, label);
+        add(meta, 'dd', null, String(value));
+    });
+
+    // Triggers and callers
+    section('⏰ Gatilhos');
+    const triggerList = add(content, 'ul', 'impact-list');
+    const triggers = describeTriggers(workflow);
+    triggers.forEach(t => {
+        const li = add(triggerList, 'li', null, `${TRIGGER_KIND_LABELS[t.kind]}: ${t.node}`);
+        const detail = describeTrigger(t);
+        if (detail) add(li, 'div', 'impact-path', detail);
+    });
+    const callers = index.incoming(node.id).filter(l => l.type === 'calls_workflow');
+    callers.forEach(l => {
+        const li = add(triggerList, 'li', 'inspector-link', `Chamado por: ${index.label(l.source)}`);
+        if (l.nodeName) add(li, 'div', 'impact-path', `nó "${l.nodeName}"`);
+        li.onclick = () => highlightTool(l.source, null);
+    });
+    if (triggers.length === 0 && callers.length === 0) add(triggerList, 'li', null, 'Nenhum gatilho ativo');
+
+    // Outbound edges by the internal node that produced them
+    const edgesByNode = new Map();
+    index.outgoing(node.id).filter(l => l.type !== 'auth').forEach(l => {
+        const key = l.nodeName || '';
+        if (!edgesByNode.has(key)) edgesByNode.set(key, []);
+        edgesByNode.get(key).push(l);
+    });
+    const credentialsByNode = new Map();
+    index.nodes.filter(n => n.consumers).forEach(cred => cred.consumers
+        .filter(c => c.workflow === node.id)
+        .forEach(c => {
+            if (!credentialsByNode.has(c.node)) credentialsByNode.set(c.node, []);
+            credentialsByNode.get(c.node).push(cred);
+        }));
+
+    // Internal flow
+    section('🔀 Fluxo interno');
+    const flow = workflowFlow(workflow);
+    const flowBox = add(content, 'div', 'inspector-flow');
+    if (flow.nodes.length) drawWorkflowFlow(flowBox, flow, edgesByNode);
+    else add(flowBox, 'div', 'impact-path', 'Workflow sem nós');
+
+    section('🔗 Dependências por nó');
+    const depList = add(content, 'ul', 'impact-list inspector-deps');
+    const nodeNames = [...new Set([...edgesByNode.keys(), ...credentialsByNode.keys()])];
+    nodeNames.forEach(name => {
+        const li = add(depList, 'li', null);
+        li.dataset.node = name;
+        add(li, 'strong', null, name || '(sem nó)');
+        (edgesByNode.get(name) || []).forEach(l => {
+            const target = index.node(l.target);
+            const row = add(li, 'div', 'inspector-link', `→ ${index.label(l.target)} `);
+            row.style.borderLeftColor = colorMap[target ? getGroup(target) : 'other'];
+            add(row, 'span', 'tool-count', l.access || l.type);
+            row.onclick = () => highlightTool(l.target, null);
+        });
+        (credentialsByNode.get(name) || []).forEach(cred => {
+            const row = add(li, 'div', 'inspector-link', `🔑 ${cred.label.replace(/^Cred: /, '')}`);
+            row.onclick = () => highlightTool(cred.id, null);
+        });
+    });
+    if (nodeNames.length === 0) add(depList, 'li', null, 'Nenhuma dependência externa');
+
+    panel.style.display = 'flex';
+}
+
+/**
+ * Columns of the internal flow: longest path from the entry nodes along "main" connections
+ * (edges closing a loop are ignored); AI sub-nodes sit below the agent they are attached to
+ */
+function computeFlowPositions(flow) {
+    const main = flow.edges.filter(e => e.kind === 'main');
+    const depth = new Map(flow.nodes.map(n => [n.name, 0]));
+    const indegree = new Map(flow.nodes.map(n => [n.name, 0]));
+    main.forEach(e => indegree.set(e.target, indegree.get(e.target) + 1));
+
+    const queue = flow.nodes.filter(n => indegree.get(n.name) === 0).map(n => n.name);
+    while (queue.length) {
+        const name = queue.shift();
+        main.filter(e => e.source === name).forEach(e => {
+            depth.set(e.target, Math.max(depth.get(e.target), depth.get(name) + 1));
+            indegree.set(e.target, indegree.get(e.target) - 1);
+            if (indegree.get(e.target) === 0) queue.push(e.target);
+        });
+    }
+
+    const inMain = new Set(main.flatMap(e => [e.source, e.target]));
+    const subNodes = new Set();
+    flow.edges.filter(e => e.kind !== 'main' && !inMain.has(e.source)).forEach(e => {
+        depth.set(e.source, depth.get(e.target));
+        subNodes.add(e.source);
+    });
+
+    const columns = new Map();
+    [...flow.nodes].sort((a, b) => subNodes.has(a.name) - subNodes.has(b.name)).forEach(n => {
+        const c = depth.get(n.name);
+        if (!columns.has(c)) columns.set(c, []);
+        columns.get(c).push(n.name);
+    });
+
+    const positions = new Map();
+    columns.forEach((names, c) => names.forEach((name, row) => positions.set(name, { x: 8 + c * 130, y: 8 + row * 34 })));
+    return positions;
+}
+
+function drawWorkflowFlow(container, flow, edgesByNode) {
+    const positions = computeFlowPositions(flow);
+    const boxWidth = 110;
+    const boxHeight = 24;
+    const width = Math.max(...[...positions.values()].map(p => p.x)) + boxWidth + 8;
+    const height = Math.max(...[...positions.values()].map(p => p.y)) + boxHeight + 8;
+    const index = getGraphIndex();
+
+    const flowSvg = d3.select(container).append('svg').attr('width', width).attr('height', height);
+    flowSvg.selectAll('path')
+        .data(flow.edges)
+        .join('path')
+        .attr('class', d => `flow-edge${d.kind === 'main' ? '' : ' flow-edge-ai'}`)
+        .attr('d', d => {
+            const s = positions.get(d.source);
+            const t = positions.get(d.target);
+            if (d.kind !== 'main') return `M${s.x + boxWidth / 2},${s.y} L${t.x + boxWidth / 2},${t.y + boxHeight}`;
+            const x1 = s.x + boxWidth, y1 = s.y + boxHeight / 2, x2 = t.x, y2 = t.y + boxHeight / 2;
+            return `M${x1},${y1} C${x1 + 20},${y1} ${x2 - 20},${y2} ${x2},${y2}`;
+        });
+
+    const box = flowSvg.selectAll('g')
+        .data(flow.nodes)
+        .join('g')
+        .attr('class', d => `flow-node${d.trigger ? ' trigger' : ''}${d.disabled ? ' disabled' : ''}${edgesByNode.has(d.name) ? ' has-deps' : ''}`)
+        .attr('transform', d => `translate(${positions.get(d.name).x},${positions.get(d.name).y})`)
+        .on('click', (event, d) => {
+            // Points to the node's dependencies in the list below
+            document.querySelectorAll('.inspector-deps li').forEach(li => {
+                li.classList.toggle('selected', li.dataset.node === d.name);
+                if (li.dataset.node === d.name) li.scrollIntoView({ block: 'nearest' });
+            });
+        });
+
+    box.append('rect').attr('width', boxWidth).attr('height', boxHeight).attr('rx', 4);
+    // Dependency stripe in the color of the first target's group
+    box.filter(d => edgesByNode.has(d.name)).append('rect')
+        .attr('class', 'flow-deps')
+        .attr('width', 4).attr('height', boxHeight)
+        .style('fill', d => {
+            const target = index.node(edgesByNode.get(d.name)[0].target);
+            return colorMap[target ? getGroup(target) : 'other'];
+        });
+    box.append('text').attr('x', 8).attr('y', 16)
+        .text(d => (d.name.length > 16 ? `${d.name.slice(0, 15)}…` : d.name));
+    box.append('title').text(d => {
+        const deps = (edgesByNode.get(d.name) || []).map(l => `→ ${index.label(l.target)} (${l.access || l.type})`);
+        return [d.name, d.type, ...(d.disabled ? ['(desativado)'] : []), ...deps].join('\n');
+    });
+}
+
+/**
+ * Schedule Calendar: heatmap of when active scheduled workflows fire (StackGraph.computeSchedule),
+ * with an overlay of the slots where workflows touching the same resource run together
+ */
+let scheduleTimeZone = null; // "timezone" of visualizer_config.json, else the browser's
+let scheduleState = null;    // Last computeSchedule result shown
+
+function toggleScheduleView(visible) {
+    const view = document.getElementById('scheduleView');
+    const show = visible ?? view.style.display === 'none';
+    view.style.display = show ? 'flex' : 'none';
+    if (show) renderScheduleView();
+}
+
+function renderScheduleView() {
+    const view = document.getElementById('scheduleView');
+    if (!view || view.style.display === 'none' || !currentData) return;
+    const status = document.getElementById('scheduleStatus');
+    const content = document.getElementById('scheduleContent');
+    content.innerHTML = '';
+
+    const index = getGraphIndex();
+    try {
+        scheduleState = computeSchedule(graphWorkflows, index, {
+            timeZone: scheduleTimeZone || Intl.DateTimeFormat().resolvedOptions().timeZone,
+            days: parseInt(document.getElementById('schedulePeriod').value, 10),
+            bucketMinutes: parseInt(document.getElementById('scheduleWindow').value, 10)
+        });
+    } catch (e) {
+        console.error('Falha ao calcular a agenda:', e);
+        status.textContent = `❌ ${e.message}`;
+        return;
+    }
+
+    const { workflows, collisions } = scheduleState;
+    if (workflows.length === 0) {
+        status.textContent = 'Nenhum workflow ativo com agendamento ou polling.';
+        return;
+    }
+    status.textContent = `${workflows.length} workflow(s) agendado(s), ${collisions.length} colisão(ões) em janelas de `
+        + `${scheduleState.bucketMinutes} min · fuso ${scheduleState.timeZone}`;
+
+    const showCollisions = document.getElementById('scheduleCollisions').checked;
+    drawScheduleHeatmap(content, scheduleState, showCollisions);
+    if (!showCollisions || collisions.length === 0) return;
+
+    const title = document.createElement('div');
+    title.className = 'lineage-section';
+    title.textContent = '⚠ Recursos disputados';
+    content.appendChild(title);
+
+    const list = document.createElement('ul');
+    list.className = 'impact-list schedule-collisions';
+    collisions.forEach(c => {
+        const li = document.createElement('li');
+        li.textContent = `${index.label(c.resource)}: ${c.workflows.map(index.label).join(', ')}`;
+        const slots = document.createElement('div');
+        slots.className = 'impact-path';
+        slots.textContent = `${c.slots.length} janela(s): ${c.slots.slice(0, 6).map(slot => formatScheduleSlot(slot)).join('; ')}${c.slots.length > 6 ? '; ...' : ''}`;
+        li.appendChild(slots);
+        li.onclick = () => highlightTool(c.resource, null);
+        list.appendChild(li);
+    });
+    content.appendChild(list);
+}
+
+function formatScheduleSlot(minutes, options = { weekday: 'short', hour: '2-digit', minute: '2-digit' }) {
+    return new Date(new Date(scheduleState.start).getTime() + minutes * 60000)
+        .toLocaleString('pt-BR', { timeZone: scheduleState.timeZone, ...options });
+}
+
+/**
+ * Rows: scheduled workflows; columns: hours of the window. Cell shade is the number of runs
+ * in the hour; with the overlay on, hours where the workflow collides are outlined in red
+ * and the first row counts the contested resources per hour
+ */
+function drawScheduleHeatmap(container, schedule, showCollisions) {
+    const hours = schedule.days * 24;
+    const cellWidth = schedule.days === 1 ? 28 : 7;
+    const rowHeight = 18;
+    const labelWidth = 190;
+    const top = 34;
+    const index = getGraphIndex();
+
+    // Contested resources per workflow and hour
+    const contested = new Map();
+    if (showCollisions) {
+        schedule.collisions.forEach(c => c.slots.forEach(slot => c.workflows.concat('__all').forEach(id => {
+            const key = `${id}:${Math.floor(slot / 60)}`;
+            if (!contested.has(key)) contested.set(key, new Set());
+            contested.get(key).add(c.resource);
+        })));
+    }
+
+    const rows = (showCollisions ? [{ id: '__all', label: '⚠ Colisões' }] : []).concat(schedule.workflows);
+    const heat = d3.select(container).append('svg')
+        .attr('class', 'schedule-heatmap')
+        .attr('width', labelWidth + hours * cellWidth + 8)
+        .attr('height', top + rows.length * rowHeight + 4);
+
+    // Day labels and hour ticks
+    for (let day = 0; day < schedule.days; day++) {
+        heat.append('text').attr('class', 'schedule-day')
+            .attr('x', labelWidth + day * 24 * cellWidth + 2).attr('y', 12)
+            .text(formatScheduleSlot(day * 1440, { weekday: 'short', day: '2-digit', month: '2-digit' }));
+        [0, 6, 12, 18].forEach(hour => heat.append('text').attr('class', 'schedule-hour')
+            .attr('x', labelWidth + (day * 24 + hour) * cellWidth).attr('y', 28)
+            .text(schedule.days === 1 || hour === 12 ? `${hour}h` : ''));
+    }
+
+    rows.forEach((row, r) => {
+        const y = top + r * rowHeight;
+        const label = heat.append('text').attr('class', `schedule-label${row.id === '__all' ? ' collisions' : ''}`)
+            .attr('x', 0).attr('y', y + 13)
+            .text(row.label.length > 28 ? `${row.label.slice(0, 27)}…` : row.label);
+        if (row.id !== '__all') {
+            label.on('click', () => {
+                highlightTool(row.id, null);
+                openWorkflowInspector(row.id);
+            });
+            label.append('title').text(`${row.label}\n${row.triggers.map(t => `${t.node}: ${describeTrigger(t)}`).join('\n')}`
+                + (row.invalid.length ? `\nCron inválido: ${row.invalid.join(', ')}` : ''));
+        }
+
+        const runs = new Array(hours).fill(0);
+        if (row.id !== '__all') row.firings.forEach(m => { runs[Math.floor(m / 60)]++; });
+        for (let hour = 0; hour < hours; hour++) {
+            const resources = contested.get(`${row.id}:${hour}`);
+            const count = row.id === '__all' ? (resources?.size || 0) : runs[hour];
+            if (count === 0 && !resources) continue;
+            const cell = heat.append('rect')
+                .attr('class', `schedule-cell${row.id === '__all' ? ' collisions' : ''}${resources ? ' collision' : ''}`)
+                .attr('x', labelWidth + hour * cellWidth).attr('y', y + 2)
+                .attr('width', cellWidth - 1).attr('height', rowHeight - 4)
+                .style('fill-opacity', 0.25 + 0.75 * Math.min(count, 12) / 12);
+            const when = formatScheduleSlot(hour * 60);
+            cell.append('title').text(row.id === '__all'
+                ? `${when}: ${[...resources].map(index.label).join(', ')}`
+                : `${row.label} · ${when}: ${row.subMinute ? 'contínuo' : `${count} execução(ões)`}`
+                    + (resources ? `\nDisputa: ${[...resources].map(index.label).join(', ')}` : ''));
+        }
+    });
+}
+
+function exportScheduleReport() {
+    if (!scheduleState) return;
+    downloadFile(buildScheduleReport(scheduleState, getGraphIndex()), 'n8n-schedule.md', 'text/markdown');
+}
+
+/* D3 Drag Handlers */
+function dragstarted(event, d) { if (!event.active) simulation.alphaTarget(0.3).restart(); d.fx = d.x; d.fy = d.y; }
+function dragged(event, d) { d.fx = event.x; d.fy = event.y; }
+function dragended(event, d) {
+    if (!event.active) simulation.alphaTarget(0);
+    // With pinning on, dragged nodes stay where they were dropped (double-click releases them)
+    if (document.getElementById('pinOnDrag')?.checked) {
+        d3.selectAll('.node').filter(n => n === d).classed('pinned', true);
+        drawCanvas();
+        return;
+    }
+    d.fx = null;
+    d.fy = null;
+}
+
+function unpinNode(d) {
+    d.fx = null;
+    d.fy = null;
+    d3.selectAll('.node').filter(n => n === d).classed('pinned', false);
+    simulation.alpha(0.1).restart();
+    drawCanvas();
+}
+
+function unpinAll() {
+    simulation.nodes().forEach(d => { d.fx = null; d.fy = null; });
+    d3.selectAll('.node').classed('pinned', false);
+    simulation.alpha(0.3).restart();
+}
+
+/**
+ * Snapshot Diff: Compares the loaded graph against another stack_data.json (StackGraph.diffGraphs)
+ */
+
+/**
+ * Loads a second snapshot (URL or File) and shows its differences against the current data
+ */
+async function compareWithSnapshot(sourceInput) {
+    const status = document.getElementById('diffStatus');
+    try {
+        let baseData;
+        let baseLabel;
+        if (typeof sourceInput === 'string') {
+            const res = await fetch(sourceInput);
+            if (!res.ok) throw new Error(`HTTP ${res.status}`);
+            baseData = await res.json();
+            baseLabel = sourceInput;
+        } else {
+            baseData = JSON.parse(await sourceInput.text());
+            baseLabel = sourceInput.name;
+        }
+
+        const base = buildGraph(baseData);
+        const current = buildGraph(currentData);
+        diffState = {
+            baseLabel,
+            baseGeneratedAt: baseData.metadata?.generated_at || null,
+            currentGeneratedAt: currentData.metadata?.generated_at || null,
+            result: diffGraphs(base, current)
+        };
+        applyDiffToGraph(base, current);
+        updateDiffPanel();
+    } catch (e) {
+        console.error('Falha ao comparar snapshots:', e);
+        if (status) status.textContent = `❌ Não foi possível carregar o snapshot: ${e.message}`;
+    }
+}
+
+/**
+ * Merges removed nodes/edges back into the raw graph and tags every element with its diff status
+ */
+function applyDiffToGraph(base, current) {
+    const { result } = diffState;
+    const statusById = new Map();
+    ['workflows', 'sources', 'credentials'].forEach(cat => {
+        result[cat].added.forEach(n => statusById.set(n.id, 'added'));
+        result[cat].changed.forEach(n => statusById.set(n.id, 'changed'));
+        result[cat].removed.forEach(n => statusById.set(n.id, 'removed'));
+    });
+
+    const removedLinks = new Set(result.edges.removed.map(diffLinkKey));
+    const addedLinks = new Set(result.edges.added.map(diffLinkKey));
+    const changedLinks = new Set(result.edges.changed.map(diffLinkKey));
+    const linkStatus = (l) => {
+        const key = diffLinkKey(l);
+        if (addedLinks.has(key)) return 'added';
+        if (changedLinks.has(key)) return 'changed';
+        return removedLinks.has(key) ? 'removed' : 'unchanged';
+    };
+
+    rawNodes = [
+        ...current.nodes.map(n => ({ ...n, diffStatus: statusById.get(n.id) || 'unchanged' })),
+        ...base.nodes.filter(n => statusById.get(n.id) === 'removed').map(n => ({ ...n, diffStatus: 'removed' }))
+    ];
+    rawLinks = [
+        ...current.links.map(l => ({ ...l, diffStatus: linkStatus(l) })),
+        ...base.links.filter(l => removedLinks.has(diffLinkKey(l))).map(l => ({ ...l, diffStatus: 'removed' }))
+    ];
+
+    evaluatePolicyRules();
+    updateToolsList();
+    updateGraphData({ preservePositions: true });
+    updateHygienePanel();
+}
+
+function clearDiff() {
+    if (currentData) processWorkflows(currentData);
+}
+
+/**
+ * Renders the sidebar change log for the active comparison
+ */
+function updateDiffPanel() {
+    const content = document.getElementById('diffContent');
+    const status = document.getElementById('diffStatus');
+    if (!content || !status) return;
+
+    if (!diffState) {
+        content.innerHTML = '';
+        status.textContent = currentData ? 'Carregue um snapshot anterior para comparar.' : '';
+        return;
+    }
+
+    const { result } = diffState;
+    const titles = { workflows: 'Workflows', sources: 'Fontes', credentials: 'Credenciais', edges: 'Arestas' };
+    const labelOf = getGraphIndex().label;
+    const label = (item) => escapeHtml(item.label || `${labelOf(item.source)} → ${labelOf(item.target)} (${item.type})`);
+
+    status.textContent = `Comparando com ${diffState.baseLabel}`;
+    content.innerHTML = Object.keys(titles).map(cat => {
+        const entries = [
+            ...result[cat].added.map(i => `<li class="diff-added">+ ${label(i)}</li>`),
+            ...result[cat].removed.map(i => `<li class="diff-removed">− ${label(i)}</li>`),
+            ...result[cat].changed.map(i => `<li class="diff-changed">~ ${label(i)} <span class="impact-path">${escapeHtml(i.changes.map(c => c.attr).join(', '))}</span></li>`)
+        ];
+        return `<div class="lineage-section">${titles[cat]} (+${result[cat].added.length} −${result[cat].removed.length} ~${result[cat].changed.length})</div>`
+            + `<ul class="impact-list">${entries.join('') || '<li>Sem mudanças</li>'}</ul>`;
+    }).join('') + `
+        <div class="diff-actions">
+            <button class="secondary" onclick="exportDiff('md')">📄 Markdown</button>
+            <button class="secondary" onclick="exportDiff('json')">🧾 JSON</button>
+            <button class="secondary" onclick="clearDiff()">✖ Limpar</button>
+        </div>`;
+}
+
+function exportDiff(format) {
+    if (!diffState) return;
+    const { result } = diffState;
+
+    if (format === 'json') {
+        const clean = (item) => ({ id: item.id, label: item.label, type: item.type, source: item.source, target: item.target, access: item.access, changes: item.changes });
+        const json = {
+            base: { file: diffState.baseLabel, generated_at: diffState.baseGeneratedAt },
+            current: { generated_at: diffState.currentGeneratedAt },
+            changes: Object.fromEntries(Object.entries(result).map(([cat, groups]) => [
+                cat, Object.fromEntries(Object.entries(groups).map(([kind, items]) => [kind, items.map(clean)]))
+            ]))
+        };
+        downloadFile(JSON.stringify(json, null, 2), 'n8n-stack-diff.json', 'application/json');
+        return;
+    }
+
+    const labelOf = getGraphIndex().label;
+    const formatValue = (v) => Array.isArray(v) ? v.join(', ') : String(v);
+    let md = '# n8n Stack Diff\n';
+    md += `Base: ${diffState.baseLabel} (${diffState.baseGeneratedAt || 'data desconhecida'})\n`;
+    md += `Atual: ${diffState.currentGeneratedAt || 'data desconhecida'}\n\n`;
+
+    const titles = { workflows: 'Workflows', sources: 'Data Sources', credentials: 'Credentials', edges: 'Dependencies' };
+    Object.keys(titles).forEach(cat => {
+        md += `## ${titles[cat]}\n\n`;
+        const line = (item) => cat === 'edges'
+            ? `${labelOf(item.source)} → ${labelOf(item.target)} (${item.type}${item.access?.length ? `, ${item.access.join('/')}` : ''})`
+            : item.label;
+        [['added', 'Added'], ['removed', 'Removed'], ['changed', 'Changed']].forEach(([kind, title]) => {
+            if (result[cat][kind].length === 0) return;
+            md += `### ${title} (${result[cat][kind].length})\n`;
+            result[cat][kind].forEach(item => {
+                md += `- ${line(item)}`;
+                if (item.changes) md += `: ${item.changes.map(c => `${c.attr} ${formatValue(c.from)} → ${formatValue(c.to)}`).join('; ')}`;
+                md += '\n';
+            });
+            md += '\n';
+        });
+    });
+
+    downloadFile(md, 'n8n-stack-diff.md', 'text/markdown');
+}
+
+/**
+ * Environments: datasets with several n8n instances / Supabase projects (see StackGraph.buildGraph)
+ * can be filtered to one environment, laid out side by side and compared for drift
+ */
+let environmentFilter = null;                       // Environment shown, null for all
+let driftState = { drift: null, nodes: new Set() }; // Last computeEnvironmentDrift result and its workflows
+
+function updateEnvironmentControls() {
+    const environments = currentData ? listEnvironments(currentData) : [];
+    if (!environments.includes(environmentFilter)) environmentFilter = null;
+
+    const select = document.getElementById('environmentSelect');
+    if (select) {
+        select.innerHTML = '';
+        select.add(new Option('🌐 Todos os ambientes', ''));
+        environments.forEach(e => select.add(new Option(e, e)));
+        select.value = environmentFilter || '';
+        select.style.display = environments.length > 1 ? '' : 'none';
+    }
+    const layoutOption = document.querySelector('#layoutSelect option[value="environments"]');
+    if (layoutOption) layoutOption.hidden = environments.length < 2;
+
+    updateDriftPanel(environments);
+}
+
+function setEnvironmentFilter(environment) {
+    environmentFilter = environment || null;
+    updateGraphData({ preservePositions: true });
+}
+
+function updateDriftPanel(environments = currentData ? listEnvironments(currentData) : []) {
+    const panel = document.getElementById('driftPanel');
+    const content = document.getElementById('driftContent');
+    driftState = { drift: null, nodes: new Set() };
+    if (!panel || !content) return;
+    panel.style.display = environments.length > 1 ? '' : 'none';
+    content.innerHTML = '';
+    if (environments.length < 2) return;
+
+    const selects = [document.getElementById('driftLeft'), document.getElementById('driftRight')];
+    selects.forEach((select, i) => {
+        const previous = select.value;
+        select.innerHTML = '';
+        environments.forEach(e => select.add(new Option(e, e)));
+        select.value = environments.includes(previous) ? previous : environments[i];
+    });
+    const [left, right] = selects.map(select => select.value);
+
+    const summary = document.createElement('div');
+    summary.className = 'impact-path';
+    content.appendChild(summary);
+    if (left === right) {
+        summary.textContent = 'Escolha dois ambientes diferentes.';
+        return;
+    }
+
+    const drift = computeEnvironmentDrift(getGraphIndex(), left, right);
+    driftState = { drift, nodes: new Set([...drift.missing.map(m => m.id), ...drift.changed.flatMap(c => [c.left, c.right])]) };
+    summary.textContent = drift.missing.length || drift.changed.length
+        ? `${drift.missing.length} workflow(s) ausente(s), ${drift.changed.length} com diferenças`
+        : 'Nenhuma diferença entre os ambientes.';
+
+    const addSection = (title, items, render) => {
+        if (items.length === 0) return;
+        const section = document.createElement('div');
+        section.className = 'lineage-section';
+        section.textContent = title;
+        const list = document.createElement('ul');
+        list.className = 'impact-list';
+        items.forEach(item => {
+            const [label, details, target] = render(item);
+            const li = document.createElement('li');
+            li.textContent = label;
+            details.forEach(text => {
+                const detail = document.createElement('div');
+                detail.className = 'impact-path';
+                detail.textContent = text;
+                li.appendChild(detail);
+            });
+            li.onclick = () => highlightTool(target, null);
+            list.appendChild(li);
+        });
+        content.append(section, list);
+    };
+    addSection('Ausentes', drift.missing, m => [m.name, [`só em ${m.environment}`], m.id]);
+    addSection('Com diferenças', drift.changed, c => {
+        const details = c.active ? ['status ativo difere'] : [];
+        [[left, 'left'], [right, 'right']].forEach(([environment, side]) => {
+            const only = [...c.sources[side], ...c.credentials[side].map(name => `🔑 ${name.replace(/^Cred: /, '')}`)];
+            if (only.length) details.push(`só em ${environment}: ${only.join(', ')}`);
+        });
+        return [c.name, details, c.right];
+    });
+
+    const actions = document.createElement('div');
+    actions.className = 'diff-actions';
+    actions.innerHTML = '<button class="secondary" onclick="exportDriftReport()">📄 Markdown</button>';
+    content.appendChild(actions);
+}
+
+function onDriftEnvironmentsChange() {
+    updateDriftPanel();
+    updateGraphData({ preservePositions: true });
+}
+
+function exportDriftReport() {
+    const drift = driftState.drift;
+    if (!drift) return;
+    downloadFile(buildDriftReport(drift), `n8n-drift-${drift.left}-${drift.right}.md`, 'text/markdown');
+}
+
+/**
+ * Stack Hygiene: cleanup candidates of the loaded graph, see StackGraph.computeHygiene
+ */
+const HYGIENE_TITLES = {
+    unusedTables: 'Tabelas não usadas',
+    unusedFunctions: 'Funções RPC não usadas',
+    inactiveWorkflows: 'Workflows inativos',
+    noTriggerWorkflows: 'Workflows sem gatilho',
+    inactiveOnlySources: 'Fontes usadas só por workflows inativos',
+    disabledCredentials: 'Credenciais usadas só por um nó desativado'
+};
+
+// Items without a date (never touched by a workflow) come first when sorting by age
+const HYGIENE_SORTS = {
+    label: (a, b) => a.label.localeCompare(b.label),
+    oldest: (a, b) => (a.updatedAt || '').localeCompare(b.updatedAt || '') || a.label.localeCompare(b.label),
+    recent: (a, b) => (b.updatedAt || '').localeCompare(a.updatedAt || '') || a.label.localeCompare(b.label)
+};
+
+function hygieneDetail(item, label) {
+    const details = [];
+    if (item.manualOnly) details.push('só gatilho manual');
+    if (item.node) details.push(`nó "${item.node}"`);
+    if (item.workflows?.length) details.push(item.workflows.map(label).join(', '));
+    if (item.tables?.length) details.push(`lê ${item.tables.map(label).join(', ')}`);
+    if (item.updatedAt) details.push(`atualizado em ${new Date(item.updatedAt).toLocaleDateString()}`);
+    return details.join(' · ');
+}
+
+function updateHygienePanel() {
+    const content = document.getElementById('hygieneContent');
+    if (!content) return;
+    content.innerHTML = '';
+    if (!currentData) return;
+
+    // Same graph as the renderer (nodes removed in a snapshot comparison are skipped)
+    const index = getGraphIndex();
+    const hygiene = computeHygiene(index);
+    const sort = HYGIENE_SORTS[document.getElementById('hygieneSort')?.value] || HYGIENE_SORTS.label;
+    const total = Object.values(hygiene).reduce((sum, items) => sum + items.length, 0);
+
+    const summary = document.createElement('div');
+    summary.className = 'impact-path';
+    summary.textContent = total ? `${total} item(ns) para revisar` : 'Nenhum item para revisar.';
+    content.appendChild(summary);
+
+    Object.entries(HYGIENE_TITLES).forEach(([category, title]) => {
+        const items = [...hygiene[category]].sort(sort);
+        const section = document.createElement('details');
+        section.className = 'hygiene-section';
+        section.innerHTML = `<summary>${title} <span class="tool-count">${items.length}</span></summary>`;
+
+        const list = document.createElement('ul');
+        list.className = 'impact-list';
+        items.forEach(item => {
+            const li = document.createElement('li');
+            li.innerHTML = `${escapeHtml(item.label)}<div class="impact-path">${escapeHtml(hygieneDetail(item, index.label))}</div>`;
+            li.onclick = () => highlightTool(item.id, null);
+            list.appendChild(li);
+        });
+        if (items.length === 0) list.innerHTML = '<li>Nenhum</li>';
+        section.appendChild(list);
+        content.appendChild(section);
+    });
+
+    const actions = document.createElement('div');
+    actions.className = 'diff-actions';
+    actions.innerHTML = `
+        <button class="secondary" onclick="exportHygiene('md')">📄 Markdown</button>
+        <button class="secondary" onclick="exportHygiene('csv')">🧾 CSV</button>`;
+    content.appendChild(actions);
+}
+
+function exportHygiene(format) {
+    if (!currentData) return;
+    const index = getGraphIndex();
+    const hygiene = computeHygiene(index);
+    if (format === 'csv') {
+        const csv = toCsv(hygieneRows(hygiene, index), ['category', 'id', 'label', 'updated_at', 'workflows', 'node']);
+        downloadFile(csv, 'n8n-stack-hygiene.csv', 'text/csv');
+        return;
+    }
+    downloadFile(buildHygieneReport(hygiene, index), 'n8n-stack-hygiene.md', 'text/markdown');
+}
+
+function loadDiffFromUrl() {
+    const url = document.getElementById('diffUrlInput').value.trim();
+    if (url) compareWithSnapshot(url);
+}
+
+function loadDiffFromFile(input) {
+    if (input.files && input.files[0]) compareWithSnapshot(input.files[0]);
+    input.value = '';
+}
+
+/**
+ * Data Loaders
+ */
+
+/**
+ * Loads the optional visualizer_config.json (served next to stack_data.json)
+ * and registers the extra extractors it declares
+ */
+async function loadVisualizerConfig() {
+    try {
+        const res = await fetch('visualizer_config.json');
+        if (!res.ok) return;
+
+        const config = await res.json();
+        (config.extractors || []).forEach(registerExtractor);
+        Object.entries(config.hosts || {}).forEach(([pattern, mapping]) => registerHost(pattern, mapping));
+        if (config.n8n_url) n8nEditorUrl = config.n8n_url;
+        if (config.timezone) scheduleTimeZone = config.timezone;
+        syncGroupState();
+        updateLegend();
+    } catch (e) {
+        console.warn('Falha ao carregar visualizer_config.json:', e);
+    }
+}
+
+/**
+ * Policy Rules: visualizer_rules.json/.yaml served next to stack_data.json (or a file picked in
+ * the panel), re-evaluated on every load. See StackGraph.parsePolicyRules for the format.
+ */
+const POLICY_RULES_FILES = ['visualizer_rules.json', 'visualizer_rules.yaml', 'visualizer_rules.yml'];
+
+// JSON, or YAML by extension (js-yaml from the CDN)
+function parseDocumentText(text, fileName) {
+    if (!/\.ya?ml$/i.test(fileName)) return JSON.parse(text);
+    if (!window.jsyaml) throw new Error('js-yaml não carregado');
+    return window.jsyaml.load(text);
+}
+
+function parseRulesText(text, fileName) {
+    return parsePolicyRules(parseDocumentText(text, fileName));
+}
+
+async function loadPolicyRules() {
+    for (const path of POLICY_RULES_FILES) {
+        let text;
+        try {
+            const res = await fetch(path);
+            if (!res.ok) continue;
+            text = await res.text();
+        } catch (e) {
+            continue;
+        }
+        try {
+            setPolicyRules(parseRulesText(text, path), path);
+        } catch (e) {
+            console.error(`Regras inválidas em ${path}:`, e);
+            policyState.error = `${path}: ${e.message}`;
+            updatePolicyPanel();
+        }
+        return;
+    }
+    updatePolicyPanel();
+}
+
+async function loadPolicyRulesFromFile(input) {
+    const file = input.files && input.files[0];
+    input.value = '';
+    if (!file) return;
+    try {
+        setPolicyRules(parseRulesText(await file.text(), file.name), file.name);
+    } catch (e) {
+        console.error(`Regras inválidas em ${file.name}:`, e);
+        policyState.error = `${file.name}: ${e.message}`;
+        updatePolicyPanel();
+    }
+}
+
+function setPolicyRules(rules, label) {
+    policyState.rules = rules;
+    policyState.label = label;
+    policyState.error = null;
+    evaluatePolicyRules();
+    if (currentData) updateGraphData({ preservePositions: true });
+}
+
+function evaluatePolicyRules() {
+    policyState.violations = policyState.rules && currentData ? evaluatePolicies(policyState.rules, getGraphIndex()) : [];
+    updatePolicyPanel();
+}
+
+// Violations per visible node (group or host when the offending node is folded)
+function visibleViolationCounts() {
+    const counts = new Map();
+    policyState.violations.forEach(v => {
+        const id = visibleNodeId(v.node);
+        counts.set(id, (counts.get(id) || 0) + 1);
+    });
+    return counts;
+}
+
+function updatePolicyPanel() {
+    const status = document.getElementById('policyStatus');
+    const content = document.getElementById('policyContent');
+    if (!status || !content) return;
+    content.innerHTML = '';
+
+    if (policyState.error) {
+        status.textContent = `❌ ${policyState.error}`;
+        return;
+    }
+    if (!policyState.rules) {
+        status.textContent = 'Nenhuma regra carregada (visualizer_rules.json ou .yaml).';
+        return;
+    }
+
+    const { violations } = policyState;
+    const errors = violations.filter(v => v.severity === 'error').length;
+    status.textContent = `${policyState.label}: ${policyState.rules.length} regra(s), `
+        + (violations.length ? `${violations.length} violação(ões) (${errors} erro(s))` : 'nenhuma violação ✅');
+
+    const index = getGraphIndex();
+    policyState.rules.forEach(rule => {
+        const found = violations.filter(v => v.rule === rule.id);
+        if (found.length === 0) return;
+
+        const title = document.createElement('div');
+        title.className = `lineage-section policy-${rule.severity}`;
+        title.textContent = `${rule.severity === 'error' ? '⛔' : '⚠'} ${rule.description} (${found.length})`;
+        content.appendChild(title);
+
+        const list = document.createElement('ul');
+        list.className = 'impact-list policy-list';
+        found.forEach(v => {
+            const li = document.createElement('li');
+            li.textContent = describeViolation(v, index);
+            li.onclick = () => highlightTool(v.node, null);
+            list.appendChild(li);
+        });
+        content.appendChild(list);
+    });
+}
+
+/**
+ * Ownership Catalog: visualizer_catalog.json/.yaml served next to stack_data.json (or a file picked
+ * in the panel) with owner, team, criticality, SLA and notes per item. See StackGraph.parseCatalog.
+ */
+const CATALOG_FILES = ['visualizer_catalog.json', 'visualizer_catalog.yaml', 'visualizer_catalog.yml'];
+
+const CRITICALITY_COLORS = { critical: '#f85149', high: '#f0883e', medium: '#e3b341', low: '#3fb950' };
+const UNCATALOGUED_COLOR = '#484f58';
+
+// Node fill by legend group (default), catalog owner or catalog criticality
+let colorMode = 'group';
+
+async function loadCatalog() {
+    for (const path of CATALOG_FILES) {
+        let text;
+        try {
+            const res = await fetch(path);
+            if (!res.ok) continue;
+            text = await res.text();
+        } catch (e) {
+            continue;
+        }
+        try {
+            setCatalog(parseCatalog(parseDocumentText(text, path)), path);
+        } catch (e) {
+            console.error(`Catálogo inválido em ${path}:`, e);
+            catalogState.error = `${path}: ${e.message}`;
+            updateCatalogPanel();
+        }
+        return;
+    }
+    updateCatalogPanel();
+}
+
+async function loadCatalogFromFile(input) {
+    const file = input.files && input.files[0];
+    input.value = '';
+    if (!file) return;
+    try {
+        setCatalog(parseCatalog(parseDocumentText(await file.text(), file.name)), file.name);
+    } catch (e) {
+        console.error(`Catálogo inválido em ${file.name}:`, e);
+        catalogState.error = `${file.name}: ${e.message}`;
+        updateCatalogPanel();
+    }
+}
+
+function setCatalog(entries, label) {
+    catalogState.entries = entries;
+    catalogState.label = label;
+    catalogState.error = null;
+    resolveCatalogNodes();
+    if (!currentData) return;
+    updateGraphData({ preservePositions: true });
+    if (selectedTool && getGraphIndex().node(selectedTool)) highlightTool(selectedTool, null);
+    renderWorkflowInspector();
+}
+
+function resolveCatalogNodes() {
+    catalogState.nodes = catalogState.entries && currentData ? resolveCatalog(catalogState.entries, getGraphIndex()) : new Map();
+    // Owners get a stable color from their sorted position
+    const owners = [...new Set([...catalogState.nodes.values()].map(m => m.owner || m.team).filter(Boolean))].sort();
+    catalogState.ownerColors = new Map(owners.map((owner, i) => [owner, d3.schemeTableau10[i % d3.schemeTableau10.length]]));
+    updateCatalogPanel();
+}
+
+function updateCatalogPanel() {
+    const status = document.getElementById('catalogStatus');
+    if (status) {
+        if (catalogState.error) status.textContent = `❌ ${catalogState.error}`;
+        else if (!catalogState.entries) status.textContent = 'Nenhum catálogo carregado (visualizer_catalog.json ou .yaml).';
+        else {
+            status.textContent = `${catalogState.label}: ${catalogState.entries.length} entrada(s), `
+                + `${catalogState.nodes.size} item(ns) catalogado(s), ${catalogState.ownerColors.size} dono(s)`;
+        }
+    }
+    updateColorLegend();
+}
+
+function setColorMode(mode) {
+    colorMode = mode;
+    updateColorLegend();
+    if (currentData) renderGraph({ preservePositions: true });
+}
+
+function nodeFill(d) {
+    if (d.type === 'group') return colorMap[d.groupType];
+    if (colorMode !== 'group') {
+        const meta = catalogState.nodes.get(d.id);
+        const color = colorMode === 'owner'
+            ? meta && catalogState.ownerColors.get(meta.owner || meta.team)
+            : meta && CRITICALITY_COLORS[meta.criticality];
+        return color || UNCATALOGUED_COLOR;
+    }
+    // Credentials keep the transparent dashed style from style.css
+    return d.type.includes('credential') ? null : colorMap[getGroup(d)] || '#8b949e';
+}
+
+function updateColorLegend() {
+    const legend = document.getElementById('colorLegend');
+    if (!legend) return;
+    legend.innerHTML = '';
+    if (colorMode === 'group') return;
+
+    const entries = colorMode === 'owner' ? [...catalogState.ownerColors] : Object.entries(CRITICALITY_COLORS);
+    entries.concat([['sem catálogo', UNCATALOGUED_COLOR]]).forEach(([label, color]) => {
+        const item = document.createElement('div');
+        item.className = 'legend-item';
+        const dot = document.createElement('div');
+        dot.className = 'legend-dot';
+        dot.style.background = color;
+        item.append(dot, document.createTextNode(label));
+        legend.appendChild(item);
+    });
+}
+
+async function tryAutoLoad() {
+    const status = document.getElementById('autoLoadStatus');
+
+    status.style.display = 'block';
+    status.textContent = 'Tentando carregar dados automáticos...';
+    status.style.color = '#8b949e';
+
+    await loadVisualizerConfig();
+    await loadPolicyRules();
+    await loadCatalog();
+
+    const paths = ['stack_data.json', 'n8n_data.json', 'n8n_workflows_export/n8n_data.json'];
+
+    for (const path of paths) {
+        try {
+            console.log(`Tentando carregar de: ${path}`);
+            const res = await fetch(path);
+            if (!res.ok) continue;
+
+            const data = await res.json();
+            if (data) {
+                processWorkflows(data);
+                showDataFreshness(data);
+
+                status.textContent = `Arquivo carregado: ${path}`;
+                status.style.display = 'block';
+                return; // Sucesso!
+            }
+        } catch (e) {
+            console.warn(`Falha ao carregar ${path}:`, e);
+        }
+    }
+
+    // Se chegou aqui, falhou em todos os caminhos
+    status.textContent = 'Nenhum dado encontrado. Arraste arquivos JSON/ZIP ou configure o Token para gerar.';
+    status.style.display = 'block';
+
+    // Se não encontrou dados, tenta disparar o GitHub Action
+    triggerGitHubAction();
+}
+
+/**
+ * Shows the generation date of the loaded data (metadata.generated_at)
+ */
+function showDataFreshness(data, fallbackLabel = 'Data desconhecida') {
+    const metadata = data.metadata || {};
+    const dateStr = metadata.generated_at ? new Date(metadata.generated_at).toLocaleString() : fallbackLabel;
+
+    const freshnessPanel = document.getElementById('dataFreshness');
+    const lastUpdateDate = document.getElementById('lastUpdateDate');
+    if (freshnessPanel && lastUpdateDate) {
+        lastUpdateDate.textContent = dateStr;
+        freshnessPanel.style.display = 'block';
+    }
+}
+
+/**
+ * Local Files: Workflow exports, n8n_workflows_export/ folders, supabase_data.json
+ * and zips of them, merged client-side into the stack_data format
+ */
+
+/**
+ * Reads File objects (JSON or ZIP) into a list of { name, data }
+ */
+async function readLocalFiles(files) {
+    const entries = [];
+
+    for (const file of files) {
+        const name = file.webkitRelativePath || file.name;
+        try {
+            if (/\.zip$/i.test(file.name)) {
+                if (typeof JSZip === 'undefined') throw new Error('JSZip não carregado');
+                const zip = await JSZip.loadAsync(file);
+                const jsonFiles = Object.values(zip.files).filter(f => !f.dir && /\.json$/i.test(f.name));
+                for (const entry of jsonFiles) {
+                    entries.push({ name: `${file.name}/${entry.name}`, data: JSON.parse(await entry.async('string')) });
+                }
+            } else if (/\.json$/i.test(file.name)) {
+                entries.push({ name, data: JSON.parse(await file.text()) });
+            }
+        } catch (e) {
+            console.warn(`Falha ao ler ${name}:`, e);
+        }
+    }
+
+    return entries;
+}
+
+async function loadLocalFiles(files) {
+    const status = document.getElementById('autoLoadStatus');
+    status.style.display = 'block';
+    status.style.color = '#8b949e';
+    status.textContent = `Lendo ${files.length} arquivo(s)...`;
+
+    const entries = await readLocalFiles(files);
+    const data = mergeLocalData(entries);
+
+    if (data.workflows.length === 0 && !data.supabase) {
+        status.textContent = '❌ Nenhum workflow n8n ou supabase_data.json encontrado nos arquivos.';
+        status.style.color = '#f85149';
+        return;
+    }
+
+    processWorkflows(data);
+    showDataFreshness(data);
+    status.textContent = `Arquivos locais: ${data.workflows.length} workflow(s) de ${entries.length} arquivo(s)`;
+    status.style.color = '#3fb950';
+}
+
+function loadLocalFilesFromInput(input) {
+    if (input.files && input.files.length) loadLocalFiles(Array.from(input.files));
+    input.value = '';
+}
+
+/**
+ * Collects files from a drop, walking dropped folders recursively
+ */
+async function collectDroppedFiles(dataTransfer) {
+    const items = Array.from(dataTransfer.items || []);
+    const entries = items.map(item => item.webkitGetAsEntry && item.webkitGetAsEntry()).filter(Boolean);
+    if (entries.length === 0) return Array.from(dataTransfer.files || []);
+
+    const files = [];
+    const walk = async (entry) => {
+        if (entry.isFile) {
+            files.push(await new Promise((resolve, reject) => entry.file(resolve, reject)));
+        } else if (entry.isDirectory) {
+            const reader = entry.createReader();
+            // readEntries returns results in batches until an empty one
+            let batch;
+            do {
+                batch = await new Promise((resolve, reject) => reader.readEntries(resolve, reject));
+                for (const child of batch) await walk(child);
+            } while (batch.length > 0);
+        }
+    };
+    for (const entry of entries) await walk(entry);
+    return files;
+}
+
+function initDropZone() {
+    const overlay = document.getElementById('dropOverlay');
+    let depth = 0;
+
+    document.addEventListener('dragenter', (e) => {
+        if (!e.dataTransfer?.types?.includes('Files')) return;
+        depth++;
+        overlay?.classList.add('visible');
+    });
+    document.addEventListener('dragleave', () => {
+        depth = Math.max(0, depth - 1);
+        if (depth === 0) overlay?.classList.remove('visible');
+    });
+    document.addEventListener('dragover', (e) => e.preventDefault());
+    document.addEventListener('drop', async (e) => {
+        e.preventDefault();
+        depth = 0;
+        overlay?.classList.remove('visible');
+        const files = await collectDroppedFiles(e.dataTransfer);
+        if (files.length) loadLocalFiles(files);
+    });
+}
+
+/**
+ * Live Mode: Reads workflows directly from an n8n instance's public REST API
+ */
+const liveState = { timer: null, signature: null, loading: false };
+
+/**
+ * Pages through /api/v1/workflows following nextCursor.
+ * Workflows returned without nodes (older n8n versions) are fetched individually.
+ */
+async function fetchN8nWorkflows(baseUrl, apiKey, { includeInactive = true, includeArchived = false } = {}) {
+    const root = baseUrl.replace(/\/+$/, '') + '/';
+    const headers = { 'X-N8N-API-KEY': apiKey, 'Accept': 'application/json' };
+
+    const request = async (path, params = {}) => {
+        const url = new URL(path, root);
+        Object.entries(params).forEach(([k, v]) => v !== undefined && v !== null && url.searchParams.set(k, v));
+
+        let res;
+        try {
+            res = await fetch(url.toString(), { headers });
+        } catch (e) {
+            throw new Error(`Falha de rede ou bloqueio de CORS ao acessar ${url.origin}`);
+        }
+        if (res.status === 401 || res.status === 403) throw new Error('API Key inválida ou API pública desabilitada (401)');
+        if (res.status === 404) throw new Error(`Endpoint não encontrado: ${url.pathname} (a API pública está habilitada?)`);
+        if (!res.ok) throw new Error(`HTTP ${res.status} em ${url.pathname}`);
+        try {
+            return await res.json();
+        } catch (e) {
+            throw new Error(`Resposta inválida (não é JSON) em ${url.pathname}`);
+        }
+    };
+
+    const workflows = [];
+    let cursor = null;
+    let pages = 0;
+    do {
+        const body = await request('api/v1/workflows', {
+            limit: 250,
+            cursor,
+            active: includeInactive ? undefined : 'true'
+        });
+        workflows.push(...(Array.isArray(body) ? body : (body.data || [])));
+        cursor = body.nextCursor || null;
+        pages++;
+    } while (cursor && pages < 1000); // Guards against a server repeating the same cursor
+
+    const complete = [];
+    for (const wf of workflows) {
+        complete.push(Array.isArray(wf.nodes) ? wf : await request(`api/v1/workflows/${encodeURIComponent(wf.id)}`));
+    }
+    return includeArchived ? complete : complete.filter(wf => !wf.isArchived);
+}
+
+async function refreshLiveData() {
+    if (liveState.loading) return;
+    const status = document.getElementById('liveStatus');
+    const baseUrl = document.getElementById('liveBaseUrl').value.trim();
+    const apiKey = document.getElementById('liveApiKey').value.trim();
+    if (!baseUrl || !apiKey) {
+        status.textContent = 'Informe a URL e a API Key do n8n.';
+        return;
+    }
+
+    liveState.loading = true;
+    status.style.color = '#e3b341';
+    status.textContent = '🔄 Buscando workflows...';
+
+    try {
+        const workflows = await fetchN8nWorkflows(baseUrl, apiKey, {
+            includeInactive: document.getElementById('liveIncludeInactive').checked,
+            includeArchived: document.getElementById('liveIncludeArchived').checked
+        });
+
+        // Skip re-rendering when nothing changed since the last poll
+        const signature = JSON.stringify(workflows.map(wf => [wf.id, wf.updatedAt, wf.versionId, wf.active]));
+        const time = new Date().toLocaleTimeString();
+        if (signature === liveState.signature) {
+            status.style.color = '#3fb950';
+            status.textContent = `✅ ${workflows.length} workflow(s), sem mudanças (${time})`;
+            return;
+        }
+
+        const isRefresh = liveState.signature !== null;
+        liveState.signature = signature;
+
+        // Supabase metadata is not available from n8n, keep the one already loaded
+        const data = {
+            metadata: { generated_at: new Date().toISOString(), source: baseUrl, workflow_count: workflows.length },
+            workflows,
+            supabase: currentData?.supabase
+        };
+        processWorkflows(data, { preserveView: isRefresh });
+        showDataFreshness(data);
+
+        status.style.color = '#3fb950';
+        status.textContent = `✅ ${workflows.length} workflow(s) carregados de ${new URL(baseUrl).host} (${time})`;
+    } catch (e) {
+        console.error('Live mode error:', e);
+        status.style.color = '#f85149';
+        status.textContent = `❌ ${e.message}`;
+    } finally {
+        liveState.loading = false;
+    }
+}
+
+/**
+ * The API key lives only in this tab (sessionStorage) unless the user asks to remember it
+ */
+function storeLiveApiKey(apiKey, remember) {
+    sessionStorage.removeItem('n8n_api_key');
+    localStorage.removeItem('n8n_api_key');
+    if (apiKey) (remember ? localStorage : sessionStorage).setItem('n8n_api_key', apiKey);
+}
+
+function connectLive() {
+    localStorage.setItem('n8n_base_url', document.getElementById('liveBaseUrl').value.trim());
+    storeLiveApiKey(document.getElementById('liveApiKey').value.trim(),
+        document.getElementById('liveRememberKey').checked);
+    liveState.signature = null;
+    refreshLiveData();
+    setLivePolling(document.getElementById('livePollInterval').value);
+}
+
+function disconnectLive() {
+    setLivePolling(0);
+    liveState.signature = null;
+    storeLiveApiKey(null);
+    document.getElementById('liveApiKey').value = '';
+    document.getElementById('liveRememberKey').checked = false;
+    document.getElementById('liveStatus').textContent = 'Desconectado.';
+}
+
+function setLivePolling(seconds) {
+    clearInterval(liveState.timer);
+    liveState.timer = null;
+    const interval = parseInt(seconds, 10);
+    if (interval > 0 && liveState.signature !== null) {
+        liveState.timer = setInterval(refreshLiveData, interval * 1000);
+    }
+}
+
+function initLivePanel() {
+    const baseUrl = document.getElementById('liveBaseUrl');
+    const apiKey = document.getElementById('liveApiKey');
+    if (baseUrl) baseUrl.value = localStorage.getItem('n8n_base_url') || '';
+    const remembered = localStorage.getItem('n8n_api_key');
+    if (apiKey) apiKey.value = sessionStorage.getItem('n8n_api_key') || remembered || '';
+    const remember = document.getElementById('liveRememberKey');
+    if (remember) remember.checked = Boolean(remembered);
+}
+
+/**
+ * GitHub API Interaction
+ */
+async function triggerGitHubAction() {
+    const token = localStorage.getItem('gh_pat');
+    const status = document.getElementById('autoLoadStatus');
+
+    if (!token) {
+        status.style.display = 'block';
+        status.innerHTML = `
+            <div style="background: #161b22; border: 1px solid #30363d; padding: 12px; border-radius: 6px; margin-bottom: 12px;">
+                <p style="margin: 0 0 8px 0; font-weight: bold; color: #e6edf3;">Configurar Automação</p>
+                <p style="margin: 0 0 12px 0; font-size: 12px;">Para atualizar os dados automaticamente, insira seu GitHub Personal Access Token (PAT):</p>
+                <input type="password" id="ghTokenInput" placeholder="ghp_..." style="width: 100%; margin-bottom: 8px;">
+                <button onclick="saveGitHubToken()" style="width: 100%; padding: 4px; font-size: 12px;">Salvar Token</button>
+                <p style="margin: 8px 0 0 0; font-size: 10px; color: #8b949e;">* O token é salvo apenas localmente no seu navegador.</p>
+            </div>
         `;
         return;
     }
@@ -751,57 +2748,225 @@ function saveGitHubToken() {
 
 
 function exportMarkdown() {
-    let md = '# n8n Dependencies Report\n';
-    md += `Generated: ${new Date().toLocaleString()}\n\n`;
+    // The report reflects the current search filter
+    const md = buildMarkdownReport(getVisibleGraph(), getGraphIndex(), {
+        filter: searchState.query,
+        hops: searchState.hops,
+        violations: policyState.rules ? policyState.violations : null,
+        catalog: catalogState.entries ? catalogState.nodes : null
+    });
+    downloadFile(md, 'n8n-dependencies.md', 'text/markdown');
+}
 
-    md += '## Stats\n';
-    md += `- Workflows: ${rawNodes.filter(n => n.type === 'workflow').length}\n`;
-    md += `- Data Sources: ${rawNodes.filter(n => getGroup(n) !== 'workflow' && !n.type.includes('credential')).length}\n`;
-    md += `- Credentials: ${rawNodes.filter(n => n.type.includes('credential')).length}\n\n`;
+/**
+ * Triggers a browser download for generated text content (or a ready Blob)
+ */
+function downloadFile(content, filename, mimeType) {
+    const blob = new Blob([content], { type: mimeType });
+    const a = document.createElement('a');
+    a.href = URL.createObjectURL(blob);
+    a.download = filename;
+    a.click();
+}
 
-    md += '## Dependencies by Data Source\n\n';
 
-    const sources = rawNodes.filter(n => getGroup(n) !== 'workflow' && !n.type.includes('credential'));
-    const grouped = {};
-    sources.forEach(s => {
-        let type = getGroup(s);
-        if (!grouped[type]) grouped[type] = [];
-        grouped[type].push(s);
+/**
+ * Graph Exports: Mermaid, Graphviz DOT, GraphML, CSV and JSON (serializers in StackGraph).
+ * Scope "view" serializes graphData (grouping + filters), "full" the raw graph.
+ */
+function getExportGraph(scope) {
+    if (scope === 'full') return toExportGraph(rawNodes, rawLinks);
+    return {
+        nodes: graphData.nodes.map(n => ({
+            id: n.id, label: n.label, type: n.type, group: n.groupType || getGroup(n),
+            count: n.count, active: n.active, tags: n.tags, isOrphan: n.isOrphan,
+            dynamic: n.dynamic, expression: n.expression, codeIssues: n.codeIssues, parent: n.parent
+        })),
+        links: graphData.links.map(l => ({
+            source: l.source.id || l.source, target: l.target.id || l.target, type: l.type, access: l.accessModes || [],
+            nodeNames: l.nodeNames || [], origin: l.origin
+        }))
+    };
+}
+
+function exportGraph() {
+    const format = document.getElementById('exportFormat').value;
+    const scope = document.getElementById('exportScope').value;
+    const graph = getExportGraph(scope);
+    const base = `n8n-dependencies-${scope}`;
+
+    switch (format) {
+        case 'mermaid':
+            downloadFile(toMermaid(graph), `${base}.mmd`, 'text/plain');
+            break;
+        case 'dot':
+            downloadFile(toDot(graph), `${base}.dot`, 'text/vnd.graphviz');
+            break;
+        case 'graphml':
+            downloadFile(toGraphML(graph), `${base}.graphml`, 'application/xml');
+            break;
+        case 'csv':
+            downloadFile(toCsv(graph.nodes, ['id', 'label', 'type', 'group', 'active', 'tags', 'isOrphan', 'count']), `${base}-nodes.csv`, 'text/csv');
+            downloadFile(toCsv(graph.links, ['source', 'target', 'type', 'access', 'origin']), `${base}-edges.csv`, 'text/csv');
+            break;
+        default:
+            downloadFile(toGraphJson(graph, {
+                scope,
+                filter: scope === 'view' && searchState.query ? searchState.query : null,
+                dataGeneratedAt: currentData?.metadata?.generated_at || null
+            }), `${base}.json`, 'application/json');
+    }
+}
+
+/**
+ * Image Export: SVG and PNG of the rendered graph.
+ * Computed styles are inlined so the file keeps its colors outside the page,
+ * and the viewBox fits every node instead of the current viewport.
+ */
+const INLINED_STYLE_PROPERTIES = [
+    'fill', 'fill-opacity', 'stroke', 'stroke-width', 'stroke-opacity', 'stroke-dasharray',
+    'opacity', 'font-family', 'font-size', 'font-weight', 'text-anchor', 'display'
+];
+
+const IMAGE_THEMES = {
+    dark: { background: '#0d1117', text: '#c9d1d9', muted: '#8b949e' },
+    light: { background: '#ffffff', text: '#24292f', muted: '#57606a' }
+};
+
+function buildExportSvg({ includeLegend = true, theme = 'dark' } = {}) {
+    const source = svg.node();
+    const colors = IMAGE_THEMES[theme];
+
+    // Light theme rules live in style.css under svg.export-light; computed styles pick them up
+    source.classList.toggle('export-light', theme === 'light');
+    const clone = source.cloneNode(true);
+    const originals = [source, ...source.querySelectorAll('*')];
+    const copies = [clone, ...clone.querySelectorAll('*')];
+    originals.forEach((el, i) => {
+        const computed = window.getComputedStyle(el);
+        const style = INLINED_STYLE_PROPERTIES
+            .map(prop => [prop, computed.getPropertyValue(prop)])
+            .filter(([, value]) => value)
+            .map(([prop, value]) => `${prop}:${value}`)
+            .join(';');
+        if (style) copies[i].setAttribute('style', style);
     });
+    source.classList.remove('export-light');
+    clone.classList.remove('export-light');
+
+    // Fit to the content, ignoring pan/zoom
+    const content = clone.querySelector(':scope > g');
+    content.removeAttribute('transform');
+    const box = g.node().getBBox();
+    const padding = 40;
+    const header = 50;
+    const legendTypes = includeLegend
+        ? [...new Set(graphData.nodes.map(n => n.groupType || getGroup(n)))].sort((a, b) => (a === 'other') - (b === 'other'))
+        : [];
+    const legendHeight = legendTypes.length ? 30 : 0;
+
+    const x = box.x - padding;
+    const y = box.y - padding - header;
+    const width = Math.max(box.width + padding * 2, 400);
+    const height = box.height + padding * 2 + header + legendHeight;
+
+    clone.setAttribute('viewBox', `${x} ${y} ${width} ${height}`);
+    clone.setAttribute('width', width);
+    clone.setAttribute('height', height);
+
+    const ns = 'http://www.w3.org/2000/svg';
+    const make = (tag, attrs, text) => {
+        const el = document.createElementNS(ns, tag);
+        Object.entries(attrs).forEach(([k, v]) => el.setAttribute(k, v));
+        if (text !== undefined) el.textContent = text;
+        return el;
+    };
+    const font = "font-family:-apple-system, 'Segoe UI', Roboto, sans-serif";
+
+    clone.insertBefore(make('rect', { x, y, width, height, fill: colors.background }), clone.firstChild);
+
+    const generatedAt = currentData?.metadata?.generated_at;
+    const subtitle = [
+        generatedAt ? `Dados de ${new Date(generatedAt).toLocaleString('pt-BR')}` : null,
+        searchState.query ? `Filtro: ${searchState.query}` : null
+    ].filter(Boolean).join(' · ');
+    clone.appendChild(make('text', { x: x + padding, y: y + 28, style: `${font};font-size:18px;font-weight:600;fill:${colors.text}` }, 'n8n Stack Dependencies'));
+    if (subtitle) {
+        clone.appendChild(make('text', { x: x + padding, y: y + 46, style: `${font};font-size:11px;fill:${colors.muted}` }, subtitle));
+    }
 
-    Object.keys(grouped).sort().forEach(type => {
-        md += `### ${type.charAt(0).toUpperCase() + type.slice(1)}\n\n`;
-        grouped[type].forEach(source => {
-            const deps = rawLinks
-                .filter(l => l.target === source.id)
-                .map(l => rawNodes.find(n => n.id === l.source))
-                .filter(n => n && n.type === 'workflow');
-
-            md += `#### ${source.label}\n`;
-            if (deps.length > 0) {
-                md += `Used by ${deps.length} workflow(s):\n`;
-                deps.forEach(wf => md += `- ${wf.label}\n`);
-            } else {
-                md += `No workflows use this data source.\n`;
-            }
-            md += '\n';
+    if (legendTypes.length) {
+        const legend = make('g', { transform: `translate(${x + padding}, ${y + height - 20})` });
+        let offset = 0;
+        legendTypes.forEach(type => {
+            const label = groupLabels[type] || type;
+            legend.appendChild(make('circle', { cx: offset + 5, cy: -4, r: 5, style: `fill:${colorMap[type] || '#ccc'};stroke:${colors.muted}` }));
+            legend.appendChild(make('text', { x: offset + 14, y: 0, style: `${font};font-size:11px;fill:${colors.text}` }, label));
+            offset += 28 + label.length * 7;
         });
-    });
+        clone.appendChild(legend);
+    }
 
-    const blob = new Blob([md], { type: 'text/markdown' });
-    const a = document.createElement('a');
-    a.href = URL.createObjectURL(blob);
-    a.download = 'n8n-dependencies.md';
-    a.click();
+    return { markup: new XMLSerializer().serializeToString(clone), width, height };
 }
 
+function exportImage(format) {
+    if (graphData.nodes.length === 0) return;
+
+    // The canvas renderer has no SVG to copy: draw a one-off SVG of the current positions
+    const fromCanvas = isCanvasActive();
+    if (fromCanvas) {
+        svg.style('display', null);
+        renderSvgElements(false)();
+        g.selectAll('*').interrupt().style('opacity', null);
+    }
+
+    const options = {
+        includeLegend: document.getElementById('imageLegend').checked,
+        theme: document.getElementById('imageLightTheme').checked ? 'light' : 'dark'
+    };
+    const { markup, width, height } = buildExportSvg(options);
+    if (fromCanvas) {
+        g.selectAll('*').remove();
+        svg.style('display', 'none');
+    }
+
+    if (format === 'svg') {
+        downloadFile(markup, 'n8n-dependencies.svg', 'image/svg+xml');
+        return;
+    }
+
+    // PNG: rasterize the standalone SVG at 2x for sharper text
+    const scale = 2;
+    const image = new Image();
+    const url = URL.createObjectURL(new Blob([markup], { type: 'image/svg+xml' }));
+    image.onload = () => {
+        const canvas = document.createElement('canvas');
+        canvas.width = width * scale;
+        canvas.height = height * scale;
+        const ctx = canvas.getContext('2d');
+        ctx.scale(scale, scale);
+        ctx.drawImage(image, 0, 0, width, height);
+        URL.revokeObjectURL(url);
+        canvas.toBlob(blob => downloadFile(blob, 'n8n-dependencies.png', 'image/png'));
+    };
+    image.onerror = (e) => {
+        URL.revokeObjectURL(url);
+        console.error('Falha ao gerar PNG:', e);
+    };
+    image.src = url;
+}
 
 /* Event Listeners */
-document.getElementById('searchInput')?.addEventListener('input', (e) => {
-    const term = e.target.value.toLowerCase();
-    d3.selectAll('.node').classed('highlighted', d => term && d.label.toLowerCase().includes(term));
+let searchDebounce = null;
+document.getElementById('searchInput')?.addEventListener('input', () => {
+    clearTimeout(searchDebounce);
+    searchDebounce = setTimeout(applySearch, 250);
 });
+document.getElementById('searchHops')?.addEventListener('change', applySearch);
 
 // Start the app
 initGraph();
+initDropZone();
+initLivePanel();
 tryAutoLoad();
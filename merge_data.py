@@ -7,7 +7,7 @@ stack_data.json for the visualizer.
 This script:
 1. Reads n8n_data.json (workflows)
 2. Reads supabase_data.json (tables and functions)
-3. Cross-references to identify which tables/functions are used by n8n
+3. Marks the tables/functions used by n8n, as parsed by stack_graph_cli.js (needs Node.js)
 4. Generates stack_data.json with unified data
 
 Usage:
@@ -15,7 +15,9 @@ Usage:
 """
 
 import json
-import re
+import subprocess
+import sys
+import tempfile
 from pathlib import Path
 from datetime import datetime, timezone
 
@@ -29,54 +31,45 @@ def load_json(path):
         return json.load(f)
 
 
-def extract_supabase_references_from_workflows(workflows):
+def save_json(path, data):
+    """Write data as indented UTF-8 JSON."""
+    with open(path, "w", encoding="utf-8") as f:
+        json.dump(data, f, ensure_ascii=False, indent=2, default=str)
+
+
+def extract_supabase_references(stack_data):
     """
-    Extract all Supabase table names and RPC function names referenced in n8n workflows.
-    Returns (set of table names, set of function names)
+    Lists the Supabase tables and RPC functions used by the n8n workflows of the stack data.
+    Uses the visualizer CLI (stack_graph_cli.js), so the extraction rules are the same as the page's,
+    including extractors from visualizer_config.json. Nodes added only from the Supabase metadata
+    are orphans. Returns (set of table names, set of function names); exits when the CLI can't run.
     """
+    cli = Path(__file__).resolve().parent / "stack_graph_cli.js"
+    with tempfile.TemporaryDirectory() as tmp:
+        stack_path = Path(tmp) / "stack_data.json"
+        save_json(stack_path, stack_data)
+        try:
+            result = subprocess.run(
+                ["node", str(cli), "graph", str(stack_path), "--format", "json"],
+                capture_output=True, text=True
+            )
+        except FileNotFoundError:
+            sys.exit("ERRO: Node.js não encontrado. Ele é necessário para identificar as tabelas/funções usadas pelo n8n.")
+    if result.returncode != 0:
+        sys.exit(f"ERRO: stack_graph_cli.js falhou (código {result.returncode}): {result.stderr.strip()}")
+
     tables_used = set()
     functions_used = set()
-
-    for workflow in workflows:
-        for node in workflow.get("nodes", []):
-            node_type = (node.get("type") or "").lower()
-            params = node.get("parameters", {})
-
-            # Supabase node - extract table name
-            if "supabase" in node_type:
-                table_name = get_value(params.get("tableName"))
-                if table_name and table_name != "Supabase":
-                    tables_used.add(table_name)
-
-                # Check for RPC operation
-                operation = get_value(params.get("operation"))
-                if operation == "call":
-                    func_name = get_value(params.get("functionName") or params.get("rpc"))
-                    if func_name:
-                        functions_used.add(func_name)
-
-            # HTTP Request that might call Supabase RPC
-            if "httprequest" in node_type or "http" in node_type:
-                url = get_value(params.get("url", ""))
-                # Match /rest/v1/rpc/function_name
-                match = re.search(r"/rpc/([a-zA-Z_][a-zA-Z0-9_]*)", url)
-                if match:
-                    functions_used.add(match.group(1))
-
+    for node in json.loads(result.stdout).get("nodes", []):
+        if node.get("isOrphan"):
+            continue
+        if node.get("type") == "supabase":
+            tables_used.add(node["label"])
+        elif node.get("type") == "rpc_function":
+            functions_used.add(node["label"].replace("rpc: ", "", 1))
     return tables_used, functions_used
 
 
-def get_value(v):
-    """Safely extract value from n8n Resource Locator objects or strings."""
-    if v is None:
-        return ""
-    if isinstance(v, str):
-        return v
-    if isinstance(v, dict):
-        return v.get("cachedResultName") or v.get("value") or ""
-    return str(v)
-
-
 def main():
     # 1. Load n8n data
     n8n_data = load_json("n8n_data.json")
@@ -98,41 +91,24 @@ def main():
         print("AVISO: supabase_data.json não encontrado. Execute supabase_export_tables.py primeiro.")
         supabase_data = {"tables": [], "functions": [], "metadata": {}}
 
-    # 3. Extract what n8n uses
-    tables_used_by_n8n, functions_used_by_n8n = extract_supabase_references_from_workflows(workflows)
-    print(f"n8n usa {len(tables_used_by_n8n)} tabelas: {sorted(tables_used_by_n8n)}")
-    print(f"n8n usa {len(functions_used_by_n8n)} funções: {sorted(functions_used_by_n8n)}")
+    # 3. Build unified output
+    enriched_tables = [{
+        "name": table.get("name"),
+        "schema": table.get("schema", "public")
+    } for table in supabase_data.get("tables", [])]
+
+    enriched_functions = [{
+        "name": func.get("name"),
+        "schema": func.get("schema", "public"),
+        "tables_used": func.get("tables_used", [])
+    } for func in supabase_data.get("functions", [])]
 
-    # 4. Enrich tables with usage info
-    enriched_tables = []
-    for table in supabase_data.get("tables", []):
-        name = table.get("name")
-        enriched_tables.append({
-            "name": name,
-            "schema": table.get("schema", "public"),
-            "used_by_n8n": name in tables_used_by_n8n
-        })
-
-    # 5. Enrich functions with usage info
-    enriched_functions = []
-    for func in supabase_data.get("functions", []):
-        name = func.get("name")
-        enriched_functions.append({
-            "name": name,
-            "schema": func.get("schema", "public"),
-            "tables_used": func.get("tables_used", []),
-            "used_by_n8n": name in functions_used_by_n8n
-        })
-
-    # 6. Build unified output
     stack_data = {
         "metadata": {
             "generated_at": datetime.now(timezone.utc).isoformat(),
             "workflow_count": len(workflows),
             "table_count": len(enriched_tables),
-            "function_count": len(enriched_functions),
-            "tables_used_by_n8n": len(tables_used_by_n8n),
-            "functions_used_by_n8n": len(functions_used_by_n8n)
+            "function_count": len(enriched_functions)
         },
         "workflows": workflows,
         "supabase": {
@@ -141,10 +117,29 @@ def main():
         }
     }
 
-    # 7. Save output
+    # Environment label (N8N_ENVIRONMENT / SUPABASE_ENVIRONMENT of the exports)
+    n8n_environment = (n8n_data.get("metadata") or {}).get("environment") if isinstance(n8n_data, dict) else None
+    supabase_environment = (supabase_data.get("metadata") or {}).get("environment")
+    if n8n_environment and supabase_environment and n8n_environment != supabase_environment:
+        print(f"AVISO: ambientes diferentes no n8n ({n8n_environment}) e no Supabase ({supabase_environment}). Usando '{n8n_environment}'.")
+    environment = n8n_environment or supabase_environment
+    if environment:
+        stack_data["metadata"]["environment"] = environment
+
+    # 4. Enrich tables and functions with what n8n uses
+    tables_used_by_n8n, functions_used_by_n8n = extract_supabase_references(stack_data)
+    print(f"n8n usa {len(tables_used_by_n8n)} tabelas: {sorted(tables_used_by_n8n)}")
+    print(f"n8n usa {len(functions_used_by_n8n)} funções: {sorted(functions_used_by_n8n)}")
+    for table in enriched_tables:
+        table["used_by_n8n"] = table["name"] in tables_used_by_n8n
+    for func in enriched_functions:
+        func["used_by_n8n"] = func["name"] in functions_used_by_n8n
+    stack_data["metadata"]["tables_used_by_n8n"] = len(tables_used_by_n8n)
+    stack_data["metadata"]["functions_used_by_n8n"] = len(functions_used_by_n8n)
+
+    # 5. Save output
     output_path = Path("stack_data.json")
-    with open(output_path, "w", encoding="utf-8") as f:
-        json.dump(stack_data, f, ensure_ascii=False, indent=2, default=str)
+    save_json(output_path, stack_data)
 
     print(f"\nGerado: {output_path}")
     print(f"  - {len(workflows)} workflows")
@@ -0,0 +1,131 @@
+"""
+Mock n8n Server
+
+Serves a minimal subset of the n8n public REST API from local export files,
+so the visualizer's live mode can be tested without a real instance.
+
+Endpoints:
+- GET /api/v1/workflows          (limit, cursor, active) -> {"data": [...], "nextCursor": ...}
+- GET /api/v1/workflows/{id}
+
+Workflows are read from (first found):
+- n8n_data.json / n8n_workflows_export/n8n_data.json
+- stack_data.json
+- n8n_workflows_export/*.json
+
+Usage:
+    MOCK_N8N_API_KEY=test python mock_n8n_server.py [port]
+    # No visualizer: URL http://localhost:5678 e API Key "test"
+"""
+
+import os
+import sys
+import json
+import base64
+from pathlib import Path
+from urllib.parse import urlparse, parse_qs
+from http.server import BaseHTTPRequestHandler, ThreadingHTTPServer
+
+API_KEY = os.getenv("MOCK_N8N_API_KEY", "test")
+PAGE_SIZE_MAX = 250
+
+
+def load_workflows():
+    """Load workflows from the local export files used by the Python pipeline."""
+    for path in ("n8n_data.json", "n8n_workflows_export/n8n_data.json", "stack_data.json"):
+        p = Path(path)
+        if p.exists():
+            with open(p, "r", encoding="utf-8") as f:
+                data = json.load(f)
+            return data if isinstance(data, list) else data.get("workflows", [])
+
+    workflows = []
+    for p in sorted(Path("n8n_workflows_export").glob("*.json")):
+        with open(p, "r", encoding="utf-8") as f:
+            data = json.load(f)
+        if isinstance(data, dict) and isinstance(data.get("nodes"), list):
+            workflows.append(data)
+    return workflows
+
+
+def encode_cursor(offset):
+    return base64.urlsafe_b64encode(json.dumps({"offset": offset}).encode()).decode()
+
+
+def decode_cursor(cursor):
+    try:
+        return int(json.loads(base64.urlsafe_b64decode(cursor.encode())).get("offset", 0))
+    except (ValueError, TypeError, json.JSONDecodeError):
+        return None
+
+
+class MockN8nHandler(BaseHTTPRequestHandler):
+    workflows = []
+
+    def send_json(self, status, body):
+        payload = json.dumps(body, ensure_ascii=False, default=str).encode("utf-8")
+        self.send_response(status)
+        self.send_header("Content-Type", "application/json; charset=utf-8")
+        self.send_header("Content-Length", str(len(payload)))
+        self.send_cors_headers()
+        self.end_headers()
+        self.wfile.write(payload)
+
+    def send_cors_headers(self):
+        self.send_header("Access-Control-Allow-Origin", "*")
+        self.send_header("Access-Control-Allow-Headers", "X-N8N-API-KEY, Accept, Content-Type")
+        self.send_header("Access-Control-Allow-Methods", "GET, OPTIONS")
+
+    def do_OPTIONS(self):
+        self.send_response(204)
+        self.send_cors_headers()
+        self.end_headers()
+
+    def do_GET(self):
+        if self.headers.get("X-N8N-API-KEY") != API_KEY:
+            return self.send_json(401, {"message": "unauthorized"})
+
+        url = urlparse(self.path)
+        query = parse_qs(url.query)
+        parts = [p for p in url.path.split("/") if p]
+
+        if parts[:3] != ["api", "v1", "workflows"]:
+            return self.send_json(404, {"message": "not found"})
+
+        if len(parts) == 4:
+            workflow = next((w for w in self.workflows if str(w.get("id")) == parts[3]), None)
+            if workflow is None:
+                return self.send_json(404, {"message": "Not Found"})
+            return self.send_json(200, workflow)
+
+        items = self.workflows
+        if query.get("active", [""])[0] in ("true", "false"):
+            wanted = query["active"][0] == "true"
+            items = [w for w in items if bool(w.get("active")) == wanted]
+
+        try:
+            limit = min(int(query.get("limit", ["100"])[0]), PAGE_SIZE_MAX)
+        except ValueError:
+            return self.send_json(400, {"message": "limit must be a number"})
+
+        offset = 0
+        if query.get("cursor"):
+            offset = decode_cursor(query["cursor"][0])
+            if offset is None:
+                return self.send_json(400, {"message": "invalid cursor"})
+
+        page = items[offset:offset + limit]
+        next_offset = offset + limit
+        next_cursor = encode_cursor(next_offset) if next_offset < len(items) else None
+        return self.send_json(200, {"data": page, "nextCursor": next_cursor})
+
+
+def main():
+    port = int(sys.argv[1]) if len(sys.argv) > 1 else 5678
+    MockN8nHandler.workflows = load_workflows()
+    print(f"Mock n8n com {len(MockN8nHandler.workflows)} workflows em http://localhost:{port} (API Key: {API_KEY})")
+    ThreadingHTTPServer(("", port), MockN8nHandler).serve_forever()
+
+
+if __name__ == "__main__":
+    main()
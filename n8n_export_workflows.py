@@ -13,6 +13,8 @@ load_dotenv()
 
 N8N_BASE_URL = (os.getenv("N8N_BASE_URL") or "").strip()
 N8N_API_KEY = (os.getenv("N8N_API_KEY") or "").strip()
+# Rótulo da instância (ex: prod, staging) para comparar ambientes no visualizador
+N8N_ENVIRONMENT = (os.getenv("N8N_ENVIRONMENT") or "").strip()
 
 OUT_DIR = "n8n_workflows_export"
 VERIFY_TLS = os.getenv("VERIFY_TLS", "true").lower() not in ("0", "false", "no")
@@ -123,6 +125,8 @@ final_data = {
     },
     "workflows": all_workflows_data
 }
+if N8N_ENVIRONMENT:
+    final_data["metadata"]["environment"] = N8N_ENVIRONMENT
 
 with open(bundle_path, "w", encoding="utf-8") as f:
     json.dump(final_data, f, ensure_ascii=False, indent=2, default=str)
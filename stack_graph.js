@@ -0,0 +1,3181 @@
+/**
+ * n8n Dependency Visualizer - Stack Graph Library
+ *
+ * Parsing, grouping, impact analysis and exports of the dependency graph, without DOM access.
+ * Loaded by index.html (as window.StackGraph, before app.js) and by the Node CLI
+ * (stack_graph_cli.js) through require().
+ */
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) module.exports = factory();
+    else root.StackGraph = factory();
+}(typeof self !== 'undefined' ? self : this, function () {
+    'use strict';
+
+    // Registered entity groups in registration order, with their color scheme and friendly labels.
+    // Groups are registered through registerGroup() / registerExtractor() below.
+    const groupKeys = [];
+    const colorMap = {};
+    const groupLabels = {};
+
+    /**
+     * Registers an entity group (legend entry, color and collapsible group node).
+     * Registering an existing group only fills in missing label/color.
+     */
+    function registerGroup(key, { label, color } = {}) {
+        if (!key) return;
+        if (!groupKeys.includes(key)) groupKeys.push(key);
+        if (color && !colorMap[key]) colorMap[key] = color;
+        if (label && !groupLabels[key]) groupLabels[key] = label;
+    }
+
+    registerGroup('workflow', { label: 'n8n', color: '#f85149' });
+
+    /**
+     * Access modes carried by dependency edges, in styling precedence order.
+     * Data flows source -> workflow for reads and workflow -> source for the others.
+     */
+    const ACCESS_MODES = ['delete', 'write', 'call', 'read'];
+
+    const DELETE_OPERATIONS = /^(delete|remove|clear|purge|truncate|drop)/;
+    const WRITE_OPERATIONS = /^(create|insert|update|upsert|append|set|push|post|send|publish|incr|patch|put|upload|copy|move|share|add|replace|pop)/;
+
+    /**
+     * Classifies an n8n operation name (getAll, insert, upsert, delete...) into an access mode.
+     * Returns null for an empty operation so callers can apply their own default.
+     */
+    function classifyOperation(operation) {
+        const op = String(operation || '').toLowerCase();
+        if (!op) return null;
+        if (DELETE_OPERATIONS.test(op)) return 'delete';
+        if (WRITE_OPERATIONS.test(op)) return 'write';
+        return 'read';
+    }
+
+    /**
+     * Classifies an HTTP method into an access mode (GET is n8n's default method)
+     */
+    function classifyHttpMethod(method) {
+        const m = String(method || 'GET').toUpperCase();
+        if (m === 'DELETE') return 'delete';
+        if (['POST', 'PUT', 'PATCH'].includes(m)) return 'write';
+        return 'read';
+    }
+
+    /**
+     * Extractor Registry: Declarative definitions that turn n8n nodes into source nodes.
+     *
+     * Definition fields:
+     * - id: Unique key, also used as prefix of the generated node IDs (`${id}_${resource}`)
+     * - group / label / color: Group the sources belong to (registered if new)
+     * - nodeTypes: Substrings (or "/regex/") matched against the lowercased n8n node type
+     * - matchCredentials: Credential keys that make a node match regardless of its type
+     * - resourceParams: Parameter paths (dot notation) holding the resource name, first non-empty wins
+     * - defaultResource: Resource name used when no parameter resolves (omit to skip the node)
+     * - credentialTypes: Credential keys linked to the source as `auth` edges
+     * - sourceType: Node type of the created sources (defaults to the group)
+     * - access / defaultAccess: Fixed access mode (or function) / mode used when the operation is unknown
+     * - fallback: Only runs when no other extractor matched the node
+     * - sqlParams: Parameter paths holding an SQL query; each referenced table becomes a source
+     *   (replacing resourceParams/defaultResource when the query references any table)
+     * - supabaseTables: Link SQL tables listed in supabase.tables to the Supabase table nodes
+     * - sqlTable(name): Optional normalization of the table names found in queries
+     * - resolve(params, node, ctx) / extract(node, ctx): Optional hooks for built-in special cases
+     */
+    const extractorRegistry = [];
+
+    /**
+     * Compiles a "/regex/flags" pattern (as written in configs, queries and catalogs), or returns
+     * null when the value is not one. Throws a readable error on invalid expressions.
+     */
+    function compileRegexLiteral(raw, defaultFlags = '') {
+        const regex = String(raw).match(/^\/(.+)\/([a-z]*)$/);
+        if (!regex) return null;
+        try {
+            return new RegExp(regex[1], regex[2] || defaultFlags);
+        } catch (e) {
+            throw new Error(`regex inválida ${raw}`);
+        }
+    }
+
+    function registerExtractor(definition) {
+        if (!definition || !definition.id || !definition.group) {
+            console.warn('Extractor inválido (id e group são obrigatórios):', definition);
+            return;
+        }
+        registerGroup(definition.group, { label: definition.label, color: definition.color });
+
+        // Node type patterns are compiled once; an invalid regex only drops that pattern
+        const typeMatchers = (definition.nodeTypes || []).flatMap(pattern => {
+            try {
+                const regex = compileRegexLiteral(pattern);
+                if (regex) return [(nodeType) => regex.test(nodeType)];
+            } catch (e) {
+                console.warn(`Extractor "${definition.id}": ${e.message} ignorada em nodeTypes`);
+                return [];
+            }
+            const text = String(pattern).toLowerCase();
+            return [(nodeType) => nodeType.includes(text)];
+        });
+        const compiled = { ...definition, typeMatchers };
+
+        // Extractors loaded from config may override built-ins with the same id
+        const existing = extractorRegistry.findIndex(e => e.id === definition.id);
+        if (existing >= 0) extractorRegistry[existing] = compiled;
+        else extractorRegistry.push(compiled);
+    }
+
+    registerExtractor({
+        id: 'supabase', group: 'supabase', label: 'Supabase', color: '#3ecf8e',
+        nodeTypes: ['supabase'],
+        resourceParams: ['tableId', 'tableName'],
+        credentialTypes: ['supabaseApi'],
+        extract: (node, ctx) => {
+            const params = node.parameters || {};
+            const tableName = getVal(params.tableId || params.tableName);
+            if (tableName && !isDynamicValue(tableName)) ctx.tablesUsed.add(tableName);
+
+            // Check for RPC function calls
+            const operation = getVal(params.operation);
+            if (operation === 'call' || operation === 'rpc') {
+                ctx.addRpcCall(getVal(params.functionName || params.rpc || params.function));
+            }
+        }
+    });
+
+    registerExtractor({
+        id: 'notion', group: 'notion', label: 'Notion', color: '#a371f7',
+        nodeTypes: ['notion'],
+        resourceParams: ['databaseId', 'pageId', 'tableName'],
+        defaultResource: 'Notion',
+        credentialTypes: ['notionApi', 'notionOAuth2Api']
+    });
+
+    registerExtractor({
+        id: 'bigquery', group: 'bigquery', label: 'BigQuery', color: '#4285f4',
+        nodeTypes: ['bigquery'],
+        sqlParams: ['sqlQuery', 'query'],
+        // "project.dataset.table" in queries, "dataset.table" for table operations
+        sqlTable: (name) => name.split('.').slice(-2).join('.'),
+        resolve: (params) => {
+            const table = getVal(params.tableId);
+            const dataset = getVal(params.datasetId);
+            return table && dataset ? `${dataset}.${table}` : table;
+        },
+        credentialTypes: ['googleBigQueryOAuth2Api', 'googleApi']
+    });
+
+    registerExtractor({
+        id: 'microsoft', group: 'microsoft', label: 'Microsoft', color: '#f9ba48',
+        nodeTypes: ['microsoft'],
+        matchCredentials: ['microsoftSharePointOAuth2Api'],
+        resolve: (params) => {
+            const match = getVal(params.url).match(/\/sites\/([^\/]+)/);
+            return match ? match[1] : (params.resource === 'message' ? 'Outlook' : 'Microsoft');
+        },
+        credentialTypes: ['microsoftSharePointOAuth2Api', 'microsoftOutlookOAuth2Api', 'microsoftExcelOAuth2Api', 'microsoftTeamsOAuth2Api', 'microsoftOneDriveOAuth2Api']
+    });
+
+    registerExtractor({
+        id: 'gsheets', prefix: 'google', group: 'google', label: 'Google', color: '#ff00ff',
+        nodeTypes: ['googlesheets'],
+        resourceParams: ['documentId', 'sheetId'],
+        defaultResource: 'Google Sheets',
+        credentialTypes: ['googleSheetsOAuth2Api', 'googleApi']
+    });
+
+    registerExtractor({
+        id: 'gdrive', prefix: 'google', group: 'google',
+        nodeTypes: ['googledrive'],
+        resourceParams: ['fileId', 'folderId', 'driveId'],
+        defaultResource: 'Google Drive',
+        credentialTypes: ['googleDriveOAuth2Api', 'googleApi']
+    });
+
+    registerExtractor({
+        id: 'gcalendar', prefix: 'google', group: 'google',
+        nodeTypes: ['googlecalendar'],
+        resourceParams: ['calendar', 'calendarId'],
+        defaultResource: 'Google Calendar',
+        credentialTypes: ['googleCalendarOAuth2Api', 'googleApi']
+    });
+
+    registerExtractor({
+        id: 'openai', group: 'openai', label: 'OpenAI', color: '#ffffff',
+        nodeTypes: ['openai'],
+        matchCredentials: ['openAiApi'],
+        access: 'call',
+        resourceParams: ['model', 'modelId', 'modelName'],
+        defaultResource: 'OpenAI',
+        credentialTypes: ['openAiApi']
+    });
+
+    registerExtractor({
+        id: 'postgres', group: 'postgres', label: 'Postgres', color: '#39c5cf',
+        nodeTypes: ['postgres'],
+        sqlParams: ['query'],
+        supabaseTables: true,
+        resolve: (params) => {
+            const table = getVal(params.table);
+            const schema = getVal(params.schema);
+            return table && schema && schema !== 'public' ? `${schema}.${table}` : table;
+        },
+        defaultResource: 'Postgres',
+        credentialTypes: ['postgres']
+    });
+
+    registerExtractor({
+        id: 'mysql', group: 'mysql', label: 'MySQL', color: '#db6d28',
+        nodeTypes: ['mysql'],
+        sqlParams: ['query'],
+        resourceParams: ['table'],
+        defaultResource: 'MySQL',
+        credentialTypes: ['mySql']
+    });
+
+    registerExtractor({
+        id: 'slack', group: 'slack', label: 'Slack', color: '#e01e5a',
+        nodeTypes: ['slack'],
+        defaultAccess: 'write',
+        resourceParams: ['channelId', 'channel'],
+        defaultResource: 'Slack',
+        credentialTypes: ['slackApi', 'slackOAuth2Api']
+    });
+
+    registerExtractor({
+        id: 'airtable', group: 'airtable', label: 'Airtable', color: '#f2cc60',
+        nodeTypes: ['airtable'],
+        resolve: (params) => {
+            const base = getVal(params.base || params.application);
+            const table = getVal(params.table);
+            return base && table ? `${base} / ${table}` : (table || base);
+        },
+        defaultResource: 'Airtable',
+        credentialTypes: ['airtableTokenApi', 'airtableApi', 'airtableOAuth2Api']
+    });
+
+    registerExtractor({
+        id: 'redis', group: 'redis', label: 'Redis', color: '#ffa198',
+        nodeTypes: ['redis'],
+        resourceParams: ['key', 'channel', 'channels'],
+        defaultResource: 'Redis',
+        credentialTypes: ['redis']
+    });
+
+    registerExtractor({
+        id: 'qdrant', group: 'other', label: 'Outros', color: '#8b949e',
+        nodeTypes: ['qdrant'],
+        matchCredentials: ['qdrantRestApi', 'qdrantApi'],
+        resourceParams: ['collectionName', 'qdrantCollection'],
+        defaultResource: 'Qdrant',
+        sourceType: 'other',
+        credentialTypes: ['qdrantRestApi', 'qdrantApi']
+    });
+
+    // Generic HTTP Requests: only when no specific extractor claimed the node (e.g. SharePoint)
+    registerExtractor({
+        id: 'http', group: 'http', label: 'HTTP', color: '#a5d6ff',
+        nodeTypes: ['httprequest'],
+        fallback: true,
+        // Host nodes, path prefixes, RPCs and workflow calls are added by addHttpTarget()
+        extract: (node, ctx) => {
+            const params = node.parameters || {};
+            const url = getVal(params.url);
+            const method = getVal(params.method || params.requestMethod) || 'GET';
+            addHttpTarget(node, ctx, url, classifyHttpMethod(method), null, method.toUpperCase());
+
+            // Raw SQL sent to Supabase (SQL endpoints, RPCs such as exec_sql)
+            if (/supabase\.(co|in)\b|\/pg\/query|\/database\/query/i.test(url) || (node.credentials || {}).supabaseApi) {
+                const sql = findSqlStrings([params.jsonBody, params.body, params.bodyParameters]).join(';\n');
+                const supabase = extractorRegistry.find(def => def.id === 'supabase');
+                if (sql && supabase) addSqlSources(supabase, node, ctx, sql, 'always');
+            }
+        },
+        credentialTypes: ['httpHeaderAuth', 'httpBasicAuth', 'httpQueryAuth', 'httpDigestAuth', 'httpCustomAuth', 'oAuth2Api', 'oAuth1Api']
+    });
+
+    // Environment variables read by Code nodes
+    registerGroup('env', { label: 'Variáveis', color: '#d2a8ff' });
+
+    registerGroup('other', { label: 'Outros', color: '#8b949e' });
+
+
+    /**
+     * Internal helper to safely get values from n8n Resource Locator (RL) objects or strings.
+     * Objects that hold no value nor cached name are unresolved and read as empty.
+     */
+    const getVal = (v) => {
+        if (v === null || v === undefined) return '';
+        if (typeof v === 'string') return v;
+        if (typeof v === 'object') {
+            // Resource Locators: an expression in `value` wins over a stale cached name
+            if (v.__rl || 'value' in v) {
+                return isExpression(v.value) || !v.cachedResultName ? getVal(v.value) : v.cachedResultName;
+            }
+            return v.cachedResultName || '';
+        }
+        return String(v);
+    };
+
+    /**
+     * Internal helper to add a node to the nodeMap if it doesn't exist
+     */
+    function addNode(map, id, label, type, extra = {}) {
+        if (!map.has(id)) {
+            map.set(id, { id, label, type, ...extra });
+        }
+    }
+
+    /**
+     * Internal helper to read a parameter by dot-notation path ("options.table")
+     */
+    const getParam = (params, path) => String(path).split('.').reduce((obj, key) => (obj === null || obj === undefined) ? undefined : obj[key], params);
+
+    /**
+     * n8n expressions are parameter strings starting with "=" ("={{ $json.table }}", "=users_{{ $json.env }}").
+     * Once resolved, any value still holding a {{ }} block is a dynamic reference.
+     */
+    const isExpression = (v) => typeof v === 'string' && v.startsWith('=');
+    const isDynamicValue = (v) => typeof v === 'string' && /\{\{[\s\S]*\}\}/.test(v);
+
+    /**
+     * Display form of an unresolved expression ("={{ $json.table }}" -> "{{ $json.table }}")
+     */
+    const expressionLabel = (v) => String(v).replace(/^=/, '').replace(/=(?=\{\{)/g, '');
+
+    // Marks Set node fields whose value is itself a dynamic expression
+    const DYNAMIC = Symbol('dynamic');
+    const MAX_EXPRESSION_DEPTH = 10;
+
+    // Nodes that output their input items unchanged
+    const PASSTHROUGH_NODE_TYPES = /\.(noop|if|filter|switch|wait|limit|sort)$/;
+
+    /**
+     * Parses a property access chain (".a.b", '["a"][0]') into its keys.
+     * Returns null when the chain contains anything else (method calls, operators...).
+     */
+    function parseAccessPath(chain) {
+        const keys = [];
+        const step = /^\s*(?:\.\s*([A-Za-z_$][\w$]*)|\[\s*(?:(\d+)|'([^']*)'|"([^"]*)")\s*\])/;
+        let rest = chain;
+        while (rest.trim()) {
+            const match = rest.match(step);
+            if (!match) return null;
+            keys.push(match[1] ?? match[2] ?? match[3] ?? match[4]);
+            rest = rest.slice(match[0].length);
+        }
+        return keys;
+    }
+
+    /**
+     * Reads the fields assigned by a Set (Edit Fields) node, across its parameter versions
+     */
+    function setNodeFields(params) {
+        if (params.mode === 'raw') {
+            if (typeof params.jsonOutput !== 'string' || isExpression(params.jsonOutput)) return null;
+            try {
+                return Object.entries(JSON.parse(params.jsonOutput)).map(([name, value]) => ({ name, value }));
+            } catch (e) {
+                return null;
+            }
+        }
+        if (params.assignments) return (params.assignments.assignments || []).map(a => ({ name: a.name, value: a.value }));
+        if (params.fields) return (params.fields.values || []).map(f => ({ name: f.name, value: f[`${f.type || 'string'}Value`] ?? f.stringValue }));
+        return Object.values(params.values || {}).flat().map(v => ({ name: v.name, value: v.value }));
+    }
+
+    /**
+     * Creates the expression resolver of a workflow. Resolves literal strings, $json / $('Node')
+     * references to Set nodes and pinned data, $getWorkflowStaticData() and $workflow metadata.
+     * resolveParams() returns a copy of the parameters with the static expressions replaced;
+     * unresolved expressions are kept as-is.
+     */
+    function createExpressionScope(workflow) {
+        const nodesByName = new Map((workflow.nodes || []).map(n => [n.name, n]));
+        const pinData = workflow.pinData || {};
+        let staticData = workflow.staticData || {};
+        if (typeof staticData === 'string') {
+            try { staticData = JSON.parse(staticData); } catch (e) { staticData = {}; }
+        }
+
+        // Main-input parents of each node, from the workflow connections
+        const parents = new Map();
+        Object.entries(workflow.connections || {}).forEach(([source, outputs]) => {
+            (outputs.main || []).forEach(branch => (branch || []).forEach(conn => {
+                if (!conn || !conn.node) return;
+                if (!parents.has(conn.node)) parents.set(conn.node, []);
+                if (!parents.get(conn.node).includes(source)) parents.get(conn.node).push(source);
+            }));
+        });
+
+        // Input of a node: the output of its only parent (merges of several branches are not resolved)
+        const inputOf = (name, depth) => {
+            const sources = parents.get(name) || [];
+            return sources.length === 1 ? nodeOutput(sources[0], depth + 1) : null;
+        };
+
+        // First output item of a node: its pinned data, or the fields of a Set node on top of its input
+        function nodeOutput(name, depth) {
+            if (depth > MAX_EXPRESSION_DEPTH) return null;
+            const pinned = pinData[name];
+            if (Array.isArray(pinned) && pinned.length) return pinned[0].json ?? pinned[0];
+
+            const node = nodesByName.get(name);
+            if (!node) return null;
+            const type = (node.type || '').toLowerCase();
+            if (node.disabled || PASSTHROUGH_NODE_TYPES.test(type)) return inputOf(name, depth);
+            if (!type.endsWith('.set')) return null;
+
+            const params = node.parameters || {};
+            const fields = setNodeFields(params);
+            if (!fields) return null;
+
+            const keepInput = (node.typeVersion || 1) >= 3 ? params.includeOtherFields === true : params.keepOnlySet !== true;
+            const output = keepInput ? { ...(inputOf(name, depth) || {}) } : {};
+            fields.forEach(({ name: field, value }) => {
+                if (!field) return;
+                const resolved = resolveValue(value, name, depth + 1);
+                output[field] = isDynamicValue(resolved) ? DYNAMIC : resolved;
+            });
+            return output;
+        }
+
+        // Resolves the code of a single {{ }} block, undefined when it is not static
+        function resolveCode(code, nodeName, depth) {
+            code = code.trim();
+            const literal = code.match(/^'([^'\\]*)'$|^"([^"\\]*)"$|^`([^`\\$]*)`$/);
+            if (literal) return literal[1] ?? literal[2] ?? literal[3];
+            if (/^-?\d+(\.\d+)?$/.test(code)) return code;
+
+            let base;
+            let chain;
+            let match;
+            if ((match = code.match(/^\$json([\s\S]*)$/)) || (match = code.match(/^\$input\s*\.\s*(?:item|first\(\s*\))\s*\.\s*json([\s\S]*)$/))) {
+                base = inputOf(nodeName, depth);
+                chain = match[1];
+            } else if ((match = code.match(/^\$\(\s*(['"])(.+?)\1\s*\)\s*\.\s*(?:item|first\(\s*\)|all\(\s*\)\s*\[\s*0\s*\])\s*\.\s*json([\s\S]*)$/))
+                || (match = code.match(/^\$node\s*\[\s*(['"])(.+?)\1\s*\]\s*\.\s*json([\s\S]*)$/))) {
+                base = nodeOutput(match[2], depth + 1);
+                chain = match[3];
+            } else if ((match = code.match(/^\$getWorkflowStaticData\(\s*(['"])(global|node)\1\s*\)([\s\S]*)$/))) {
+                base = match[2] === 'global' ? staticData.global : staticData[`node:${nodeName}`];
+                chain = match[3];
+            } else if ((match = code.match(/^\$workflow([\s\S]*)$/))) {
+                base = { id: workflow.id, name: workflow.name, active: workflow.active };
+                chain = match[1];
+            } else {
+                return undefined;
+            }
+
+            const keys = parseAccessPath(chain);
+            if (!base || !keys) return undefined;
+            const value = keys.reduce((obj, key) => (obj === null || obj === undefined || obj === DYNAMIC) ? undefined : obj[key], base);
+            return ['string', 'number', 'boolean'].includes(typeof value) ? String(value) : undefined;
+        }
+
+        // Resolves an expression string when every {{ }} block in it is static
+        function resolveValue(value, nodeName, depth = 0) {
+            if (!isExpression(value)) return value;
+            let resolved = true;
+            const result = value.slice(1).replace(/\{\{([\s\S]*?)\}\}/g, (block, code) => {
+                const part = resolveCode(code, nodeName, depth);
+                if (part === undefined) resolved = false;
+                return part ?? block;
+            });
+            return resolved ? result.trim() : value;
+        }
+
+        const resolveParams = (value, nodeName) => {
+            if (Array.isArray(value)) return value.map(v => resolveParams(v, nodeName));
+            if (value && typeof value === 'object') {
+                return Object.fromEntries(Object.entries(value).map(([key, v]) => [key, resolveParams(v, nodeName)]));
+            }
+            return resolveValue(value, nodeName);
+        };
+
+        return { resolveValue, resolveParams };
+    }
+
+    // Words that end a table reference (aliases are skipped, keywords are not)
+    const SQL_KEYWORDS = new Set([
+        'select', 'from', 'join', 'where', 'on', 'using', 'set', 'values', 'as', 'with', 'recursive', 'into',
+        'insert', 'update', 'delete', 'merge', 'truncate', 'when', 'matched', 'then', 'only', 'lateral', 'ignore',
+        'table', 'group', 'order', 'by', 'having', 'limit', 'offset', 'returning', 'union', 'intersect', 'except',
+        'inner', 'left', 'right', 'full', 'outer', 'cross', 'natural', 'and', 'or', 'not', 'default', 'do', 'conflict',
+        'window', 'for', 'tablesample', 'unnest', 'qualify'
+    ]);
+
+    // Statements that open a subquery when they follow "(", or start a string holding a query
+    const SQL_STATEMENT = /^\s*(select|with|insert|update|delete|merge|truncate)\b/i;
+    const SQL_QUERY_STARTS = ['select', 'with', 'insert', 'update', 'delete', 'merge'];
+
+    /**
+     * Finds the strings holding SQL statements in request bodies (plain values, JSON strings and objects)
+     */
+    function findSqlStrings(value) {
+        if (typeof value === 'string') {
+            const text = value.replace(/^=/, '');
+            if (SQL_STATEMENT.test(text)) return [text];
+            if (!/^\s*[{[]/.test(text)) return [];
+            try {
+                return findSqlStrings(JSON.parse(text));
+            } catch (e) {
+                return [];
+            }
+        }
+        if (value && typeof value === 'object') return Object.values(value).flatMap(findSqlStrings);
+        return [];
+    }
+
+    /**
+     * Lists the tables referenced by an SQL query with the access of each reference:
+     * FROM/JOIN/USING read, INSERT/MERGE INTO and UPDATE write, DELETE FROM and TRUNCATE delete.
+     * CTE names are excluded and schema-qualified names are kept ("billing.invoices").
+     * n8n expressions inside the query are ignored.
+     */
+    function extractSqlTables(sql) {
+        const text = String(sql || '').replace(/^=/, '')
+            .replace(/\{\{[\s\S]*?\}\}/g, ' ? ')
+            .replace(/--[^\n]*|\/\*[\s\S]*?\*\/|'(?:[^'\\]|''|\\.)*'|\$(\w*)\$[\s\S]*?\$\1\$/g, m => (m[0] === '-' || m[0] === '/' ? ' ' : " '' "));
+        const tokens = text.match(/"(?:[^"]|"")*"|`[^`]*`|[A-Za-z_][\w$]*|\d+(?:\.\d+)?|''|\S/g) || [];
+
+        const lower = (i) => (tokens[i] || '').toLowerCase();
+        const isQuoted = (t) => /^["`]/.test(t || '');
+        const isName = (i) => isQuoted(tokens[i]) || (/^[A-Za-z_]/.test(tokens[i] || '') && !SQL_KEYWORDS.has(lower(i)));
+        const unquote = (t) => (isQuoted(t) ? t.slice(1, -1).replace(/""/g, '"') : t);
+
+        const refs = new Map();
+        const ctes = new Set();
+        const add = (name, access) => {
+            if (!name.includes('.') && ctes.has(name.toLowerCase())) return;
+            refs.set(`${access}:${name}`, { table: name, access });
+        };
+
+        // Reads a (possibly qualified) table name at i; table functions ("generate_series(...)") are skipped
+        const readName = (i, allowColumns) => {
+            while (['only', 'lateral', 'table', 'ignore'].includes(lower(i))) i++;
+            if (!isName(i)) return null;
+            const parts = [unquote(tokens[i])];
+            let j = i + 1;
+            while (tokens[j] === '.' && (isQuoted(tokens[j + 1]) || /^[A-Za-z_]/.test(tokens[j + 1] || ''))) {
+                parts.push(unquote(tokens[j + 1]));
+                j += 2;
+            }
+            return { name: tokens[j] === '(' && !allowColumns ? null : parts.join('.'), next: j };
+        };
+
+        // Reads a comma-separated list of tables with optional aliases; returns the index after it
+        const readList = (i, access) => {
+            let j = i;
+            for (;;) {
+                const ref = readName(j, false);
+                if (!ref) return j;
+                if (ref.name) add(ref.name, access);
+                j = ref.next;
+                if (lower(j) === 'as') j += 2;
+                else if (isName(j)) j++;
+                if (tokens[j] !== ',') return j;
+                j++;
+            }
+        };
+
+        const queryLevels = [true];
+        for (let i = 0; i < tokens.length; i++) {
+            const token = tokens[i];
+            if (token === '(') {
+                queryLevels.push(SQL_QUERY_STARTS.includes(lower(i + 1)) || (tokens[i + 1] === '(' && queryLevels[queryLevels.length - 1]));
+                continue;
+            }
+            if (token === ')') {
+                if (queryLevels.length > 1) queryLevels.pop();
+                continue;
+            }
+            // FROM inside function calls (EXTRACT(YEAR FROM ...), TRIM(... FROM ...)) is not a table reference
+            if (!queryLevels[queryLevels.length - 1]) continue;
+
+            const word = lower(i);
+            const previous = lower(i - 1);
+
+            // CTE names: WITH [RECURSIVE] name [(columns)] AS (...), name AS (...)
+            if (['with', 'recursive', ','].includes(previous) && isName(i)) {
+                let j = i + 1;
+                if (tokens[j] === '(') {
+                    while (j < tokens.length && tokens[j] !== ')') j++;
+                    j++;
+                }
+                if (lower(j) === 'as' && (tokens[j + 1] === '(' || lower(j + 1) === 'materialized' || lower(j + 1) === 'not')) {
+                    ctes.add(unquote(token).toLowerCase());
+                    continue;
+                }
+            }
+
+            if (word === 'from') {
+                // IS DISTINCT FROM compares values
+                if (previous !== 'distinct') i = readList(i + 1, 'read') - 1;
+            } else if (word === 'join') {
+                const ref = readName(i + 1, false);
+                if (ref?.name) add(ref.name, 'read');
+            } else if (word === 'using') {
+                i = readList(i + 1, 'read') - 1;
+            } else if (word === 'into') {
+                const ref = readName(i + 1, true);
+                if (ref?.name) add(ref.name, 'write');
+            } else if (word === 'update' && previous !== 'for' && previous !== 'key') {
+                const ref = readName(i + 1, false);
+                if (ref?.name) add(ref.name, 'write');
+            } else if (word === 'delete' && lower(i + 1) === 'from') {
+                i = readList(i + 2, 'delete') - 1;
+            } else if (word === 'truncate') {
+                i = readList(i + 1, 'delete') - 1;
+            }
+        }
+        return Array.from(refs.values());
+    }
+
+    /**
+     * Checks if an extractor definition applies to an n8n node
+     */
+    function extractorMatches(definition, nodeType, creds) {
+        const typeMatch = definition.typeMatchers.some(matches => matches(nodeType));
+        return typeMatch || (definition.matchCredentials || []).some(key => creds[key]);
+    }
+
+    /**
+     * Splits JavaScript or Python source into tokens ({ type: 'name'|'string'|'number'|'regex'|'punct', value, line }),
+     * dropping comments. Template literals keep their static text with "${}" in place of each
+     * interpolation, whose tokens follow. Throws on unterminated strings/comments and unbalanced brackets.
+     */
+    function tokenizeCode(code, language) {
+        const python = language === 'python';
+        const tokens = [];
+        const brackets = [];
+        const closers = { ')': '(', ']': '[', '}': '{' };
+        const NAME = /[A-Za-z_$][\w$]*/y;
+        const NUMBER = /\d[\w.]*/y;
+        const REGEX_KEYWORDS = ['return', 'typeof', 'case', 'in', 'of', 'new', 'delete', 'void', 'throw', 'instanceof', 'yield', 'await'];
+        let line = 1;
+        let i = 0;
+
+        const fail = (message, at = line) => { throw new Error(`${message} (linha ${at})`); };
+
+        const readString = (quote, triple) => {
+            const end = triple ? quote.repeat(3) : quote;
+            const start = line;
+            let value = '';
+            while (i < code.length) {
+                if (code.startsWith(end, i)) {
+                    i += end.length;
+                    return value;
+                }
+                const ch = code[i];
+                if (ch === '\\') {
+                    value += code[i + 1] || '';
+                    if (code[i + 1] === '\n') line++;
+                    i += 2;
+                    continue;
+                }
+                if (ch === '\n') {
+                    if (!triple) fail('String não terminada', start);
+                    line++;
+                }
+                value += ch;
+                i++;
+            }
+            return fail('String não terminada', start);
+        };
+
+        // Reads a template literal body, up to the closing backtick or the next "${"
+        const readTemplate = (token) => {
+            while (i < code.length) {
+                const ch = code[i];
+                if (ch === '\\') {
+                    token.value += code[i + 1] || '';
+                    i += 2;
+                    continue;
+                }
+                if (ch === '`') {
+                    i++;
+                    return;
+                }
+                if (ch === '$' && code[i + 1] === '{') {
+                    token.value += '${}';
+                    brackets.push({ char: '{', line, template: token });
+                    i += 2;
+                    return;
+                }
+                if (ch === '\n') line++;
+                token.value += ch;
+                i++;
+            }
+            fail('Template literal não terminado', token.line);
+        };
+
+        while (i < code.length) {
+            const ch = code[i];
+            if (ch === '\n') {
+                line++;
+                i++;
+                continue;
+            }
+            if (/\s/.test(ch)) {
+                i++;
+                continue;
+            }
+
+            // Comments
+            if (python ? ch === '#' : code.startsWith('//', i)) {
+                while (i < code.length && code[i] !== '\n') i++;
+                continue;
+            }
+            if (!python && code.startsWith('/*', i)) {
+                const end = code.indexOf('*/', i + 2);
+                if (end < 0) fail('Comentário não terminado');
+                line += (code.slice(i, end).match(/\n/g) || []).length;
+                i = end + 2;
+                continue;
+            }
+
+            // Strings (Python prefixes such as f"..." and r'...' are read as names first)
+            NAME.lastIndex = i;
+            const name = NAME.exec(code);
+            const quote = name ? code[i + name[0].length] : ch;
+            if ((!name || (python && /^[rbfu]{1,2}$/i.test(name[0]))) && (quote === '"' || quote === "'")) {
+                if (name) i += name[0].length;
+                const triple = python && code.startsWith(quote.repeat(3), i);
+                const start = line;
+                i += triple ? 3 : 1;
+                tokens.push({ type: 'string', value: readString(quote, triple), line: start });
+                continue;
+            }
+            if (!python && ch === '`') {
+                const token = { type: 'string', value: '', line };
+                tokens.push(token);
+                i++;
+                readTemplate(token);
+                continue;
+            }
+            if (name) {
+                tokens.push({ type: 'name', value: name[0], line });
+                i += name[0].length;
+                continue;
+            }
+            NUMBER.lastIndex = i;
+            const number = NUMBER.exec(code);
+            if (number) {
+                tokens.push({ type: 'number', value: number[0], line });
+                i += number[0].length;
+                continue;
+            }
+
+            // Regular expression literals, where an operand is expected
+            const previous = tokens[tokens.length - 1];
+            if (!python && ch === '/' && (!previous
+                || (previous.type === 'punct' && !')]}'.includes(previous.value))
+                || (previous.type === 'name' && REGEX_KEYWORDS.includes(previous.value)))) {
+                let inClass = false;
+                i++;
+                while (i < code.length && (inClass || code[i] !== '/')) {
+                    if (code[i] === '\n') fail('Expressão regular não terminada');
+                    if (code[i] === '\\') i++;
+                    else if (code[i] === '[') inClass = true;
+                    else if (code[i] === ']') inClass = false;
+                    i++;
+                }
+                i++;
+                while (/[a-z]/i.test(code[i] || '')) i++;
+                tokens.push({ type: 'regex', value: '', line });
+                continue;
+            }
+
+            if ('([{'.includes(ch)) {
+                brackets.push({ char: ch, line });
+            } else if (closers[ch]) {
+                const open = brackets.pop();
+                if (!open || open.char !== closers[ch]) fail(`'${ch}' inesperado`);
+                if (open.template) {
+                    i++;
+                    readTemplate(open.template);
+                    continue;
+                }
+            }
+            tokens.push({ type: 'punct', value: ch, line });
+            i++;
+        }
+
+        if (brackets.length) {
+            const open = brackets[brackets.length - 1];
+            fail(open.template ? 'Template literal não terminado' : `'${open.char}' sem fechamento`, open.line);
+        }
+        return tokens;
+    }
+
+    // Classes whose static .from() is not the Supabase client (Array.from, Buffer.from...)
+    const NOT_SUPABASE_FROM = /^([A-Z]|storage$|console$)/;
+
+    /**
+     * Statically analyses the JavaScript or Python code of a Code/Function node. Returns the
+     * URLs called (with the access of their HTTP method), Supabase client tables and RPCs
+     * (.from()/.table()/.rpc()) and environment variables ($env, _env, process.env, os.environ).
+     * Throws when the code cannot be tokenized.
+     */
+    function analyzeCode(code, language) {
+        const tokens = tokenizeCode(code, language);
+        const found = { urls: new Map(), tables: new Map(), rpcs: new Set(), env: new Set() };
+
+        const is = (k, value) => tokens[k]?.type === 'punct' && tokens[k].value === value;
+        const name = (k) => (tokens[k]?.type === 'name' ? tokens[k].value : null);
+        const string = (k) => (tokens[k]?.type === 'string' ? tokens[k].value : null);
+        const isStatic = (value) => value !== null && !/\$\{\}|[{}]/.test(value);
+
+        // Innermost call of each token and the matching ")" of each "("
+        const enclosing = [];
+        const closing = new Map();
+        const open = [];
+        tokens.forEach((token, k) => {
+            enclosing[k] = open.length ? open[open.length - 1] : -1;
+            if (is(k, '(')) open.push(k);
+            else if (is(k, ')')) closing.set(open.pop(), k);
+        });
+        const end = (k) => closing.get(k) ?? tokens.length;
+
+        // Access of a URL: axios.post(...) / requests.delete(...) or a method option of the call
+        const urlAccess = (k) => {
+            const call = enclosing[k];
+            if (call < 0) return 'read';
+            const callee = name(call - 1);
+            if (/^(get|post|put|patch|delete|head)$/i.test(callee || '')) return classifyHttpMethod(callee);
+            for (let j = call + 1; j < end(call); j++) {
+                if ((name(j) === 'method' || string(j) === 'method') && (is(j + 1, ':') || is(j + 1, '=')) && string(j + 2)) {
+                    return classifyHttpMethod(string(j + 2));
+                }
+            }
+            return 'read';
+        };
+
+        // Access of a Supabase query: the first operation chained after .from('table')
+        const chainAccess = (k) => {
+            while (is(k, '.') && name(k + 1) && is(k + 2, '(')) {
+                const operation = name(k + 1);
+                if (operation === 'delete') return 'delete';
+                if (['insert', 'upsert', 'update'].includes(operation)) return 'write';
+                if (operation === 'select') return 'read';
+                k = end(k + 2) + 1;
+            }
+            return 'read';
+        };
+
+        // Variable name of an environment lookup on the object at k: X.NAME, X['NAME'], X.get('NAME')
+        const envName = (k) => {
+            if (is(k + 1, '.') && name(k + 2) === 'get' && is(k + 3, '(')) return string(k + 4);
+            if (is(k + 1, '.')) return name(k + 2);
+            if (is(k + 1, '[')) return string(k + 2);
+            return null;
+        };
+
+        tokens.forEach((token, k) => {
+            const value = string(k);
+            if (value && /^https?:\/\//i.test(value)) {
+                const access = urlAccess(k);
+                const previous = found.urls.get(value);
+                if (!previous || ACCESS_MODES.indexOf(access) < ACCESS_MODES.indexOf(previous)) found.urls.set(value, access);
+            }
+
+            if (is(k, '.') && ['from', 'from_', 'table'].includes(name(k + 1)) && is(k + 2, '(') && is(k + 4, ')')
+                && isStatic(string(k + 3)) && !NOT_SUPABASE_FROM.test(name(k - 1) || '')) {
+                const access = chainAccess(k + 5);
+                found.tables.set(`${access}:${string(k + 3)}`, { table: string(k + 3), access });
+            }
+            if (is(k, '.') && name(k + 1) === 'rpc' && is(k + 2, '(') && isStatic(string(k + 3))) found.rpcs.add(string(k + 3));
+
+            let variable = null;
+            if (['$env', '_env'].includes(name(k)) && !is(k - 1, '.')) variable = envName(k);
+            else if ((name(k) === 'process' && name(k + 2) === 'env') || (name(k) === 'os' && name(k + 2) === 'environ')) variable = is(k + 1, '.') ? envName(k + 2) : null;
+            else if (name(k) === 'os' && is(k + 1, '.') && name(k + 2) === 'getenv' && is(k + 3, '(')) variable = string(k + 4);
+            if (variable && /^[A-Za-z_]\w*$/.test(variable)) found.env.add(variable);
+        });
+
+        return {
+            urls: Array.from(found.urls, ([url, access]) => ({ url, access })),
+            tables: Array.from(found.tables.values()),
+            rpcs: Array.from(found.rpcs),
+            env: Array.from(found.env)
+        };
+    }
+
+    /**
+     * Creates a source node with its workflow -> source `uses` edge and source -> credential `auth` edges.
+     * Returns the ID of the source node.
+     *
+     * Options:
+     * - target: Prefix/group of the source (defaults to the definition), e.g. Supabase tables found
+     *   in a Postgres query; credentials always come from the definition
+     * - origin: Tags edges that were inferred ('code' for Code/Function nodes)
+     * - path: Child of the source used by the node (HTTP path prefix); the workflow edge points to the
+     *   child, linked to its parent by a `part_of` edge
+     * - operation: Operation shown on the edge (defaults to the `operation` parameter)
+     * - method: HTTP method of the call, kept on the edge and used as its operation
+     */
+    function addSource(definition, node, ctx, resource, access, { target = definition, origin = null, path = null, operation = null, method = null } = {}) {
+        const creds = node.credentials || {};
+        const prefix = target.prefix || target.id;
+        operation = operation || getVal((node.parameters || {}).operation);
+
+        // Unresolved expressions are kept per workflow: the same expression may point elsewhere in another one
+        const dynamic = isDynamicValue(resource);
+        const sourceId = dynamic ? `dynamic_${ctx.workflowId}_${prefix}_${expressionLabel(resource)}` : `${prefix}_${resource}`;
+        const label = dynamic ? expressionLabel(resource) : resource;
+        const type = target.sourceType || target.group;
+        addNode(ctx.nodeMap, sourceId, label, type, {
+            group: target.group,
+            ...(dynamic && { dynamic: true, expression: resource })
+        });
+
+        let usedId = sourceId;
+        if (path && !dynamic) {
+            usedId = `${sourceId}${path}`;
+            if (!ctx.nodeMap.has(usedId)) {
+                addNode(ctx.nodeMap, usedId, `${label}${path}`, type, { group: target.group, parent: sourceId, path });
+                ctx.links.push({ source: usedId, target: sourceId, type: 'part_of' });
+            }
+        }
+        ctx.links.push({
+            source: ctx.workflowId, target: usedId, type: 'uses', access, operation: operation || method, nodeName: node.name,
+            ...(method && { method }), ...(origin && { origin })
+        });
+
+        (definition.credentialTypes || []).forEach(key => {
+            if (!creds[key]) return;
+            const credId = addCredential(ctx, node, key, definition.prefix || definition.id, definition.group);
+            ctx.links.push({ source: sourceId, target: credId, type: 'auth' });
+        });
+        ctx.nodeSources.push(sourceId);
+        return sourceId;
+    }
+
+    /**
+     * Creates the node of a credential referenced by `node` under the credential type `key`
+     * and records the n8n node as one of its consumers. Returns the credential node ID.
+     * One n8n credential (by ID, else name) keeps a single node whichever extractor finds it first.
+     */
+    function addCredential(ctx, node, key, prefix, group) {
+        const cred = node.credentials[key];
+        const credName = getVal(cred.name || cred.id || `${groupLabels[group] || prefix} API`);
+        const identity = `${key}:${getVal(cred.id || credName)}`;
+        if (!ctx.credentialNodes.has(identity)) {
+            const credId = `cred_${prefix}_${credName}`;
+            ctx.credentialNodes.set(identity, credId);
+            addNode(ctx.nodeMap, credId, `Cred: ${credName}`, `credential ${group}`, {
+                group, credentialType: key, credentialId: cred.id ?? null, consumers: []
+            });
+        }
+        const credId = ctx.credentialNodes.get(identity);
+        ctx.nodeCredentials.add(key);
+
+        // n8n nodes referencing the credential (a node may use it for several sources)
+        const consumers = ctx.nodeMap.get(credId).consumers;
+        if (!consumers.some(c => c.workflow === ctx.workflowId && c.node === node.name)) {
+            consumers.push({ workflow: ctx.workflowId, node: node.name, disabled: Boolean(node.disabled) });
+        }
+        return credId;
+    }
+
+    /**
+     * Links the credentials of a node that no extractor declared (or that produced no source).
+     * They take the prefix/group of an extractor declaring the type, if any, and authenticate
+     * the sources of the node, or the workflow itself when the node has none.
+     */
+    function addUndeclaredCredentials(node, ctx) {
+        const creds = node.credentials || {};
+        Object.keys(creds).forEach(key => {
+            if (!creds[key] || ctx.nodeCredentials.has(key)) return;
+            const declaring = extractorRegistry.find(def => (def.credentialTypes || []).includes(key));
+            const group = declaring ? declaring.group : (ctx.nodeMap.get(ctx.nodeSources[0])?.group || 'other');
+            const credId = addCredential(ctx, node, key, declaring ? (declaring.prefix || declaring.id) : key, group);
+            const owners = ctx.nodeSources.length ? [...new Set(ctx.nodeSources)] : [ctx.workflowId];
+            owners.forEach(owner => ctx.links.push({ source: owner, target: credId, type: 'auth' }));
+        });
+    }
+
+    // Target of SQL tables matched against the Supabase metadata (supabase.tables)
+    const SUPABASE_TABLE_TARGET = { id: 'supabase', group: 'supabase' };
+
+    /**
+     * Creates one source per table referenced by an SQL query, with the access of each statement.
+     * With `matchSupabase`, tables listed in supabase.tables become Supabase table nodes.
+     * Returns false when the query references no table.
+     */
+    function addSqlSources(definition, node, ctx, sql, matchSupabase = definition.supabaseTables) {
+        const refs = extractSqlTables(sql);
+        refs.forEach(({ table, access }) => {
+            const name = table.replace(/^public\./i, '');
+            const supabaseName = matchSupabase && (ctx.supabaseTables.get(name.toLowerCase()) || (matchSupabase === 'always' && name));
+            if (supabaseName) {
+                ctx.tablesUsed.add(supabaseName);
+                addSource(definition, node, ctx, supabaseName, access, { target: SUPABASE_TABLE_TARGET });
+            } else {
+                addSource(definition, node, ctx, definition.sqlTable ? definition.sqlTable(name) : name, access);
+            }
+        });
+        return refs.length > 0;
+    }
+
+    /**
+     * Applies an extractor definition to an n8n node: creates the source node,
+     * the workflow -> source `uses` edge and source -> credential `auth` edges.
+     * Nodes running an SQL query get one source per referenced table instead.
+     */
+    function applyExtractor(definition, node, ctx) {
+        const params = node.parameters || {};
+
+        if (definition.extract) definition.extract(node, ctx);
+
+        const sql = (definition.sqlParams || []).map(path => getVal(getParam(params, path))).filter(Boolean).join(';\n');
+        if (sql && addSqlSources(definition, node, ctx, sql)) return;
+
+        let resource = definition.resolve
+            ? definition.resolve(params, node, ctx)
+            : (definition.resourceParams || []).map(path => getVal(getParam(params, path))).find(Boolean);
+        resource = resource || definition.defaultResource;
+        if (!resource) return;
+
+        const access = typeof definition.access === 'function'
+            ? definition.access(params, node)
+            : (definition.access || classifyOperation(getVal(params.operation)) || definition.defaultAccess || 'read');
+
+        addSource(definition, node, ctx, resource, access);
+    }
+
+    // Code, Function, Function Item and AI Agent Code Tool nodes
+    const CODE_NODE_TYPES = /\.(code|function|functionitem|toolcode)$/;
+
+    /**
+     * Adds the dependencies found in the code of a Code/Function node, as edges tagged with
+     * origin 'code'. Code that cannot be analysed is reported on the workflow node instead.
+     */
+    function analyzeCodeNode(node, ctx) {
+        const params = node.parameters || {};
+        const python = /^python/i.test(params.language || '');
+        const code = python ? params.pythonCode : (params.jsCode ?? params.functionCode ?? params.functionItemCode);
+        if (typeof code !== 'string' || !code.trim()) return;
+
+        let found;
+        try {
+            found = analyzeCode(code, python ? 'python' : 'javascript');
+        } catch (e) {
+            ctx.addCodeIssue(node.name, e.message);
+            return;
+        }
+
+        const supabase = extractorRegistry.find(def => def.id === 'supabase');
+
+        found.urls.forEach(({ url, access }) => addHttpTarget(node, ctx, url, access, 'code'));
+        if (supabase) {
+            found.tables.forEach(({ table, access }) => {
+                ctx.tablesUsed.add(table);
+                addSource(supabase, node, ctx, table, access, { origin: 'code' });
+            });
+        }
+        found.rpcs.forEach(name => ctx.addRpcCall(name, 'code'));
+        found.env.forEach(name => {
+            addNode(ctx.nodeMap, `env_${name}`, `$env.${name}`, 'env', { group: 'env' });
+            ctx.links.push({ source: ctx.workflowId, target: `env_${name}`, type: 'uses', access: 'read', origin: 'code' });
+        });
+    }
+
+    /**
+     * Runs every matching extractor for an n8n node. Fallback extractors (generic HTTP)
+     * only run when no specific extractor claimed the node.
+     */
+    function runExtractors(node, ctx) {
+        const nodeType = (node.type || '').toLowerCase();
+        const creds = node.credentials || {};
+
+        let matched = extractorRegistry.filter(def => !def.fallback && extractorMatches(def, nodeType, creds));
+        if (matched.length === 0) matched = extractorRegistry.filter(def => def.fallback && extractorMatches(def, nodeType, creds));
+
+        matched.forEach(def => applyExtractor(def, node, ctx));
+    }
+
+    /**
+     * Internal helper to normalize a webhook path for comparison ("/foo/bar/" -> "foo/bar")
+     */
+    const normalizeWebhookPath = (path) => String(path || '').trim().replace(/^\/+|\/+$/g, '').toLowerCase();
+
+    /**
+     * Builds lookup tables used to resolve workflow-to-workflow references:
+     * by workflow ID, by name and by the paths of their Webhook trigger nodes
+     */
+    function buildWorkflowIndex(workflows) {
+        const index = { byId: new Map(), byName: new Map(), byWebhookPath: new Map() };
+
+        workflows.forEach(workflow => {
+            if (!workflow || workflow.id === undefined) return;
+            index.byId.set(String(workflow.id), workflow.id);
+            if (workflow.name) index.byName.set(workflow.name.trim().toLowerCase(), workflow.id);
+
+            (workflow.nodes || []).forEach(node => {
+                const nodeType = (node.type || '').toLowerCase();
+                if (!nodeType.endsWith('.webhook')) return;
+
+                // n8n serves a webhook both on its configured path and on its webhookId
+                [node.parameters?.path, node.webhookId].forEach(path => {
+                    const key = normalizeWebhookPath(path);
+                    if (key) index.byWebhookPath.set(key, workflow.id);
+                });
+            });
+        });
+
+        return index;
+    }
+
+    /**
+     * Resolves the target of an Execute Workflow / Call Workflow Tool node.
+     * Handles plain IDs, Resource Locators (list, id and url modes) and workflow names.
+     * Returns the target workflow ID or null when it cannot be found in the loaded data.
+     */
+    function resolveWorkflowReference(params, index) {
+        // Inline JSON, local files and remote URLs do not point to a workflow of this instance
+        if (params.source && params.source !== 'database') return null;
+
+        const ref = params.workflowId;
+        if (ref === null || ref === undefined || ref === '') return null;
+
+        const candidates = [];
+        if (typeof ref === 'object') {
+            const value = String(ref.value ?? '');
+            if (ref.mode === 'url') {
+                const match = value.match(/\/workflow\/([^\/?#]+)/);
+                if (match) candidates.push(match[1]);
+            } else {
+                candidates.push(value);
+            }
+            if (ref.cachedResultName) candidates.push(ref.cachedResultName);
+        } else {
+            candidates.push(String(ref));
+        }
+
+        for (const candidate of candidates) {
+            const key = candidate.trim();
+            if (!key || key.startsWith('=')) continue; // Expressions cannot be resolved statically
+            if (index.byId.has(key)) return index.byId.get(key);
+            if (index.byName.has(key.toLowerCase())) return index.byName.get(key.toLowerCase());
+        }
+        return null;
+    }
+
+    /**
+     * Resolves an HTTP Request URL pointing at another workflow's webhook
+     * (".../webhook/<path>" or ".../webhook-test/<path>") to that workflow's ID
+     */
+    function resolveWebhookCall(url, index) {
+        const match = String(url || '').match(/\/webhook(?:-test)?\/([^?#]+)/);
+        if (!match) return null;
+
+        const path = normalizeWebhookPath(match[1]);
+        if (index.byWebhookPath.has(path)) return index.byWebhookPath.get(path);
+
+        // Webhooks with route parameters are served as "<webhookId>/<path>"
+        const withoutPrefix = path.split('/').slice(1).join('/');
+        if (withoutPrefix && index.byWebhookPath.has(withoutPrefix)) return index.byWebhookPath.get(withoutPrefix);
+        return index.byWebhookPath.get(path.split('/')[0]) ?? null;
+    }
+
+    /**
+     * Host mappings: friendly service names (and optionally groups) for the hosts called by
+     * HTTP Requests, registered from visualizer_config.json ("hosts"). Patterns are exact
+     * hostnames or "*.domain.com" for any subdomain.
+     */
+    const hostMappings = [];
+
+    function registerHost(pattern, mapping) {
+        const definition = typeof mapping === 'string' ? { label: mapping } : { ...mapping };
+        if (!pattern || !definition.label) {
+            console.warn('Mapeamento de host inválido (label é obrigatório):', pattern, mapping);
+            return;
+        }
+        if (definition.group) registerGroup(definition.group, { label: definition.groupLabel || definition.label, color: definition.color });
+
+        const key = String(pattern).toLowerCase();
+        const existing = hostMappings.findIndex(m => m.pattern === key);
+        if (existing >= 0) hostMappings[existing] = { pattern: key, ...definition };
+        else hostMappings.push({ pattern: key, ...definition });
+    }
+
+    /**
+     * Finds the mapping of a hostname, exact patterns first
+     */
+    function resolveHost(host) {
+        return hostMappings.find(m => m.pattern === host)
+            || hostMappings.find(m => m.pattern.startsWith('*.') && host.endsWith(m.pattern.slice(1)))
+            || null;
+    }
+
+    // Path segments kept under each host node ("/v1/customers/cus_123" -> "/v1/customers")
+    const HTTP_PATH_DEPTH = 2;
+
+    /**
+     * Path prefix of an URL path, stopping at IDs and expressions. Null for the root path.
+     */
+    function httpPathPrefix(path) {
+        const segments = [];
+        for (const segment of String(path || '').split('/').filter(Boolean)) {
+            if (segments.length >= HTTP_PATH_DEPTH) break;
+            // Expressions, route parameters, numbers and long tokens with digits (UUIDs, "cus_N4x...")
+            if (/\{\{|\$\{|^:|^\d+$/.test(segment) || (/\d/.test(segment) && segment.length >= 8)) break;
+            segments.push(segment);
+        }
+        return segments.length ? `/${segments.join('/')}` : null;
+    }
+
+    /**
+     * Adds the target of an HTTP call: Supabase RPCs and other workflows' webhooks get their own
+     * edges, any other URL becomes an external-service node keyed by host (or by its mapped name)
+     * with the path prefix as child. Unresolved URLs become dynamic references.
+     */
+    function addHttpTarget(node, ctx, url, access, origin = null, method = null) {
+        if (/\/rpc\//.test(url)) {
+            const rpcMatch = url.match(/\/rpc\/([a-zA-Z_][a-zA-Z0-9_]*)/);
+            if (rpcMatch) ctx.addRpcCall(rpcMatch[1], origin);
+            return;
+        }
+        const workflowId = resolveWebhookCall(url, ctx.workflowIndex);
+        if (workflowId !== null) {
+            ctx.addWorkflowCall(workflowId, origin);
+            return;
+        }
+
+        const http = extractorRegistry.find(def => def.id === 'http');
+        if (!http) return;
+        const match = url.match(/^=?\s*https?:\/\/([^\/:?#\s{}$]+)(?::\d+)?([^?#\s]*)/i);
+        if (!match) {
+            if (isDynamicValue(url)) addSource(http, node, ctx, url, access, { origin, method });
+            return;
+        }
+
+        // Predefined credential types (Stripe, HubSpot...) are linked as well
+        const params = node.parameters || {};
+        const definition = params.authentication === 'predefinedCredentialType' && params.nodeCredentialType
+            ? { ...http, credentialTypes: [...(http.credentialTypes || []), getVal(params.nodeCredentialType)] }
+            : http;
+
+        const host = match[1].toLowerCase();
+        const service = resolveHost(host);
+        const sourceId = addSource(definition, node, ctx, service ? service.label : host, access, {
+            target: service && service.group ? { id: http.id, group: service.group } : http,
+            origin,
+            method,
+            path: httpPathPrefix(match[2])
+        });
+        const source = ctx.nodeMap.get(sourceId);
+        source.hosts = source.hosts || [];
+        if (!source.hosts.includes(host)) source.hosts.push(host);
+    }
+
+    // Nodes that start a workflow (schedules, webhooks, app triggers, sub-workflow entry points)
+    const TRIGGER_NODE_TYPES = /(trigger|\.webhook|\.cron|\.interval|\.emailreadimap|\.start)$/;
+
+    // Trigger kinds by node type; app triggers not listed are "polling" when they have pollTimes, else "event"
+    const TRIGGER_KINDS = [
+        ['error', /\.errortrigger$/],
+        ['manual', /\.(manualtrigger|start)$/],
+        ['subworkflow', /\.executeworkflowtrigger$/],
+        ['schedule', /\.(scheduletrigger|cron|interval)$/],
+        ['webhook', /(\.webhook|\.formtrigger|\.chattrigger)$/],
+        ['polling', /(\.emailreadimap|gmailtrigger|googlesheetstrigger|googledrivetrigger|googlecalendartrigger|rssfeedreadtrigger|notiontrigger|airtabletrigger)$/]
+    ];
+
+    const isTriggerNode = (node) => TRIGGER_NODE_TYPES.test((node.type || '').toLowerCase()) || !!node.parameters?.pollTimes;
+
+    // Numeric parameter with n8n's default when omitted (exports drop parameters left at their default)
+    const numParam = (value, fallback) => (value === undefined || value === null || value === '' || !Number.isFinite(Number(value)) ? fallback : Number(value));
+    const cronStep = (n) => (n > 1 ? `*/${n}` : '*');
+
+    // One interval of a Schedule Trigger rule as a cron expression ("m h dom mon dow"), or { seconds }
+    function scheduleRuleToCron(rule) {
+        const minute = numParam(rule.triggerAtMinute, 0);
+        const hour = numParam(rule.triggerAtHour, 0);
+        switch (rule.field || 'days') {
+            case 'cronExpression': return { cron: String(rule.expression || '').trim() };
+            case 'seconds': return { seconds: numParam(rule.secondsInterval, 30) };
+            case 'minutes': return { cron: `${cronStep(numParam(rule.minutesInterval, 5))} * * * *` };
+            case 'hours': return { cron: `${minute} ${cronStep(numParam(rule.hoursInterval, 1))} * * *` };
+            // Cron can't skip weeks: every N weeks is reported as every week
+            case 'weeks': return { cron: `${minute} ${hour} * * ${[].concat(rule.triggerAtDay ?? [0]).join(',') || 0}` };
+            case 'months': return { cron: `${minute} ${hour} ${numParam(rule.triggerAtDayOfMonth, 1)} ${cronStep(numParam(rule.monthsInterval, 1))} *` };
+            default: return { cron: `${minute} ${hour} ${cronStep(numParam(rule.daysInterval, 1))} * *` };
+        }
+    }
+
+    // One entry of the legacy Cron node's triggerTimes (or a polling trigger's pollTimes) as a cron expression
+    function triggerTimeToCron(item, defaultMode) {
+        const minute = numParam(item.minute, 0);
+        const hour = numParam(item.hour, 14);
+        switch (item.mode || defaultMode) {
+            case 'everyMinute': return { cron: '* * * * *' };
+            case 'everyHour': return { cron: `${minute} * * * *` };
+            case 'everyWeek': return { cron: `${minute} ${hour} * * ${numParam(item.weekday, 1)}` };
+            case 'everyMonth': return { cron: `${minute} ${hour} ${numParam(item.dayOfMonth, 1)} * *` };
+            case 'everyX': return item.unit === 'minutes'
+                ? { cron: `${cronStep(numParam(item.value, 2))} * * * *` }
+                : { cron: `0 ${cronStep(numParam(item.value, 2))} * * *` };
+            case 'custom': return { cron: String(item.cronExpression || '').trim() };
+            default: return { cron: `${minute} ${hour} * * *` };
+        }
+    }
+
+    /**
+     * Triggers of a workflow: one entry per enabled trigger node,
+     * { node, type, kind, schedules, method?, path? }. Schedules and polling triggers list
+     * when they fire as cron expressions ({ cron }) or sub-minute intervals ({ seconds }).
+     */
+    function describeTriggers(workflow) {
+        return (workflow.nodes || []).filter(n => !n.disabled && isTriggerNode(n)).map(node => {
+            const type = (node.type || '').toLowerCase();
+            const params = node.parameters || {};
+            const kind = (TRIGGER_KINDS.find(([, pattern]) => pattern.test(type)) || [params.pollTimes ? 'polling' : 'event'])[0];
+            const trigger = { node: node.name, type: node.type, kind, schedules: [] };
+
+            if (type.endsWith('.scheduletrigger')) {
+                const intervals = params.rule?.interval;
+                trigger.schedules = (Array.isArray(intervals) && intervals.length ? intervals : [{}]).map(scheduleRuleToCron);
+            } else if (type.endsWith('.cron')) {
+                trigger.schedules = [].concat(params.triggerTimes?.item || [{}]).map(item => triggerTimeToCron(item, 'everyDay'));
+            } else if (type.endsWith('.interval')) {
+                const interval = numParam(params.interval, 1);
+                const unit = params.unit || 'seconds';
+                trigger.schedules = [unit === 'seconds' ? { seconds: interval }
+                    : { cron: unit === 'minutes' ? `${cronStep(interval)} * * * *` : `0 ${cronStep(interval)} * * *` }];
+            } else if (kind === 'polling') {
+                trigger.schedules = [].concat(params.pollTimes?.item || [{}]).map(item => triggerTimeToCron(item, 'everyMinute'));
+            } else if (kind === 'webhook' && !type.endsWith('chattrigger')) {
+                trigger.method = String(getVal(params.httpMethod) || (type.endsWith('.formtrigger') ? 'POST' : 'GET')).toUpperCase();
+                trigger.path = getVal(params.path) || node.webhookId || '';
+            }
+            return trigger;
+        });
+    }
+
+    /**
+     * Internal flow of a workflow: its n8n nodes (sticky notes left out) and the connections
+     * between them, { source, target, kind, output }. `kind` is the connection type: "main",
+     * or "ai_tool", "ai_languageModel"... from an AI sub-node to its agent.
+     */
+    function workflowFlow(workflow) {
+        const nodes = (workflow.nodes || [])
+            .filter(n => !/stickynote$/i.test(n.type || ''))
+            .map(n => ({ name: n.name, type: n.type || '', disabled: !!n.disabled, trigger: isTriggerNode(n) }));
+        const names = new Set(nodes.map(n => n.name));
+
+        const edges = [];
+        Object.entries(workflow.connections || {}).forEach(([source, outputs]) => {
+            if (!names.has(source)) return;
+            Object.entries(outputs || {}).forEach(([kind, branches]) => (branches || []).forEach((branch, output) => {
+                (branch || []).forEach(conn => {
+                    if (conn && names.has(conn.node)) edges.push({ source, target: conn.node, kind, output });
+                });
+            }));
+        });
+        return { nodes, edges };
+    }
+
+    /**
+     * Environments: workflows and Supabase projects can carry an `environment` label (n8n instance,
+     * Supabase project); unlabelled ones take the dataset's `environment` or `metadata.environment`.
+     * With two or more environments, node IDs are namespaced as "<environment>:<id>".
+     */
+    const DEFAULT_ENVIRONMENT = 'default';
+
+    const datasetEnvironment = (data) => (!Array.isArray(data) && (data.environment || data.metadata?.environment)) || null;
+
+    /**
+     * Environments of a dataset, in order of appearance ("default" for unlabelled items mixed with labelled ones)
+     */
+    function listEnvironments(data) {
+        const fallback = datasetEnvironment(data) || DEFAULT_ENVIRONMENT;
+        const workflows = Array.isArray(data) ? data : (data.workflows || []);
+        const projects = Array.isArray(data) ? [] : [].concat(data.supabase || []);
+        const environments = [...new Set([...workflows, ...projects].map(item => item.environment || fallback))];
+        return environments.length === 1 && environments[0] === DEFAULT_ENVIRONMENT ? [] : environments;
+    }
+
+    /**
+     * Data Parser: Converts list of n8n workflow objects into graph nodes and links
+     * Also processes Supabase metadata (orphan tables and RPC functions)
+     * Pure function: returns { nodes, links, workflows } without touching the global state,
+     * `workflows` mapping each workflow node ID to its n8n workflow object
+     */
+    function buildGraph(data) {
+        const workflows = Array.isArray(data) ? data : (data.workflows || []);
+        const projects = Array.isArray(data) ? [] : [].concat(data.supabase || []);
+        const environments = listEnvironments(data);
+        if (environments.length < 2) return buildEnvironmentGraph(workflows, projects[0] || null);
+
+        // One graph per environment (sub-workflow calls and Supabase tables resolve within it), then namespaced
+        const fallback = datasetEnvironment(data) || DEFAULT_ENVIRONMENT;
+        const graph = { nodes: [], links: [], workflows: new Map() };
+        environments.forEach(environment => {
+            const ns = (id) => `${environment}:${id}`;
+            const sub = buildEnvironmentGraph(
+                workflows.filter(w => (w.environment || fallback) === environment),
+                projects.find(p => (p.environment || fallback) === environment) || null
+            );
+            sub.nodes.forEach(n => graph.nodes.push({
+                ...n,
+                id: ns(n.id),
+                environment,
+                ...(n.parent && { parent: ns(n.parent) }),
+                ...(n.consumers && { consumers: n.consumers.map(c => ({ ...c, workflow: ns(c.workflow) })) })
+            }));
+            sub.links.forEach(l => graph.links.push({ ...l, source: ns(l.source), target: ns(l.target) }));
+            sub.workflows.forEach((workflow, id) => graph.workflows.set(ns(id), workflow));
+        });
+        return graph;
+    }
+
+    function buildEnvironmentGraph(workflows, supabaseData) {
+        const links = [];
+        const nodeMap = new Map();
+        const workflowIndex = buildWorkflowIndex(workflows);
+
+        // Track which Supabase tables are referenced by n8n workflows
+        const tablesUsedByN8n = new Set();
+
+        // Credential node IDs by "<credential type>:<n8n ID or name>", see addCredential
+        const credentialNodes = new Map();
+
+        // Supabase table names by lowercase name, to match tables found in SQL queries
+        const supabaseTables = new Map((supabaseData?.tables || []).map(t => [String(t.name).toLowerCase(), t.name]));
+
+        workflows.forEach(workflow => {
+            const workflowId = workflow.id;
+            const workflowName = workflow.name;
+
+            // Create n8n Workflow node (metadata is used by snapshot diffs and filters)
+            addNode(nodeMap, workflowId, workflowName, 'workflow', {
+                active: workflow.active,
+                tags: (workflow.tags || []).map(t => (typeof t === 'string' ? t : t.name)).filter(Boolean),
+                updatedAt: workflow.updatedAt || null,
+                versionId: workflow.versionId || null,
+                triggers: [...new Set((workflow.nodes || []).filter(n => !n.disabled && isTriggerNode(n)).map(n => n.type))],
+                triggerKinds: [...new Set(describeTriggers(workflow).map(t => t.kind))]
+            });
+
+            // Links a workflow to another one it triggers (sub-workflow or webhook call)
+            const addWorkflowCall = (targetId, origin = null, nodeName = null) => {
+                if (targetId === null || targetId === undefined || targetId === workflowId) return;
+                const exists = links.some(l => l.source === workflowId && l.target === targetId && l.type === 'calls_workflow');
+                if (!exists) links.push({ source: workflowId, target: targetId, type: 'calls_workflow', access: 'call', nodeName, ...(origin && { origin }) });
+            };
+
+            // Links a workflow to a Supabase RPC function
+            const addRpcCall = (funcName, origin = null, nodeName = null) => {
+                if (!funcName) return;
+                const dynamic = isDynamicValue(funcName);
+                const funcId = dynamic ? `dynamic_${workflowId}_rpc_${expressionLabel(funcName)}` : `rpc_${funcName}`;
+                addNode(nodeMap, funcId, `rpc: ${dynamic ? expressionLabel(funcName) : funcName}`, 'rpc_function',
+                    dynamic ? { dynamic: true, expression: funcName } : {});
+                links.push({ source: workflowId, target: funcId, type: 'calls', access: 'call', nodeName, ...(origin && { origin }) });
+            };
+
+            // Code nodes that could not be analysed are listed on the workflow node
+            const addCodeIssue = (nodeName, message) => {
+                const workflowNode = nodeMap.get(workflowId);
+                workflowNode.codeIssues = [...(workflowNode.codeIssues || []), { node: nodeName, message }];
+            };
+
+            const expressions = createExpressionScope(workflow);
+            const workflowCtx = {
+                workflowId, workflowIndex, nodeMap, links, expressions, supabaseTables, credentialNodes,
+                tablesUsed: tablesUsedByN8n, addWorkflowCall, addRpcCall, addCodeIssue
+            };
+
+            // Extract dependencies from internal nodes, with their static expressions resolved
+            (workflow.nodes || []).forEach(rawNode => {
+                const node = { ...rawNode, parameters: expressions.resolveParams(rawNode.parameters || {}, rawNode.name) };
+                const nodeType = (node.type || '').toLowerCase();
+                // Sources and credential types found for this node; its edges carry the node name
+                const ctx = {
+                    ...workflowCtx,
+                    nodeSources: [],
+                    nodeCredentials: new Set(),
+                    addWorkflowCall: (targetId, origin) => addWorkflowCall(targetId, origin, node.name),
+                    addRpcCall: (funcName, origin) => addRpcCall(funcName, origin, node.name)
+                };
+
+                // Execute Workflow / Call n8n Workflow Tool (sub-workflow calls)
+                if ((nodeType.includes('executeworkflow') && !nodeType.includes('trigger')) || nodeType.includes('toolworkflow')) {
+                    ctx.addWorkflowCall(resolveWorkflowReference(node.parameters, workflowIndex));
+                }
+
+                if (CODE_NODE_TYPES.test(nodeType)) analyzeCodeNode(node, ctx);
+                runExtractors(node, ctx);
+                addUndeclaredCredentials(node, ctx);
+            });
+        });
+
+        // Process Supabase metadata if available (from stack_data.json)
+        if (supabaseData) {
+            // Add orphan tables (not used by n8n) - same type as regular supabase, just different label
+            (supabaseData.tables || []).forEach(table => {
+                const tableName = table.name;
+                const tableId = `supabase_${tableName}`;
+
+                // Only add if not already added by n8n extraction
+                if (!nodeMap.has(tableId)) {
+                    // This is an orphan table (not used by n8n) - use supabase type with orphan marker
+                    const node = { id: tableId, label: tableName, type: 'supabase', isOrphan: true };
+                    nodeMap.set(tableId, node);
+                }
+            });
+
+            // Add table dependencies for RPC functions. Functions used by n8n were already added
+            // during workflow processing; the others are orphans, like unused tables
+            (supabaseData.functions || []).forEach(func => {
+                const funcName = func.name;
+                const funcId = `rpc_${funcName}`;
+
+                if (!nodeMap.has(funcId)) {
+                    nodeMap.set(funcId, { id: funcId, label: `rpc: ${funcName}`, type: 'rpc_function', isOrphan: true });
+                }
+
+                // Create links from function to tables it uses
+                (func.tables_used || []).forEach(tableName => {
+                    const tableId = `supabase_${tableName}`;
+
+                    // Ensure table node exists
+                    if (!nodeMap.has(tableId)) {
+                        const node = { id: tableId, label: tableName, type: 'supabase', isOrphan: true };
+                        nodeMap.set(tableId, node);
+                    }
+
+                    links.push({ source: funcId, target: tableId, type: 'reads', access: 'read' });
+                });
+            });
+        }
+
+        return { nodes: Array.from(nodeMap.values()), links, workflows: new Map(workflows.map(w => [w.id, w])) };
+    }
+
+    /**
+     * Helper to determine which color group a node belongs to
+     */
+    function getGroup(node) {
+        if (node.group && groupKeys.includes(node.group)) return node.group;
+
+        // Nodes without an explicit group (workflows, Supabase metadata) are matched by type
+        const type = node.type || '';
+        return groupKeys.find(key => key !== 'other' && type.includes(key)) || 'other';
+    }
+
+    /**
+     * Indexed Graph Model: lookup and adjacency maps (by node ID, type and credential)
+     * so analyses don't scan the whole link list per node
+     */
+    function buildGraphIndex(nodes, links) {
+        const byId = new Map();
+        const byType = new Map();
+        const outgoing = new Map();
+        const incoming = new Map();
+        const byCredential = new Map(); // credential ID -> IDs of the sources it authenticates
+
+        nodes.forEach(n => {
+            byId.set(n.id, n);
+            if (!byType.has(n.type)) byType.set(n.type, []);
+            byType.get(n.type).push(n);
+        });
+        links.forEach(l => {
+            if (!outgoing.has(l.source)) outgoing.set(l.source, []);
+            outgoing.get(l.source).push(l);
+            if (!incoming.has(l.target)) incoming.set(l.target, []);
+            incoming.get(l.target).push(l);
+            if (l.type === 'auth') {
+                if (!byCredential.has(l.target)) byCredential.set(l.target, []);
+                if (!byCredential.get(l.target).includes(l.source)) byCredential.get(l.target).push(l.source);
+            }
+        });
+
+        return {
+            nodes,
+            links,
+            byId,
+            byType,
+            byCredential,
+            node: (id) => byId.get(id),
+            // Nodes of a multi-environment graph are told apart by their environment
+            label: (id) => {
+                const n = byId.get(id);
+                if (!n) return id;
+                return n.environment ? `${n.label} (${n.environment})` : n.label;
+            },
+            outgoing: (id) => outgoing.get(id) || [],
+            incoming: (id) => incoming.get(id) || []
+        };
+    }
+
+    /**
+     * ID of the node a collapsed group is drawn as (one per environment in multi-environment graphs)
+     */
+    const groupNodeId = (groupKey, environment) => (environment ? `${environment}:group_${groupKey}` : `group_${groupKey}`);
+
+    /**
+     * Grouping: Collapses the nodes of collapsed groups into one `group_<key>` node and
+     * aggregates the links between them (access modes and diff status are merged).
+     * `isExpanded(groupKey)` decides which groups are shown entity by entity.
+     * Child nodes (HTTP path prefixes) fold into their parent unless `isParentExpanded(parentId)`.
+     */
+    function groupGraph(view, isExpanded, isParentExpanded = () => false) {
+        const idMap = new Map();
+        const visibleNodesMap = new Map();
+
+        // 0. Children of collapsed parents are drawn as their parent
+        const present = new Set(view.nodes.map(n => n.id));
+        const childCount = new Map();
+        view.nodes.forEach(n => {
+            if (n.parent && present.has(n.parent)) childCount.set(n.parent, (childCount.get(n.parent) || 0) + 1);
+        });
+        const folded = (node) => node.parent && present.has(node.parent) && !isParentExpanded(node.parent);
+
+        // 1. Group nodes as requested
+        view.nodes.forEach(node => {
+            if (folded(node)) return;
+            let effectiveGroup = getGroup(node);
+
+            if (!isExpanded(effectiveGroup)) {
+                // Collapsed: Multiple entities merge into one 'group' node
+                const groupId = groupNodeId(effectiveGroup, node.environment);
+                idMap.set(node.id, groupId);
+
+                let labelName = groupLabels[effectiveGroup] || effectiveGroup;
+                if (node.environment) labelName += ` · ${node.environment}`;
+                if (!visibleNodesMap.has(groupId)) {
+                    visibleNodesMap.set(groupId, {
+                        id: groupId,
+                        label: labelName,
+                        type: 'group',
+                        groupType: effectiveGroup,
+                        count: 1,
+                        ...(node.environment && { environment: node.environment })
+                    });
+                } else {
+                    const gNode = visibleNodesMap.get(groupId);
+                    gNode.count++;
+                    gNode.label = `${labelName} (${gNode.count})`;
+                }
+
+                // A collapsed group shows as changed when any of its members changed
+                if (node.diffStatus) {
+                    const gNode = visibleNodesMap.get(groupId);
+                    if (node.diffStatus !== 'unchanged') gNode.diffStatus = 'changed';
+                    else if (!gNode.diffStatus) gNode.diffStatus = 'unchanged';
+                }
+            } else {
+                // Expanded: Entities shown individually
+                idMap.set(node.id, node.id);
+                visibleNodesMap.set(node.id, {
+                    ...node,
+                    ...(childCount.has(node.id) && { childCount: childCount.get(node.id), childrenExpanded: isParentExpanded(node.id) })
+                });
+            }
+        });
+        view.nodes.filter(folded).forEach(node => idMap.set(node.id, idMap.get(node.parent)));
+
+        // 2. Map and aggregate links according to node grouping
+        const linkMap = new Map();
+        view.links.forEach(link => {
+            const sourceId = idMap.get(link.source);
+            const targetId = idMap.get(link.target);
+
+            if (sourceId && targetId && sourceId !== targetId) {
+                const key = `${sourceId}->${targetId}`;
+                if (!linkMap.has(key)) {
+                    linkMap.set(key, { source: sourceId, target: targetId, type: link.type, id: key, accessModes: [], methods: [], nodeNames: [], origin: link.origin });
+                }
+                if (link.diffStatus) {
+                    const current = linkMap.get(key).diffStatus;
+                    linkMap.get(key).diffStatus = !current || current === link.diffStatus ? link.diffStatus : 'changed';
+                }
+
+                // Merge access modes of all raw links folded into this edge
+                const aggregated = linkMap.get(key);
+                // Only edges inferred from code alone keep the tag
+                if (aggregated.origin !== link.origin) aggregated.origin = undefined;
+                if (link.access && !aggregated.accessModes.includes(link.access)) aggregated.accessModes.push(link.access);
+                if (link.method && !aggregated.methods.includes(link.method)) aggregated.methods.push(link.method);
+                if (link.nodeName && !aggregated.nodeNames.includes(link.nodeName)) aggregated.nodeNames.push(link.nodeName);
+                aggregated.access = ACCESS_MODES.find(mode => aggregated.accessModes.includes(mode)) || null;
+            }
+        });
+
+        return { nodes: Array.from(visibleNodesMap.values()), links: Array.from(linkMap.values()) };
+    }
+
+    /**
+     * Search & Query Language: Filters the graph instead of only highlighting.
+     *
+     * Terms are AND-ed; each can be negated with "-" or "!":
+     * - text or /regex/              Label contains text / matches regex
+     * - type:supabase,notion         Entity type (workflow, credential, supabase, rpc_function...)
+     * - group:google                 Legend group (includes its credentials)
+     * - cred:"Prod Supabase"         Credential, the sources it authenticates and their workflows
+     * - active:false                 Workflow active state
+     * - tag:finance                  Workflow tag
+     * - trigger:schedule,webhook     Workflow trigger kind (schedule, webhook, polling, manual, error, subworkflow, event)
+     * - env:prod                     Environment (multi-environment graphs)
+     * - uses:users                   Nodes with a direct dependency on a matching node
+     * - is:orphan|dynamic|code-error|workflow|source|credential
+     * - id:<id> / name:<text>
+     */
+    const QUERY_FIELDS = ['name', 'id', 'type', 'group', 'cred', 'active', 'tag', 'trigger', 'env', 'uses', 'is'];
+    const EXACT_QUERY_FIELDS = ['type', 'group', 'active', 'trigger', 'env', 'is'];
+
+    /**
+     * Builds a value matcher: "/regex/flags", comma-separated alternatives, substring or exact match.
+     * Throws on invalid regular expressions.
+     */
+    function buildQueryMatcher(raw, exact) {
+        const re = /^\/(.+)\/([imsu]*)$/.test(raw) ? compileRegexLiteral(raw, 'i') : null;
+        if (re) return (value) => value !== undefined && value !== null && re.test(String(value));
+        const values = raw.toLowerCase().split(',').map(v => v.trim()).filter(Boolean);
+        return (value) => {
+            if (value === undefined || value === null) return false;
+            const v = String(value).toLowerCase();
+            return values.some(val => (exact ? v === val : v.includes(val)));
+        };
+    }
+
+    function parseQuery(query) {
+        const tokens = query.match(/(?:[^\s"]+|"[^"]*")+/g) || [];
+        return tokens.map(token => {
+            let negate = false;
+            if (/^[-!]./.test(token)) {
+                negate = true;
+                token = token.slice(1);
+            }
+
+            let field = 'name';
+            let raw = token;
+            const fieldMatch = token.match(/^([a-zA-Z]+):(.*)$/);
+            if (fieldMatch && QUERY_FIELDS.includes(fieldMatch[1].toLowerCase())) {
+                field = fieldMatch[1].toLowerCase();
+                raw = fieldMatch[2];
+            }
+            raw = raw.replace(/^"(.*)"$/, '$1');
+
+            return { field, negate, raw, test: buildQueryMatcher(raw, EXACT_QUERY_FIELDS.includes(field)) };
+        });
+    }
+
+    /**
+     * Returns the IDs of the indexed nodes matching all query terms
+     */
+    function evaluateQuery(terms, index) {
+        const nodes = index.nodes;
+
+        const kindOf = (n) => {
+            if (n.type === 'workflow') return 'workflow';
+            return n.type.includes('credential') ? 'credential' : 'source';
+        };
+
+        // cred: terms resolve to the matched credentials, their sources and the workflows using those sources
+        const scopes = new Map();
+        const credentialScope = (term) => {
+            if (scopes.has(term)) return scopes.get(term);
+            const credentials = nodes
+                .filter(n => kindOf(n) === 'credential' && term.test(n.label.replace(/^Cred: /, '')))
+                .map(n => n.id);
+            const scope = new Set(credentials);
+            credentials.forEach(id => {
+                (index.byCredential.get(id) || []).forEach(source => scope.add(source));
+                // Workflows whose nodes reference the credential (not every user of its sources)
+                (index.node(id).consumers || []).forEach(c => scope.add(c.workflow));
+            });
+            scopes.set(term, scope);
+            return scope;
+        };
+
+        const matchTerm = (term, n) => {
+            switch (term.field) {
+                case 'id': return term.test(n.id);
+                case 'type': return kindOf(n) === 'source' ? [n.type, getGroup(n)].some(term.test) : term.test(kindOf(n));
+                case 'group': return term.test(getGroup(n));
+                case 'tag': return (n.tags || []).some(term.test);
+                case 'trigger': return (n.triggerKinds || []).some(term.test);
+                case 'env': return term.test(n.environment || '');
+                case 'active': return n.type === 'workflow' && term.test(String(Boolean(n.active)));
+                case 'uses': return index.outgoing(n.id).some(l => term.test(index.node(l.target)?.label) || term.test(l.target));
+                case 'cred': return credentialScope(term).has(n.id);
+                case 'is': return term.test(kindOf(n)) || (n.isOrphan && term.test('orphan')) || (n.dynamic && term.test('dynamic'))
+                    || (n.codeIssues && term.test('code-error'));
+                default: return term.test(n.label);
+            }
+        };
+
+        return new Set(nodes.filter(n => terms.every(t => Boolean(matchTerm(t, n)) !== t.negate)).map(n => n.id));
+    }
+
+    /**
+     * Adds the neighbors (in any direction) up to `hops` away to a set of matched IDs
+     */
+    function expandNeighbors(matches, links, hops) {
+        const visible = new Set(matches);
+        let frontier = new Set(matches);
+        for (let i = 0; i < hops; i++) {
+            const next = new Set();
+            links.forEach(l => {
+                if (frontier.has(l.source) && !visible.has(l.target)) next.add(l.target);
+                if (frontier.has(l.target) && !visible.has(l.source)) next.add(l.source);
+            });
+            next.forEach(id => visible.add(id));
+            frontier = next;
+        }
+        return visible;
+    }
+
+    /**
+     * Lineage: Workflows that write a source (upstream) and the ones that read it,
+     * followed downstream through the sources those readers write (up to maxDepth hops)
+     */
+    function computeLineage(index, sourceId, maxDepth = 3) {
+        const byId = index.byId;
+        const isWorkflow = id => byId.get(id)?.type === 'workflow';
+        const isSource = id => {
+            const n = byId.get(id);
+            return n && n.type !== 'workflow' && !n.type.includes('credential');
+        };
+
+        // Edges into a source and into its children (HTTP paths of a host)
+        const edgesInto = (id) => index.incoming(id).flatMap(l => (l.type === 'part_of' ? index.incoming(l.source) : [l]));
+
+        // Reads through RPC functions count as reads of the tables they use
+        const readersOf = (id) => {
+            const readers = [];
+            edgesInto(id).filter(l => l.access === 'read').forEach(l => {
+                if (isWorkflow(l.source)) readers.push({ workflow: l.source, via: l.operation || null });
+                else if (byId.get(l.source)?.type === 'rpc_function') {
+                    index.incoming(l.source).filter(c => isWorkflow(c.source))
+                        .forEach(c => readers.push({ workflow: c.source, via: byId.get(l.source).label }));
+                }
+            });
+            return readers;
+        };
+        const writersOf = (id) => edgesInto(id)
+            .filter(l => (l.access === 'write' || l.access === 'delete') && isWorkflow(l.source))
+            .map(l => ({ workflow: l.source, via: l.operation || l.access }));
+        const writtenBy = (wfId) => index.outgoing(wfId)
+            .filter(l => (l.access === 'write' || l.access === 'delete') && isSource(l.target))
+            .map(l => l.target);
+        const readBy = (wfId) => index.outgoing(wfId)
+            .filter(l => l.access === 'read' && isSource(l.target))
+            .map(l => l.target);
+
+        // Walks the chain source -> workflow -> source in one direction
+        const walk = (workflowsOf, sourcesOf) => {
+            const steps = [];
+            const visited = new Set([sourceId]);
+            let frontier = [sourceId];
+            for (let depth = 1; depth <= maxDepth && frontier.length; depth++) {
+                const next = [];
+                frontier.forEach(id => {
+                    workflowsOf(id).forEach(({ workflow, via }) => {
+                        const produced = sourcesOf(workflow).filter(t => !visited.has(t));
+                        steps.push({ depth, from: id, workflow, via, sources: produced });
+                        produced.forEach(t => { visited.add(t); next.push(t); });
+                    });
+                });
+                frontier = next;
+            }
+            return steps;
+        };
+
+        return {
+            writers: writersOf(sourceId),
+            readers: readersOf(sourceId),
+            upstream: walk(writersOf, readBy),
+            downstream: walk(readersOf, writtenBy)
+        };
+    }
+
+    /**
+     * Blast Radius: Walks dependency edges backwards from a node to find everything that
+     * breaks when it changes (table <- RPC <- workflow <- parent workflow, credential <- source <- workflow).
+     * From a credential, its sources (and their HTTP paths) only lead to the workflows among its
+     * consumers: a table shared by two credentials is not a path from one credential to the
+     * workflows of the other. Callers of those workflows are still affected.
+     * Returns each affected node with its hop count and path, plus the traversed edges.
+     */
+    function computeBlastRadius(index, nodeId, maxDepth = Infinity) {
+        const start = index.node(nodeId);
+        const consumers = start && start.consumers ? new Set(start.consumers.map(c => c.workflow)) : null;
+        const isWorkflow = (id) => index.node(id)?.type === 'workflow';
+
+        const affected = new Map([[nodeId, { id: nodeId, hops: 0, path: [nodeId], viaAuth: false }]]);
+        const edges = [];
+        let frontier = [nodeId];
+
+        for (let depth = 1; depth <= maxDepth && frontier.length; depth++) {
+            const next = [];
+            frontier.forEach(id => {
+                const current = affected.get(id);
+                index.incoming(id).forEach(l => {
+                    if (affected.has(l.source)) return;
+                    // RPC functions read tables server-side, so they don't go through the credential
+                    if (current.viaAuth && l.type === 'reads') return;
+                    if (consumers && current.viaAuth && !isWorkflow(current.id) && isWorkflow(l.source) && !consumers.has(l.source)) return;
+                    affected.set(l.source, {
+                        id: l.source,
+                        hops: depth,
+                        path: [l.source, ...current.path],
+                        viaAuth: current.viaAuth || l.type === 'auth'
+                    });
+                    edges.push(l);
+                    next.push(l.source);
+                });
+            });
+            frontier = next;
+        }
+
+        affected.delete(nodeId);
+        return { affected: Array.from(affected.values()), edges };
+    }
+
+    /**
+     * Stack Hygiene: Cleanup candidates found in the full graph
+     */
+
+    // Categories in report order
+    const HYGIENE_CATEGORIES = {
+        unusedTables: 'Unused Tables',
+        unusedFunctions: 'Unused RPC Functions',
+        inactiveWorkflows: 'Inactive Workflows',
+        noTriggerWorkflows: 'Workflows Without Trigger',
+        inactiveOnlySources: 'Sources Used Only by Inactive Workflows',
+        disabledCredentials: 'Credentials Used Only by a Disabled Node'
+    };
+
+    // Triggers that only start a workflow by hand
+    const MANUAL_TRIGGER_TYPES = /\.(manualtrigger|start)$/;
+
+    /**
+     * Lists unused tables and RPC functions, inactive workflows (not called by an active one),
+     * workflows without a trigger (nor a caller), sources reachable only from inactive workflows
+     * and credentials referenced by a single disabled node.
+     * Items are { id, label, updatedAt, workflows? } sorted by label; updatedAt is the latest
+     * change of the workflow itself or of the workflows involved.
+     */
+    function computeHygiene(index) {
+        const nodes = index.nodes.filter(n => n.diffStatus !== 'removed');
+        const workflows = nodes.filter(n => n.type === 'workflow');
+
+        // Everything a set of workflows depends on (edges point from the dependent to the dependency)
+        const reachableFrom = (starts) => {
+            const seen = new Set(starts);
+            const queue = [...starts];
+            while (queue.length) {
+                index.outgoing(queue.shift()).forEach(l => {
+                    if (seen.has(l.target)) return;
+                    seen.add(l.target);
+                    queue.push(l.target);
+                });
+            }
+            return seen;
+        };
+        const usedByAny = reachableFrom(workflows.map(n => n.id));
+        const usedByActive = reachableFrom(workflows.filter(n => n.active !== false).map(n => n.id));
+
+        const latest = (ids) => ids.map(id => index.node(id)?.updatedAt).filter(Boolean).sort().pop() || null;
+        const item = (node, extra = {}) => ({
+            id: node.id,
+            label: node.label,
+            updatedAt: node.updatedAt || latest(extra.workflows || []),
+            ...extra
+        });
+
+        const inactive = workflows.filter(n => n.active === false);
+        const inactiveUsers = new Map(); // node ID -> inactive workflows reaching it
+        inactive.forEach(wf => reachableFrom([wf.id]).forEach(id => {
+            if (!inactiveUsers.has(id)) inactiveUsers.set(id, []);
+            inactiveUsers.get(id).push(wf.id);
+        }));
+
+        const isSource = (n) => n.type !== 'workflow' && n.type !== 'group' && !n.type.includes('credential') && !n.parent;
+        const callers = (id) => index.incoming(id).filter(l => l.type === 'calls_workflow');
+
+        const result = {
+            unusedTables: nodes
+                .filter(n => n.isOrphan && n.type !== 'rpc_function' && !usedByAny.has(n.id))
+                .map(n => item(n)),
+            unusedFunctions: nodes
+                .filter(n => n.isOrphan && n.type === 'rpc_function')
+                .map(n => item(n, { tables: index.outgoing(n.id).map(l => l.target) })),
+            inactiveWorkflows: inactive
+                .filter(n => !usedByActive.has(n.id))
+                .map(n => item(n)),
+            noTriggerWorkflows: workflows
+                .filter(n => Array.isArray(n.triggers) && callers(n.id).length === 0
+                    && !n.triggers.some(type => !MANUAL_TRIGGER_TYPES.test(type.toLowerCase())))
+                .map(n => item(n, { manualOnly: n.triggers.length > 0 })),
+            inactiveOnlySources: nodes
+                .filter(n => isSource(n) && usedByAny.has(n.id) && !usedByActive.has(n.id))
+                .map(n => item(n, { workflows: inactiveUsers.get(n.id) || [] })),
+            disabledCredentials: nodes
+                .filter(n => n.type.includes('credential') && (n.consumers || []).length === 1 && n.consumers[0].disabled)
+                .map(n => item(n, { workflows: [n.consumers[0].workflow], node: n.consumers[0].node }))
+        };
+        Object.values(result).forEach(items => items.sort((a, b) => a.label.localeCompare(b.label)));
+        return result;
+    }
+
+    /**
+     * Flat rows of computeHygiene() for CSV exports
+     */
+    function hygieneRows(hygiene, index) {
+        return Object.keys(HYGIENE_CATEGORIES).flatMap(category => hygiene[category].map(item => ({
+            category,
+            id: item.id,
+            label: item.label,
+            updated_at: item.updatedAt || '',
+            workflows: (item.workflows || []).map(index.label).join('; '),
+            node: item.node || ''
+        })));
+    }
+
+    /**
+     * Markdown report of computeHygiene()
+     */
+    function buildHygieneReport(hygiene, index) {
+        let md = '# n8n Stack Hygiene Report\n';
+        md += `Generated: ${new Date().toLocaleString()}\n\n`;
+
+        md += '## Summary\n';
+        Object.entries(HYGIENE_CATEGORIES).forEach(([category, title]) => {
+            md += `- ${title}: ${hygiene[category].length}\n`;
+        });
+        md += '\n';
+
+        Object.entries(HYGIENE_CATEGORIES).forEach(([category, title]) => {
+            const items = hygiene[category];
+            if (items.length === 0) return;
+            md += `## ${title}\n\n`;
+            items.forEach(item => {
+                const details = [];
+                if (item.manualOnly) details.push('manual trigger only');
+                if (item.node) details.push(`node "${item.node}"`);
+                if (item.workflows?.length) details.push(item.workflows.map(index.label).join(', '));
+                if (item.updatedAt) details.push(`updated ${item.updatedAt}`);
+                md += `- ${item.label}${details.length ? ` (${details.join('; ')})` : ''}\n`;
+            });
+            md += '\n';
+        });
+
+        return md;
+    }
+
+    /**
+     * Credential Audit: Credentials with their n8n type, the sources they authenticate and
+     * the workflows/nodes referencing them
+     */
+
+    // Credentials used by at least this many workflows are flagged as shared
+    const SHARED_CREDENTIAL_WORKFLOWS = 3;
+
+    function credentialUsage(index, node, sharedThreshold = SHARED_CREDENTIAL_WORKFLOWS) {
+        const consumers = node.consumers || [];
+        const workflows = [...new Set(consumers.map(c => c.workflow))];
+        return {
+            id: node.id,
+            label: node.label,
+            credentialType: node.credentialType || null,
+            credentialId: node.credentialId ?? null,
+            sources: (index.byCredential.get(node.id) || []).filter(id => index.node(id)?.type !== 'workflow'),
+            workflows,
+            consumers,
+            // Tags of the consumers, e.g. a credential shared by "prod" and "staging" workflows
+            tags: [...new Set(workflows.flatMap(id => index.node(id)?.tags || []))].sort(),
+            shared: workflows.length >= sharedThreshold
+        };
+    }
+
+    /**
+     * Lists every credential of the graph, most used first
+     */
+    function computeCredentialUsage(index, { sharedThreshold = SHARED_CREDENTIAL_WORKFLOWS } = {}) {
+        return index.nodes
+            .filter(n => n.type.includes('credential') && n.diffStatus !== 'removed')
+            .map(n => credentialUsage(index, n, sharedThreshold))
+            .sort((a, b) => b.workflows.length - a.workflows.length || a.label.localeCompare(b.label));
+    }
+
+    /**
+     * Rotation Impact: Markdown checklist of what to re-test after rotating a credential.
+     * Lists the n8n nodes referencing it per workflow, then the workflows that call those
+     * workflows (directly or through other sub-workflows).
+     */
+    function buildRotationReport(index, credentialId) {
+        const node = index.node(credentialId);
+        if (!node || !node.type.includes('credential')) throw new Error(`Credencial não encontrada: ${credentialId}`);
+        const usage = credentialUsage(index, node);
+
+        let md = `# Credential Rotation Impact: ${usage.label.replace(/^Cred: /, '')}\n`;
+        md += `Generated: ${new Date().toLocaleString()}\n`;
+        if (usage.credentialType) md += `Type: \`${usage.credentialType}\`\n`;
+        if (usage.credentialId) md += `n8n ID: \`${usage.credentialId}\`\n`;
+        md += '\n';
+
+        md += '## Summary\n';
+        md += `- Workflows: ${usage.workflows.length}\n`;
+        md += `- Nodes: ${usage.consumers.length}\n`;
+        md += `- Sources: ${usage.sources.length}\n`;
+        if (usage.tags.length) md += `- Workflow tags: ${usage.tags.join(', ')}\n`;
+        md += '\n';
+
+        if (usage.sources.length > 0) {
+            md += '## Authenticated Sources\n\n';
+            usage.sources.forEach(id => {
+                md += `- ${index.label(id)}\n`;
+            });
+            md += '\n';
+        }
+
+        md += '## Nodes to Re-test\n\n';
+        if (usage.workflows.length === 0) md += 'No n8n node references this credential.\n\n';
+        usage.workflows.forEach(wfId => {
+            const wf = index.node(wfId);
+            md += `### ${index.label(wfId)}${wf?.active === false ? ' (inactive)' : ''}\n`;
+            usage.consumers.filter(c => c.workflow === wfId).forEach(c => {
+                md += `- [ ] ${c.node}${c.disabled ? ' (disabled)' : ''}\n`;
+            });
+            md += '\n';
+        });
+
+        // Parent workflows run the affected ones as sub-workflows
+        const callers = new Map();
+        let frontier = usage.workflows;
+        while (frontier.length) {
+            const next = [];
+            frontier.forEach(id => index.incoming(id).filter(l => l.type === 'calls_workflow').forEach(l => {
+                if (usage.workflows.includes(l.source) || callers.has(l.source)) return;
+                callers.set(l.source, id);
+                next.push(l.source);
+            }));
+            frontier = next;
+        }
+        if (callers.size > 0) {
+            md += '## Calling Workflows\n\n';
+            callers.forEach((calleeId, id) => {
+                md += `- [ ] ${index.label(id)} (calls ${index.label(calleeId)})\n`;
+            });
+            md += '\n';
+        }
+
+        return md;
+    }
+
+    /**
+     * Policy Rules: Governance rules (visualizer_rules.json/.yaml) evaluated against the graph.
+     *
+     * A rule selects nodes or edges and forbids them, or requires more of them:
+     *   { id, description?, severity?: 'error' | 'warning', match: <selector>, forbid: true }
+     *   { id, description?, severity?, match: <selector>, require: <selector> }
+     * Selectors:
+     * - nodes: "<query>"            Nodes matching a search query (a plain string is the same)
+     * - from / to: "<query>"        Edge endpoints matching search queries
+     * - type: "uses" | [...]        Edge types (match defaults to all but auth and part_of)
+     * - access: ["write", ...]      Edge access modes
+     * - credential: "Prod Supabase" Credential of the n8n node behind the edge (text, list or /regex/)
+     */
+    const POLICY_SEVERITIES = ['error', 'warning'];
+    const EDGE_SELECTOR_FIELDS = ['from', 'to', 'type', 'access', 'credential'];
+
+    function compileSelector(selector, where) {
+        if (typeof selector === 'string') selector = { nodes: selector };
+        if (!selector || typeof selector !== 'object' || Array.isArray(selector)) throw new Error(`${where}: seletor inválido`);
+
+        const keys = Object.keys(selector);
+        const unknown = keys.filter(k => k !== 'nodes' && !EDGE_SELECTOR_FIELDS.includes(k));
+        if (unknown.length) throw new Error(`${where}: campo desconhecido ${unknown.join(', ')}`);
+        if (keys.length === 0) throw new Error(`${where}: seletor vazio`);
+        if (keys.includes('nodes') && keys.length > 1) throw new Error(`${where}: "nodes" não se combina com campos de aresta`);
+
+        const list = (value) => (Array.isArray(value) ? value : [value]).map(String);
+        const query = (value) => {
+            try {
+                return parseQuery(String(value));
+            } catch (e) {
+                throw new Error(`${where}: consulta inválida "${value}" (${e.message})`);
+            }
+        };
+
+        if (keys.includes('nodes')) return { kind: 'nodes', nodes: query(selector.nodes) };
+        return {
+            kind: 'edges',
+            from: selector.from !== undefined ? query(selector.from) : null,
+            to: selector.to !== undefined ? query(selector.to) : null,
+            types: selector.type !== undefined ? list(selector.type) : null,
+            access: selector.access !== undefined ? list(selector.access) : null,
+            credential: selector.credential !== undefined ? buildQueryMatcher(list(selector.credential).join(','), false) : null
+        };
+    }
+
+    /**
+     * Validates a rules document ({ rules: [...] } or a bare list) and compiles its selectors.
+     * Throws a message naming the offending rule.
+     */
+    function parsePolicyRules(doc) {
+        const rules = Array.isArray(doc) ? doc : (doc && doc.rules);
+        if (!Array.isArray(rules)) throw new Error('Arquivo de regras sem a lista "rules"');
+
+        const ids = new Set();
+        return rules.map((rule, i) => {
+            const where = `Regra ${rule && rule.id ? `"${rule.id}"` : `#${i + 1}`}`;
+            if (!rule || !rule.id) throw new Error(`${where}: informe "id"`);
+            if (ids.has(String(rule.id))) throw new Error(`${where}: id repetido`);
+            ids.add(String(rule.id));
+
+            const severity = rule.severity || 'error';
+            if (!POLICY_SEVERITIES.includes(severity)) throw new Error(`${where}: severity deve ser ${POLICY_SEVERITIES.join(' ou ')}`);
+            if (!rule.match) throw new Error(`${where}: informe "match"`);
+            if (!rule.forbid === !rule.require) throw new Error(`${where}: use "forbid: true" ou "require"`);
+
+            const match = compileSelector(rule.match, where);
+            const require = rule.require ? compileSelector(rule.require, where) : null;
+            if (require && require.kind !== match.kind) throw new Error(`${where}: "match" e "require" devem selecionar nós ou arestas, não ambos`);
+            return { id: String(rule.id), description: rule.description || String(rule.id), severity, match, require };
+        });
+    }
+
+    /**
+     * Evaluates compiled rules (parsePolicyRules) against an indexed graph.
+     * Returns one violation per offending node or edge: { rule, description, severity, node, edge? },
+     * where `node` is the node to flag (the workflow, for edges).
+     */
+    function evaluatePolicies(rules, index) {
+        const results = new Map();
+        const matches = (terms, id) => {
+            if (!results.has(terms)) results.set(terms, evaluateQuery(terms, index));
+            return results.get(terms).has(id);
+        };
+
+        // Credentials referenced by the n8n node behind an edge (workflow + node name)
+        const nodeCredentials = new Map();
+        index.nodes.forEach(n => (n.consumers || []).forEach(c => {
+            const key = `${c.workflow}\n${c.node}`;
+            if (!nodeCredentials.has(key)) nodeCredentials.set(key, []);
+            nodeCredentials.get(key).push(n);
+        }));
+        const credentialsOf = (l) => (l.nodeName ? nodeCredentials.get(`${l.source}\n${l.nodeName}`) || [] : []);
+
+        const edgeMatches = (sel, l, defaultTypes) => (!sel.from || matches(sel.from, l.source))
+            && (!sel.to || matches(sel.to, l.target))
+            && (sel.types ? sel.types.includes(l.type) : !defaultTypes || !['auth', 'part_of'].includes(l.type))
+            && (!sel.access || sel.access.includes(l.access))
+            && (!sel.credential || credentialsOf(l).some(c => sel.credential(c.label.replace(/^Cred: /, '')) || sel.credential(c.id)));
+
+        const violations = [];
+        const seen = new Set();
+        rules.forEach(rule => {
+            const base = { rule: rule.id, description: rule.description, severity: rule.severity };
+
+            if (rule.match.kind === 'nodes') {
+                index.nodes.forEach(n => {
+                    if (n.diffStatus === 'removed' || !matches(rule.match.nodes, n.id)) return;
+                    if (rule.require && matches(rule.require.nodes, n.id)) return;
+                    violations.push({ ...base, node: n.id });
+                });
+                return;
+            }
+
+            index.links.forEach(l => {
+                if (l.diffStatus === 'removed' || !edgeMatches(rule.match, l, true)) return;
+                if (rule.require && edgeMatches(rule.require, l, false)) return;
+                const key = `${rule.id}|${diffLinkKey(l)}|${l.access}|${l.nodeName}`;
+                if (seen.has(key)) return;
+                seen.add(key);
+                violations.push({
+                    ...base,
+                    node: l.source,
+                    edge: { source: l.source, target: l.target, type: l.type, access: l.access || null, nodeName: l.nodeName || null }
+                });
+            });
+        });
+        return violations;
+    }
+
+    /**
+     * What a violation points at: "Workflow → Target (write, node "X")" or the node label
+     */
+    function describeViolation(violation, index) {
+        const { edge } = violation;
+        const details = edge ? [edge.access, edge.nodeName && `node "${edge.nodeName}"`].filter(Boolean) : [];
+        const subject = edge ? `${index.label(edge.source)} → ${index.label(edge.target)}` : index.label(violation.node);
+        return `${subject}${details.length ? ` (${details.join(', ')})` : ''}`;
+    }
+
+    /**
+     * Ownership Catalog: owner, team, criticality, SLA and notes for workflows, tables, functions,
+     * credentials, HTTP hosts and environment variables (visualizer_catalog.json/.yaml), for the
+     * impact panel and reports.
+     *
+     *   { entries: [{ kind?, id?, name?, environment?, owner?, team?, criticality?, sla?, notes? }] }
+     * - kind: "workflow" | "table" (data source of an extractor) | "function" (RPC) | "credential"
+     *   | "host" (HTTP service and its paths) | "env" (environment variable)
+     * - id: graph node ID or n8n workflow ID (without the environment prefix)
+     * - name: node name without the "Cred: "/"rpc: " prefix; "*" is a wildcard, "/regex/" a pattern
+     * id and name take a value or a list. Entries apply in file order, later ones overriding
+     * the fields of earlier ones (patterns first, specific items after).
+     */
+    const CATALOG_KINDS = ['workflow', 'table', 'function', 'credential', 'host', 'env'];
+    const CATALOG_FIELDS = ['owner', 'team', 'criticality', 'sla', 'notes'];
+    const CRITICALITY_LEVELS = ['critical', 'high', 'medium', 'low'];
+
+    /**
+     * Catalog kind of a graph node, or null for nodes no entry can select (groups, unknown types).
+     * HTTP services mapped to a group take the group as type, so hosts are recognized by their
+     * `hosts` (or their parent's) rather than by type.
+     */
+    function catalogKind(n, index) {
+        if (n.type === 'workflow') return 'workflow';
+        if (n.type === 'rpc_function') return 'function';
+        if (n.type.includes('credential')) return 'credential';
+        if (n.type === 'env') return 'env';
+        if (n.type === 'http' || n.hosts || (n.parent && index.node(n.parent)?.hosts)) return 'host';
+        if (extractorRegistry.some(def => (def.sourceType || def.group) === n.type)) return 'table';
+        return null;
+    }
+
+    function compileCatalogPattern(value, where) {
+        return (Array.isArray(value) ? value : [value]).map(String).map(raw => {
+            if (/^\/(.+)\/([imsu]*)$/.test(raw)) {
+                try {
+                    return compileRegexLiteral(raw, 'i');
+                } catch (e) {
+                    throw new Error(`${where}: ${e.message}`);
+                }
+            }
+            return new RegExp(`^${raw.split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*')}$`, 'i');
+        });
+    }
+
+    /**
+     * Validates a catalog document ({ entries: [...] } or a bare list) and compiles its patterns.
+     * Throws a message naming the offending entry.
+     */
+    function parseCatalog(doc) {
+        const entries = Array.isArray(doc) ? doc : (doc && doc.entries);
+        if (!Array.isArray(entries)) throw new Error('Catálogo sem a lista "entries"');
+
+        return entries.map((entry, i) => {
+            const where = `Entrada #${i + 1}`;
+            if (!entry || typeof entry !== 'object') throw new Error(`${where}: objeto esperado`);
+            if (entry.id === undefined && entry.name === undefined) throw new Error(`${where}: informe "id" ou "name"`);
+            if (entry.kind !== undefined && !CATALOG_KINDS.includes(entry.kind)) {
+                throw new Error(`${where}: kind deve ser ${CATALOG_KINDS.join(', ')}`);
+            }
+            if (entry.criticality !== undefined && !CRITICALITY_LEVELS.includes(entry.criticality)) {
+                throw new Error(`${where}: criticality deve ser ${CRITICALITY_LEVELS.join(', ')}`);
+            }
+            const fields = {};
+            CATALOG_FIELDS.forEach(field => {
+                if (entry[field] !== undefined && entry[field] !== null) fields[field] = String(entry[field]);
+            });
+            if (Object.keys(fields).length === 0) throw new Error(`${where}: nenhum campo (${CATALOG_FIELDS.join(', ')})`);
+            return {
+                kind: entry.kind || null,
+                ids: entry.id !== undefined ? (Array.isArray(entry.id) ? entry.id : [entry.id]).map(String) : null,
+                names: entry.name !== undefined ? compileCatalogPattern(entry.name, where) : null,
+                environment: entry.environment !== undefined ? String(entry.environment) : null,
+                fields
+            };
+        });
+    }
+
+    /**
+     * Applies compiled catalog entries (parseCatalog) to an indexed graph.
+     * Returns a Map of node ID -> { owner?, team?, criticality?, sla?, notes? }
+     */
+    function resolveCatalog(entries, index) {
+        const catalog = new Map();
+        index.nodes.forEach(n => {
+            const kind = catalogKind(n, index);
+            if (!kind) return;
+            const rawId = n.environment ? n.id.slice(n.environment.length + 1) : n.id;
+            const name = n.label.replace(/^(Cred|rpc): /, '');
+            entries.forEach(entry => {
+                if (entry.kind && entry.kind !== kind) return;
+                if (entry.environment && entry.environment !== n.environment) return;
+                if (entry.ids && !entry.ids.includes(n.id) && !entry.ids.includes(rawId)) return;
+                if (entry.names && !entry.names.some(re => re.test(name) || re.test(n.label))) return;
+                catalog.set(n.id, { ...catalog.get(n.id), ...entry.fields });
+            });
+        });
+        return catalog;
+    }
+
+    const criticalityRank = (level) => (CRITICALITY_LEVELS.includes(level) ? CRITICALITY_LEVELS.indexOf(level) : CRITICALITY_LEVELS.length);
+
+    /**
+     * Who to notify about a set of nodes: their owners (or teams, for entries without owner),
+     * most critical first. Returns { owners: [{ owner, team, criticality, nodes }], unowned: [ids] }
+     */
+    function notifyList(ids, catalog) {
+        const owners = new Map();
+        const unowned = [];
+        [...new Set(ids)].forEach(id => {
+            const meta = catalog.get(id);
+            const owner = meta && (meta.owner || meta.team);
+            if (!owner) {
+                unowned.push(id);
+                return;
+            }
+            if (!owners.has(owner)) owners.set(owner, { owner, team: null, criticality: null, nodes: [] });
+            const entry = owners.get(owner);
+            entry.nodes.push(id);
+            if (meta.owner && meta.team && !entry.team) entry.team = meta.team;
+            if (meta.criticality && criticalityRank(meta.criticality) < criticalityRank(entry.criticality)) entry.criticality = meta.criticality;
+        });
+        return {
+            owners: [...owners.values()].sort((a, b) => criticalityRank(a.criticality) - criticalityRank(b.criticality) || a.owner.localeCompare(b.owner)),
+            unowned
+        };
+    }
+
+    /**
+     * One-line summary of a node's catalog metadata: "Ana (Finance) · high · SLA 4h"
+     */
+    function describeOwnership(meta) {
+        if (!meta) return '';
+        const owner = meta.owner && meta.team ? `${meta.owner} (${meta.team})` : meta.owner || meta.team;
+        return [owner, meta.criticality, meta.sla && `SLA ${meta.sla}`].filter(Boolean).join(' · ');
+    }
+
+    /**
+     * Schedule Calendar: when active time-triggered workflows (schedules, cron, polling) fire,
+     * and the time slots where several of them touch the same resource
+     */
+
+    const CRON_FIELDS = [
+        { min: 0, max: 59 },
+        { min: 0, max: 23 },
+        { min: 1, max: 31 },
+        { min: 1, max: 12, names: ['JAN', 'FEB', 'MAR', 'APR', 'MAY', 'JUN', 'JUL', 'AUG', 'SEP', 'OCT', 'NOV', 'DEC'] },
+        { min: 0, max: 7, names: ['SUN', 'MON', 'TUE', 'WED', 'THU', 'FRI', 'SAT'] }
+    ];
+
+    const CRON_MACROS = {
+        '@yearly': '0 0 1 1 *', '@annually': '0 0 1 1 *', '@monthly': '0 0 1 * *', '@weekly': '0 0 * * 0',
+        '@daily': '0 0 * * *', '@midnight': '0 0 * * *', '@hourly': '0 * * * *'
+    };
+
+    /**
+     * Parses a cron expression ("m h dom mon dow"; a leading seconds field, as n8n accepts, is ignored).
+     * Returns { minute, hour, dom, month, dow } value sets and anyDom/anyDow flags, or null when invalid.
+     */
+    function parseCron(expression) {
+        const text = String(expression || '').trim();
+        let fields = (CRON_MACROS[text.toLowerCase()] || text).split(/\s+/);
+        if (fields.length === 6) fields = fields.slice(1);
+        if (fields.length !== 5) return null;
+
+        const sets = fields.map((field, i) => {
+            const { min, max, names } = CRON_FIELDS[i];
+            const toNumber = (v) => {
+                const named = names ? names.indexOf(v.toUpperCase()) : -1;
+                return named >= 0 ? named + min : Number(v);
+            };
+            const values = new Set();
+            for (const part of field.split(',')) {
+                const [range, stepText] = part.split('/');
+                const step = stepText === undefined ? 1 : Number(stepText);
+                let [from, to] = range === '*' || range === '?' ? [min, max] : range.split('-').map(toNumber);
+                if (to === undefined) to = stepText === undefined ? from : max;
+                if (![from, to, step].every(Number.isInteger) || step < 1 || from < min || to > max || from > to) return null;
+                // Sunday is both 0 and 7
+                for (let v = from; v <= to; v += step) values.add(i === 4 && v === 7 ? 0 : v);
+            }
+            return values;
+        });
+        if (sets.includes(null)) return null;
+
+        const [minute, hour, dom, month, dow] = sets;
+        const any = (field) => field === '*' || field === '?';
+        return { minute, hour, dom, month, dow, anyDom: any(fields[2]), anyDow: any(fields[4]) };
+    }
+
+    /**
+     * Whether a parsed cron fires at `local`, a Date whose UTC fields hold the wall clock time
+     */
+    function cronMatches(cron, local) {
+        if (!cron.minute.has(local.getUTCMinutes()) || !cron.hour.has(local.getUTCHours()) || !cron.month.has(local.getUTCMonth() + 1)) return false;
+        const dom = cron.dom.has(local.getUTCDate());
+        const dow = cron.dow.has(local.getUTCDay());
+        // As in standard cron, a restricted day of month OR a restricted day of week is enough
+        return cron.anyDom || cron.anyDow ? dom && dow : dom || dow;
+    }
+
+    const timeZoneFormats = new Map();
+
+    function isValidTimeZone(timeZone) {
+        try {
+            new Intl.DateTimeFormat('en-US', { timeZone });
+            return true;
+        } catch (e) {
+            return false;
+        }
+    }
+
+    // Minutes to add to UTC to get the wall clock time of `timeZone` at `date`
+    function timeZoneOffset(timeZone, date) {
+        if (!timeZoneFormats.has(timeZone)) {
+            timeZoneFormats.set(timeZone, new Intl.DateTimeFormat('en-US', {
+                timeZone, hourCycle: 'h23', year: 'numeric', month: 'numeric', day: 'numeric', hour: 'numeric', minute: 'numeric'
+            }));
+        }
+        const parts = {};
+        timeZoneFormats.get(timeZone).formatToParts(date).forEach(p => { parts[p.type] = Number(p.value); });
+        const wallClock = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute);
+        return (wallClock - Math.floor(date.getTime() / 60000) * 60000) / 60000;
+    }
+
+    // Midnight of `date`'s day in `timeZone`, as a UTC timestamp
+    function dayStart(timeZone, date) {
+        const offset = timeZoneOffset(timeZone, date) * 60000;
+        return Math.floor((date.getTime() + offset) / 86400000) * 86400000 - offset;
+    }
+
+    /**
+     * Resources a run of the workflow touches: its sources (HTTP paths count as their host),
+     * tables read by its RPC functions, its credentials, and those of the workflows it calls
+     */
+    function workflowResources(index, workflowId, credentialsOf, seen = new Set()) {
+        const resources = new Set();
+        if (seen.has(workflowId)) return resources;
+        seen.add(workflowId);
+
+        index.outgoing(workflowId).forEach(l => {
+            if (l.type === 'calls_workflow') {
+                workflowResources(index, l.target, credentialsOf, seen).forEach(r => resources.add(r));
+                return;
+            }
+            const target = index.node(l.target);
+            if (!target || target.dynamic) return;
+            resources.add(target.parent || target.id);
+            index.outgoing(target.id).filter(r => r.type === 'reads').forEach(r => resources.add(r.target));
+        });
+        (credentialsOf.get(workflowId) || []).forEach(id => resources.add(id));
+        return resources;
+    }
+
+    /**
+     * Firing times of the active time-triggered workflows (`workflows`: the Map of graph node ID to
+     * n8n workflow returned by buildGraph) over `days` days from `start`
+     * (default: today 00:00 in `timeZone`). Crons run in the workflow's settings.timezone,
+     * else in `timeZone`. Times are minutes since the start of the window.
+     * Returns { start, days, timeZone, bucketMinutes, workflows, collisions }:
+     * - workflows: [{ id, label, timeZone, triggers, firings, subMinute, invalid, resources }]
+     * - collisions: [{ resource, workflows, slots }], workflows sharing a resource that fire in the
+     *   same `bucketMinutes` slot, most frequent first
+     */
+    function computeSchedule(workflows, index, { timeZone = 'UTC', start = null, days = 7, bucketMinutes = 5 } = {}) {
+        if (!isValidTimeZone(timeZone)) throw new Error(`Fuso horário inválido: ${timeZone}`);
+        const startMs = start ? new Date(start).getTime() : dayStart(timeZone, new Date());
+        const totalMinutes = days * 1440;
+
+        const credentialsOf = new Map();
+        index.nodes.filter(n => n.consumers).forEach(cred => cred.consumers.filter(c => !c.disabled).forEach(c => {
+            if (!credentialsOf.has(c.workflow)) credentialsOf.set(c.workflow, new Set());
+            credentialsOf.get(c.workflow).add(cred.id);
+        }));
+
+        const scheduled = [];
+        workflows.forEach((workflow, id) => {
+            const node = index.node(id);
+            if (!workflow.active || !node) return;
+            const triggers = describeTriggers(workflow).filter(t => t.schedules.length);
+            if (triggers.length === 0) return;
+
+            const zone = workflow.settings?.timezone && isValidTimeZone(workflow.settings.timezone) ? workflow.settings.timezone : timeZone;
+            const expressions = triggers.flatMap(t => t.schedules.filter(s => s.cron).map(s => s.cron));
+            const crons = expressions.map(parseCron);
+            const subMinute = triggers.some(t => t.schedules.some(s => s.seconds));
+
+            const firings = [];
+            let offset = 0;
+            for (let m = 0; m < totalMinutes; m++) {
+                if (m % 60 === 0) offset = timeZoneOffset(zone, new Date(startMs + m * 60000));
+                const local = new Date(startMs + (m + offset) * 60000);
+                if (subMinute || crons.some(c => c && cronMatches(c, local))) firings.push(m);
+            }
+
+            scheduled.push({
+                id,
+                label: index.label(id),
+                timeZone: zone,
+                triggers,
+                firings,
+                subMinute,
+                invalid: expressions.filter((e, i) => !crons[i]),
+                resources: [...workflowResources(index, id, credentialsOf)]
+            });
+        });
+
+        // Resource -> workflows firing in each slot
+        const slots = new Map();
+        scheduled.forEach(w => new Set(w.firings.map(m => Math.floor(m / bucketMinutes))).forEach(slot => {
+            if (!slots.has(slot)) slots.set(slot, new Map());
+            const byResource = slots.get(slot);
+            w.resources.forEach(r => {
+                if (!byResource.has(r)) byResource.set(r, []);
+                byResource.get(r).push(w.id);
+            });
+        }));
+
+        const collisions = new Map();
+        [...slots.keys()].sort((a, b) => a - b).forEach(slot => slots.get(slot).forEach((ids, resource) => {
+            if (ids.length < 2) return;
+            const key = `${resource}\n${[...ids].sort().join('\n')}`;
+            if (!collisions.has(key)) collisions.set(key, { resource, workflows: [...ids].sort(), slots: [] });
+            collisions.get(key).slots.push(slot * bucketMinutes);
+        }));
+
+        return {
+            start: new Date(startMs).toISOString(),
+            days,
+            timeZone,
+            bucketMinutes,
+            workflows: scheduled.sort((a, b) => a.label.localeCompare(b.label)),
+            collisions: [...collisions.values()].sort((a, b) => b.slots.length - a.slots.length || index.label(a.resource).localeCompare(index.label(b.resource)))
+        };
+    }
+
+    /**
+     * Markdown report of computeSchedule: scheduled workflows and collisions
+     */
+    function buildScheduleReport(schedule, index) {
+        const startMs = new Date(schedule.start).getTime();
+        const formatSlot = (minutes) => new Date(startMs + minutes * 60000).toLocaleString('en-GB', {
+            timeZone: schedule.timeZone, weekday: 'short', day: '2-digit', month: '2-digit', hour: '2-digit', minute: '2-digit'
+        });
+        const describe = (t) => t.schedules.map(s => (s.seconds ? `every ${s.seconds}s` : `\`${s.cron}\``)).join(', ');
+
+        let md = '# Schedule Collisions\n\n';
+        md += `Window: ${schedule.days} day(s) from ${formatSlot(0)} (${schedule.timeZone}), ${schedule.bucketMinutes}-minute slots.\n\n`;
+
+        md += '## Scheduled Workflows\n\n';
+        if (schedule.workflows.length === 0) md += 'No active workflow with a schedule or polling trigger.\n';
+        else {
+            md += '| Workflow | Triggers | Runs | Time zone |\n|---|---|---|---|\n';
+            schedule.workflows.forEach(w => {
+                const triggers = w.triggers.map(t => `${t.node}: ${describe(t)}`).join('<br>');
+                const invalid = w.invalid.length ? ` (invalid: ${w.invalid.join(', ')})` : '';
+                md += `| ${w.label} | ${triggers}${invalid} | ${w.subMinute ? 'continuous' : w.firings.length} | ${w.timeZone} |\n`;
+            });
+        }
+
+        md += '\n## Collisions\n\n';
+        if (schedule.collisions.length === 0) md += 'No workflows sharing a resource fire in the same slot.\n';
+        schedule.collisions.forEach(c => {
+            const shown = c.slots.slice(0, 5).map(formatSlot).join('; ');
+            md += `- **${index.label(c.resource)}**: ${c.workflows.map(index.label).join(', ')} — ${c.slots.length} slot(s): ${shown}${c.slots.length > 5 ? '; ...' : ''}\n`;
+        });
+        return md;
+    }
+
+    /**
+     * Environment Drift: compares the workflows of two environments of the same graph.
+     * Workflows are matched by name; dependencies by group and target name, credentials by name.
+     * Returns { left, right, missing, changed }:
+     * - missing: [{ name, environment, id }] workflows absent from the other environment
+     *   (`environment` is where the workflow exists)
+     * - changed: [{ name, left, right, active, sources: { left, right }, credentials: { left, right } }]
+     *   where left/right are the node IDs, `active` is set when the active state differs and
+     *   sources/credentials list what only one side has
+     */
+    function computeEnvironmentDrift(index, left, right) {
+        const workflowsOf = (environment) => new Map((index.byType.get('workflow') || [])
+            .filter(n => n.environment === environment)
+            .map(n => [n.label, n]));
+        const credentialsOf = new Map();
+        index.nodes.filter(n => n.consumers).forEach(cred => cred.consumers.forEach(c => {
+            if (!credentialsOf.has(c.workflow)) credentialsOf.set(c.workflow, new Set());
+            credentialsOf.get(c.workflow).add(cred.label);
+        }));
+        const sourcesOf = (id) => new Set(index.outgoing(id).filter(l => l.type !== 'auth').map(l => {
+            const target = index.node(l.target);
+            return target ? `${groupLabels[getGroup(target)] || getGroup(target)}: ${target.label}` : l.target;
+        }));
+        const onlyIn = (a, b) => [...a].filter(x => !b.has(x)).sort();
+
+        const leftWorkflows = workflowsOf(left);
+        const rightWorkflows = workflowsOf(right);
+        const missing = [];
+        const changed = [];
+        leftWorkflows.forEach((node, name) => {
+            if (!rightWorkflows.has(name)) missing.push({ name, environment: left, id: node.id });
+        });
+        rightWorkflows.forEach((node, name) => {
+            const other = leftWorkflows.get(name);
+            if (!other) {
+                missing.push({ name, environment: right, id: node.id });
+                return;
+            }
+            const sources = [sourcesOf(other.id), sourcesOf(node.id)];
+            const credentials = [credentialsOf.get(other.id) || new Set(), credentialsOf.get(node.id) || new Set()];
+            const entry = {
+                name,
+                left: other.id,
+                right: node.id,
+                active: Boolean(other.active) !== Boolean(node.active),
+                sources: { left: onlyIn(sources[0], sources[1]), right: onlyIn(sources[1], sources[0]) },
+                credentials: { left: onlyIn(credentials[0], credentials[1]), right: onlyIn(credentials[1], credentials[0]) }
+            };
+            if (entry.active || entry.sources.left.length || entry.sources.right.length
+                || entry.credentials.left.length || entry.credentials.right.length) changed.push(entry);
+        });
+
+        missing.sort((a, b) => a.name.localeCompare(b.name));
+        changed.sort((a, b) => a.name.localeCompare(b.name));
+        return { left, right, missing, changed };
+    }
+
+    /**
+     * Markdown report of a computeEnvironmentDrift result
+     */
+    function buildDriftReport(drift) {
+        let md = `# Environment Drift: ${drift.left} vs ${drift.right}\n\n`;
+        md += `- Missing workflows: ${drift.missing.length}\n`;
+        md += `- Workflows with different dependencies: ${drift.changed.length}\n\n`;
+
+        md += '## Missing Workflows\n\n';
+        if (drift.missing.length === 0) md += 'Both environments have the same workflows.\n';
+        drift.missing.forEach(m => {
+            const absent = m.environment === drift.left ? drift.right : drift.left;
+            md += `- **${m.name}**: only in ${m.environment} (missing in ${absent})\n`;
+        });
+
+        md += '\n## Changed Workflows\n\n';
+        if (drift.changed.length === 0) md += 'No dependency differences between matching workflows.\n';
+        drift.changed.forEach(c => {
+            md += `### ${c.name}\n\n`;
+            if (c.active) md += '- Active state differs\n';
+            [[drift.left, 'left'], [drift.right, 'right']].forEach(([environment, side]) => {
+                if (c.sources[side].length) md += `- Dependencies only in ${environment}: ${c.sources[side].join(', ')}\n`;
+                if (c.credentials[side].length) md += `- Credentials only in ${environment}: ${c.credentials[side].join(', ')}\n`;
+            });
+            md += '\n';
+        });
+        return md;
+    }
+
+    /**
+     * Snapshot Diff: Compares two graphs built from different stack_data.json snapshots
+     */
+
+    // Node attributes compared to flag a node as changed
+    const DIFF_ATTRIBUTES = ['label', 'type', 'active', 'updatedAt', 'versionId', 'isOrphan'];
+
+    const diffCategory = (node) => {
+        if (node.type === 'workflow') return 'workflows';
+        if (node.type.includes('credential')) return 'credentials';
+        return 'sources';
+    };
+
+    const diffLinkKey = (l) => `${l.source}->${l.target}:${l.type}`;
+
+    /**
+     * Computes added/removed/changed nodes and edges going from `base` (older) to `current`.
+     * Both arguments are { nodes, links } as returned by buildGraph.
+     */
+    function diffGraphs(base, current) {
+        const result = {};
+        ['workflows', 'sources', 'credentials', 'edges'].forEach(cat => {
+            result[cat] = { added: [], removed: [], changed: [] };
+        });
+
+        const baseNodes = new Map(base.nodes.map(n => [n.id, n]));
+        const currentNodes = new Map(current.nodes.map(n => [n.id, n]));
+
+        currentNodes.forEach((node, id) => {
+            const old = baseNodes.get(id);
+            if (!old) {
+                result[diffCategory(node)].added.push(node);
+                return;
+            }
+            const changes = DIFF_ATTRIBUTES
+                .filter(attr => JSON.stringify(old[attr] ?? null) !== JSON.stringify(node[attr] ?? null))
+                .map(attr => ({ attr, from: old[attr] ?? null, to: node[attr] ?? null }));
+            if (changes.length) result[diffCategory(node)].changed.push({ ...node, changes });
+        });
+        baseNodes.forEach((node, id) => {
+            if (!currentNodes.has(id)) result[diffCategory(node)].removed.push(node);
+        });
+
+        // Edges are keyed by endpoints + type; a different access mode counts as a change
+        const accessOf = (links) => {
+            const map = new Map();
+            links.forEach(l => {
+                const key = diffLinkKey(l);
+                if (!map.has(key)) map.set(key, { source: l.source, target: l.target, type: l.type, access: [] });
+                if (l.access && !map.get(key).access.includes(l.access)) map.get(key).access.push(l.access);
+            });
+            map.forEach(l => l.access.sort());
+            return map;
+        };
+        const baseLinks = accessOf(base.links);
+        const currentLinks = accessOf(current.links);
+
+        currentLinks.forEach((link, key) => {
+            const old = baseLinks.get(key);
+            if (!old) result.edges.added.push(link);
+            else if (old.access.join() !== link.access.join()) result.edges.changed.push({ ...link, changes: [{ attr: 'access', from: old.access, to: link.access }] });
+        });
+        baseLinks.forEach((link, key) => {
+            if (!currentLinks.has(key)) result.edges.removed.push(link);
+        });
+
+        return result;
+    }
+
+    /**
+     * Merges parsed files into a single stack_data object.
+     * Recognizes stack_data.json, n8n_data.json bundles, workflow arrays,
+     * individual workflow exports and supabase_data.json. Workflows are deduplicated by
+     * environment and ID. An entry's `environment` (or the file's environment / metadata.environment)
+     * labels its unlabelled workflows and Supabase project; several projects are kept as a list.
+     */
+    function mergeLocalData(entries) {
+        const workflows = new Map();
+        const projects = new Map(); // environment ('' when unlabelled) -> { tables, functions }
+
+        const addWorkflow = (wf, environment) => {
+            if (!wf || !Array.isArray(wf.nodes)) return;
+            const labelled = !wf.environment && environment ? { ...wf, environment } : wf;
+            workflows.set(`${labelled.environment || ''}\n${wf.id ?? wf.name}`, labelled);
+        };
+        const addSupabase = (sb, environment) => {
+            const key = sb.environment || environment || '';
+            if (!projects.has(key)) projects.set(key, { tables: new Map(), functions: new Map() });
+            const project = projects.get(key);
+            (sb.tables || []).forEach(t => t.name && project.tables.set(`${t.schema || 'public'}.${t.name}`, t));
+            (sb.functions || []).forEach(f => f.name && project.functions.set(`${f.schema || 'public'}.${f.name}`, f));
+        };
+
+        entries.forEach(({ data, environment: entryEnvironment }) => {
+            const environment = entryEnvironment || (data && datasetEnvironment(data)) || null;
+            if (Array.isArray(data)) data.forEach(wf => addWorkflow(wf, environment));
+            else if (data && Array.isArray(data.nodes)) addWorkflow(data, environment);
+            else if (data && (data.workflows || data.supabase)) {
+                (data.workflows || []).forEach(wf => addWorkflow(wf, environment));
+                [].concat(data.supabase || []).forEach(sb => addSupabase(sb, environment));
+            } else if (data && (data.tables || data.functions)) addSupabase(data, environment);
+        });
+
+        const supabase = Array.from(projects, ([environment, project]) => ({
+            ...(environment && { environment }),
+            tables: Array.from(project.tables.values()),
+            functions: Array.from(project.functions.values())
+        }));
+        return {
+            metadata: { generated_at: new Date().toISOString(), source: 'local', file_count: entries.length },
+            workflows: Array.from(workflows.values()),
+            supabase: supabase.length > 1 ? supabase : supabase[0]
+        };
+    }
+
+    /**
+     * Graph Exports: Mermaid, Graphviz DOT, GraphML, CSV and JSON of an export graph
+     * ({ nodes: [{ id, label, type, group, ... }], links: [{ source, target, type, access: [] }] })
+     */
+    const GRAPH_EXPORT_SCHEMA = 'n8n-stack-graph/v1';
+
+    /**
+     * Full (ungrouped) export graph of the raw nodes and links
+     */
+    function toExportGraph(nodes, links) {
+        return {
+            nodes: nodes.map(n => ({ ...n, group: getGroup(n) })),
+            links: links.map(l => ({
+                source: l.source, target: l.target, type: l.type, access: l.access ? [l.access] : [],
+                nodeNames: l.nodeNames || (l.nodeName ? [l.nodeName] : []),
+                ...(l.origin && { origin: l.origin })
+            }))
+        };
+    }
+
+    const exportKind = (n) => {
+        if (n.type === 'group') return 'group';
+        if (n.type === 'workflow') return 'workflow';
+        return n.type.includes('credential') ? 'credential' : 'source';
+    };
+
+    function toMermaid(graph) {
+        const ids = new Map(graph.nodes.map((n, i) => [n.id, `n${i}`]));
+        const esc = (text) => String(text).replace(/"/g, '#quot;');
+        const shapes = {
+            workflow: (l) => `["${l}"]`,
+            source: (l) => `[("${l}")]`,
+            credential: (l) => `{{"${l}"}}`,
+            group: (l) => `(("${l}"))`
+        };
+
+        const lines = ['flowchart LR'];
+        graph.nodes.forEach(n => lines.push(`    ${ids.get(n.id)}${shapes[exportKind(n)](esc(n.label))}:::${n.group}`));
+        graph.links.forEach(l => {
+            if (!ids.has(l.source) || !ids.has(l.target)) return;
+            const label = l.access.length ? `|${l.access.join('/')}|` : '';
+            const arrow = l.type === 'auth' ? '-.-' : (l.type === 'calls_workflow' ? '-.->' : '-->');
+            lines.push(`    ${ids.get(l.source)} ${arrow}${label} ${ids.get(l.target)}`);
+        });
+        [...new Set(graph.nodes.map(n => n.group))].forEach(group => {
+            lines.push(`    classDef ${group} fill:${colorMap[group] || '#8b949e'},stroke:#30363d,color:#0d1117`);
+        });
+        return lines.join('\n') + '\n';
+    }
+
+    function toDot(graph) {
+        const esc = (text) => String(text).replace(/\\/g, '\\\\').replace(/"/g, '\\"');
+        const shapes = { workflow: 'box', source: 'cylinder', credential: 'hexagon', group: 'doublecircle' };
+
+        const lines = ['digraph n8n {', '    rankdir=LR;', '    node [style=filled, fontname="Helvetica"];'];
+        graph.nodes.forEach(n => {
+            lines.push(`    "${esc(n.id)}" [label="${esc(n.label)}", shape=${shapes[exportKind(n)]}, fillcolor="${colorMap[n.group] || '#8b949e'}"];`);
+        });
+        graph.links.forEach(l => {
+            const attrs = [];
+            if (l.access.length) attrs.push(`label="${l.access.join('/')}"`);
+            if (l.type === 'auth' || l.type === 'calls_workflow') attrs.push('style=dashed');
+            lines.push(`    "${esc(l.source)}" -> "${esc(l.target)}"${attrs.length ? ` [${attrs.join(', ')}]` : ''};`);
+        });
+        lines.push('}');
+        return lines.join('\n') + '\n';
+    }
+
+    function toGraphML(graph) {
+        const esc = (text) => String(text ?? '')
+            .replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+        const data = (key, value) => (value === undefined || value === null || value === '') ? '' : `<data key="${key}">${esc(value)}</data>`;
+
+        const lines = [
+            '<?xml version="1.0" encoding="UTF-8"?>',
+            '<graphml xmlns="http://graphml.graphdrawing.org/xmlns">',
+            '  <key id="label" for="node" attr.name="label" attr.type="string"/>',
+            '  <key id="type" for="node" attr.name="type" attr.type="string"/>',
+            '  <key id="group" for="node" attr.name="group" attr.type="string"/>',
+            '  <key id="color" for="node" attr.name="color" attr.type="string"/>',
+            '  <key id="active" for="node" attr.name="active" attr.type="boolean"/>',
+            '  <key id="etype" for="edge" attr.name="type" attr.type="string"/>',
+            '  <key id="access" for="edge" attr.name="access" attr.type="string"/>',
+            '  <graph id="n8n" edgedefault="directed">'
+        ];
+        graph.nodes.forEach(n => {
+            lines.push(`    <node id="${esc(n.id)}">${data('label', n.label)}${data('type', n.type)}${data('group', n.group)}${data('color', colorMap[n.group])}${data('active', n.active)}</node>`);
+        });
+        graph.links.forEach((l, i) => {
+            lines.push(`    <edge id="e${i}" source="${esc(l.source)}" target="${esc(l.target)}">${data('etype', l.type)}${data('access', l.access.join('/'))}</edge>`);
+        });
+        lines.push('  </graph>', '</graphml>');
+        return lines.join('\n') + '\n';
+    }
+
+    function toCsv(rows, columns) {
+        const cell = (value) => {
+            const text = Array.isArray(value) ? value.join(';') : String(value ?? '');
+            return /[",\n;]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+        };
+        return [columns.join(','), ...rows.map(row => columns.map(c => cell(row[c])).join(','))].join('\n') + '\n';
+    }
+
+    function toGraphJson(graph, { scope = 'full', filter = null, dataGeneratedAt = null } = {}) {
+        return JSON.stringify({
+            schema: GRAPH_EXPORT_SCHEMA,
+            generated_at: new Date().toISOString(),
+            data_generated_at: dataGeneratedAt,
+            scope,
+            filter,
+            nodes: graph.nodes.map(n => ({
+                id: n.id, label: n.label, type: n.type, group: n.group,
+                ...(n.count !== undefined && { count: n.count }),
+                ...(n.active !== undefined && { active: n.active }),
+                ...(n.tags && { tags: n.tags }),
+                ...(n.isOrphan && { isOrphan: true }),
+                ...(n.dynamic && { dynamic: true, expression: n.expression }),
+                ...(n.codeIssues && { codeIssues: n.codeIssues }),
+                ...(n.parent && { parent: n.parent, path: n.path }),
+                ...(n.hosts && { hosts: n.hosts }),
+                ...(n.credentialType && { credentialType: n.credentialType }),
+                ...(n.environment && { environment: n.environment })
+            })),
+            edges: graph.links.map(l => ({
+                source: l.source, target: l.target, type: l.type, access: l.access,
+                ...(l.nodeNames?.length && { nodes: l.nodeNames }),
+                ...(l.origin && { origin: l.origin })
+            }))
+        }, null, 2);
+    }
+
+    /**
+     * Markdown report of a (possibly filtered) view of the graph, grouped by data source.
+     * `violations` (evaluatePolicies) are listed when they involve a node of the view.
+     * With a `catalog` (resolveCatalog), owners are shown per item and listed in "Who to Notify".
+     */
+    function buildMarkdownReport(view, index, { filter = null, hops = 0, violations = null, catalog = null } = {}) {
+        const { nodes, links } = view;
+        const visible = new Set(nodes.map(n => n.id));
+
+        let md = '# n8n Dependencies Report\n';
+        md += `Generated: ${new Date().toLocaleString()}\n`;
+        if (filter) md += `Filter: \`${filter}\`${hops ? ` (+${hops} hop(s))` : ''}\n`;
+        md += '\n';
+
+        md += '## Stats\n';
+        md += `- Workflows: ${nodes.filter(n => n.type === 'workflow').length}\n`;
+        // HTTP paths are reported under their host
+        const isChild = (n) => n.parent && visible.has(n.parent);
+        const sources = nodes.filter(n => getGroup(n) !== 'workflow' && !n.type.includes('credential') && !isChild(n));
+
+        md += `- Data Sources: ${sources.length}\n`;
+        md += `- Credentials: ${nodes.filter(n => n.type.includes('credential')).length}\n\n`;
+
+        const owner = (id) => (catalog && catalog.has(id) ? ` — ${describeOwnership(catalog.get(id))}` : '');
+        if (catalog) {
+            const notify = notifyList(nodes.map(n => n.id), catalog);
+            md += '## Who to Notify\n\n';
+            if (notify.owners.length === 0) md += 'No catalogued owner in this view.\n';
+            notify.owners.forEach(o => {
+                const team = o.team ? ` (${o.team})` : '';
+                const criticality = o.criticality ? ` [${o.criticality}]` : '';
+                md += `- **${o.owner}**${team}${criticality}: ${o.nodes.map(index.label).join(', ')}\n`;
+            });
+            if (notify.unowned.length) md += `- ${notify.unowned.length} item(s) without owner\n`;
+            md += '\n';
+        }
+
+        md += '## Dependencies by Data Source\n\n';
+
+        const grouped = {};
+        sources.forEach(s => {
+            let type = getGroup(s);
+            if (!grouped[type]) grouped[type] = [];
+            grouped[type].push(s);
+        });
+
+        Object.keys(grouped).sort().forEach(type => {
+            md += `### ${type.charAt(0).toUpperCase() + type.slice(1)}\n\n`;
+            grouped[type].forEach(source => {
+                const children = index.incoming(source.id).filter(l => l.type === 'part_of' && visible.has(l.source)).map(l => l.source);
+                const incoming = [source.id, ...children].flatMap(id => index.incoming(id)).filter(l => visible.has(l.source));
+                const deps = [...new Set(incoming.map(l => l.source))]
+                    .map(index.node)
+                    .filter(n => n.type === 'workflow');
+
+                md += `#### ${source.label}\n`;
+                if (catalog && catalog.has(source.id)) {
+                    const meta = catalog.get(source.id);
+                    md += `Ownership: ${describeOwnership(meta) || '-'}\n`;
+                    if (meta.notes) md += `Notes: ${meta.notes}\n`;
+                }
+                if (deps.length > 0) {
+                    md += `Used by ${deps.length} workflow(s):\n`;
+                    deps.forEach(wf => {
+                        const edges = incoming.filter(l => l.source === wf.id);
+                        const modes = [...new Set(edges.filter(l => l.access).map(l => l.access))];
+                        if (edges.every(l => l.origin === 'code')) modes.push('from code');
+                        md += `- ${wf.label}${modes.length ? ` (${modes.join(', ')})` : ''}${owner(wf.id)}\n`;
+                    });
+                } else {
+                    md += `No workflows use this data source.\n`;
+                }
+                if (children.length > 0) md += `Paths: ${children.map(id => index.node(id).path).join(', ')}\n`;
+                md += '\n';
+            });
+        });
+
+        const calls = links.filter(l => l.type === 'calls_workflow');
+        if (calls.length > 0) {
+            md += '## Workflow Calls\n\n';
+            calls.forEach(l => {
+                md += `- ${index.label(l.source)} → ${index.label(l.target)}\n`;
+            });
+            md += '\n';
+        }
+
+        const codeIssues = nodes.filter(n => n.codeIssues);
+        if (codeIssues.length > 0) {
+            md += '## Code Nodes Not Analysed\n\n';
+            codeIssues.forEach(wf => wf.codeIssues.forEach(issue => {
+                md += `- ${wf.label} → ${issue.node}: ${issue.message}\n`;
+            }));
+            md += '\n';
+        }
+
+        if (violations) {
+            const shown = violations.filter(v => visible.has(v.node) || (v.edge && visible.has(v.edge.target)));
+            md += '## Policy Violations\n\n';
+            if (shown.length === 0) md += 'No policy violations.\n';
+            shown.forEach(v => {
+                md += `- [${v.severity}] ${v.rule}: ${describeViolation(v, index)} — ${v.description}\n`;
+            });
+            md += '\n';
+        }
+
+        return md;
+    }
+
+    return {
+        groupKeys,
+        colorMap,
+        groupLabels,
+        registerGroup,
+        getGroup,
+        ACCESS_MODES,
+        classifyOperation,
+        classifyHttpMethod,
+        extractorRegistry,
+        registerExtractor,
+        registerHost,
+        getVal,
+        getParam,
+        extractSqlTables,
+        analyzeCode,
+        buildGraph,
+        listEnvironments,
+        describeTriggers,
+        workflowFlow,
+        mergeLocalData,
+        buildGraphIndex,
+        groupGraph,
+        groupNodeId,
+        QUERY_FIELDS,
+        parseQuery,
+        evaluateQuery,
+        expandNeighbors,
+        computeLineage,
+        computeBlastRadius,
+        HYGIENE_CATEGORIES,
+        computeHygiene,
+        hygieneRows,
+        buildHygieneReport,
+        computeCredentialUsage,
+        buildRotationReport,
+        parsePolicyRules,
+        evaluatePolicies,
+        describeViolation,
+        CRITICALITY_LEVELS,
+        parseCatalog,
+        resolveCatalog,
+        notifyList,
+        describeOwnership,
+        parseCron,
+        computeSchedule,
+        buildScheduleReport,
+        computeEnvironmentDrift,
+        buildDriftReport,
+        diffGraphs,
+        diffLinkKey,
+        GRAPH_EXPORT_SCHEMA,
+        toExportGraph,
+        toMermaid,
+        toDot,
+        toGraphML,
+        toCsv,
+        toGraphJson,
+        buildMarkdownReport
+    };
+}));
@@ -0,0 +1,387 @@
+#!/usr/bin/env node
+/**
+ * n8n Dependency Visualizer - Command Line Interface
+ *
+ * Builds the same dependency graph as the visualizer (stack_graph.js) from local files,
+ * for scripts and CI pipelines.
+ *
+ * Usage:
+ *   node stack_graph_cli.js graph  <inputs...> [--format json|mermaid|dot|graphml|csv-nodes|csv-edges]
+ *   node stack_graph_cli.js impact <resource> <inputs...> [--depth N] [--json]
+ *   node stack_graph_cli.js report <inputs...>
+ *   node stack_graph_cli.js hygiene <inputs...> [--format md|csv]
+ *   node stack_graph_cli.js credentials <inputs...> [--json]
+ *   node stack_graph_cli.js rotation <credential> <inputs...>
+ *   node stack_graph_cli.js check <inputs...> [--rules <file>] [--strict] [--json]
+ *   node stack_graph_cli.js schedule <inputs...> [--days N] [--window MIN] [--timezone TZ] [--json]
+ *   node stack_graph_cli.js drift <inputs...> [--envs A,B] [--json]
+ *
+ * Inputs are stack_data.json, n8n_data.json, workflow exports, supabase_data.json
+ * or folders containing them (read recursively). "<environment>=<path>" labels the
+ * workflows and Supabase project of an input with an environment (e.g. prod=exports/prod).
+ * With an ownership catalog (visualizer_catalog.json/.yaml or --catalog), impact and report
+ * list the owners to notify.
+ */
+const fs = require('fs');
+const path = require('path');
+const StackGraph = require('./stack_graph.js');
+
+const USAGE = `Uso:
+  node stack_graph_cli.js graph  <arquivos...> [--format json|mermaid|dot|graphml|csv-nodes|csv-edges]
+  node stack_graph_cli.js impact <recurso> <arquivos...> [--depth N] [--json]
+  node stack_graph_cli.js report <arquivos...>
+  node stack_graph_cli.js hygiene <arquivos...> [--format md|csv]
+  node stack_graph_cli.js credentials <arquivos...> [--json]
+  node stack_graph_cli.js rotation <credencial> <arquivos...>
+  node stack_graph_cli.js check <arquivos...> [--rules <arquivo>] [--strict] [--json]
+  node stack_graph_cli.js schedule <arquivos...> [--days N] [--window MIN] [--timezone TZ] [--json]
+  node stack_graph_cli.js drift <arquivos...> [--envs A,B] [--json]
+
+Entradas podem indicar o ambiente: prod=stack_prod.json staging=exports/staging
+
+Opções comuns:
+  --filter "<consulta>"  Mesma linguagem de busca do visualizador (ex.: "group:supabase -is:orphan")
+  --hops N               Mantém também os vizinhos a N hops dos resultados do filtro
+  --config <arquivo>     visualizer_config.json com extratores e mapeamentos de hosts
+                         (padrão: ./visualizer_config.json, se existir)
+  --rules <arquivo>      Regras de política em JSON ou YAML (padrão: ./visualizer_rules.json|.yaml|.yml)
+                         check sai com código 1 se houver violações "error" (com --strict, também "warning")
+  --timezone <fuso>      Fuso da agenda (padrão: "timezone" do visualizer_config.json, ou UTC)
+  --envs A,B             Ambientes comparados pelo drift (padrão: os dois primeiros)
+  --catalog <arquivo>    Catálogo de donos em JSON ou YAML (padrão: ./visualizer_catalog.json|.yaml|.yml);
+                         impact e report listam quem avisar`;
+
+const RULES_FILES = ['visualizer_rules.json', 'visualizer_rules.yaml', 'visualizer_rules.yml'];
+const CATALOG_FILES = ['visualizer_catalog.json', 'visualizer_catalog.yaml', 'visualizer_catalog.yml'];
+
+/**
+ * Splits argv into positional arguments and --options (flags without value are true)
+ */
+function parseArgs(argv) {
+    const positional = [];
+    const options = {};
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (!arg.startsWith('--')) {
+            positional.push(arg);
+            continue;
+        }
+        const [key, inline] = arg.slice(2).split('=', 2);
+        if (inline !== undefined) options[key] = inline;
+        else if (i + 1 < argv.length && !argv[i + 1].startsWith('--') && !['json', 'strict'].includes(key)) options[key] = argv[++i];
+        else options[key] = true;
+    }
+    return { positional, options };
+}
+
+/**
+ * Reads JSON files and folders of them into a list of { name, data, environment }.
+ * An input written as "<environment>=<path>" sets the environment of its entries.
+ */
+function readInputs(inputs) {
+    const entries = [];
+    const visit = (file, environment) => {
+        const stat = fs.statSync(file);
+        if (stat.isDirectory()) {
+            fs.readdirSync(file).sort().forEach(child => visit(path.join(file, child), environment));
+            return;
+        }
+        if (!/\.json$/i.test(file)) return;
+        try {
+            const entry = { name: file, data: JSON.parse(fs.readFileSync(file, 'utf8')) };
+            if (environment) entry.environment = environment;
+            entries.push(entry);
+        } catch (e) {
+            console.warn(`Falha ao ler ${file}: ${e.message}`);
+        }
+    };
+    inputs.forEach(input => {
+        const labelled = !fs.existsSync(input) && input.match(/^([\w.-]+)=(.+)$/);
+        if (labelled) visit(labelled[2], labelled[1]);
+        else visit(input);
+    });
+    return entries;
+}
+
+function loadConfig(configPath) {
+    const file = configPath === undefined ? 'visualizer_config.json' : configPath;
+    if (!fs.existsSync(file)) {
+        if (configPath !== undefined) throw new Error(`Config não encontrada: ${file}`);
+        return;
+    }
+    const config = JSON.parse(fs.readFileSync(file, 'utf8'));
+    (config.extractors || []).forEach(StackGraph.registerExtractor);
+    Object.entries(config.hosts || {}).forEach(([pattern, mapping]) => StackGraph.registerHost(pattern, mapping));
+    return config;
+}
+
+/**
+ * Reads a JSON or YAML document. YAML needs the js-yaml package (npm install js-yaml).
+ */
+function readDocument(file) {
+    const text = fs.readFileSync(file, 'utf8');
+    if (!/\.ya?ml$/i.test(file)) return JSON.parse(text);
+    let yaml;
+    try {
+        yaml = require('js-yaml');
+    } catch (e) {
+        throw new Error(`Arquivos YAML precisam do pacote js-yaml (npm install js-yaml): ${file}`);
+    }
+    return yaml.load(text);
+}
+
+/**
+ * Reads and compiles a policy rules file
+ */
+function loadRules(rulesPath) {
+    const file = rulesPath === undefined ? RULES_FILES.find(f => fs.existsSync(f)) : rulesPath;
+    if (!file || !fs.existsSync(file)) throw new Error(`Arquivo de regras não encontrado: ${file || RULES_FILES.join(', ')}`);
+    return StackGraph.parsePolicyRules(readDocument(file));
+}
+
+/**
+ * Resolves the ownership catalog (--catalog or ./visualizer_catalog.*) over the graph, null without one
+ */
+function loadCatalog(catalogPath, index) {
+    const file = catalogPath === undefined ? CATALOG_FILES.find(f => fs.existsSync(f)) : catalogPath;
+    if (!file) return null;
+    if (!fs.existsSync(file)) throw new Error(`Catálogo não encontrado: ${file}`);
+    try {
+        return StackGraph.resolveCatalog(StackGraph.parseCatalog(readDocument(file)), index);
+    } catch (e) {
+        throw new Error(`Catálogo inválido em ${file}: ${e.message}`);
+    }
+}
+
+/**
+ * Loads the inputs and returns the full graph, its index and the view after --filter/--hops
+ */
+function loadGraph(inputs, options) {
+    if (inputs.length === 0) throw new Error('Informe ao menos um arquivo ou pasta de entrada.');
+    const config = loadConfig(options.config) || {};
+
+    const entries = readInputs(inputs);
+    const data = StackGraph.mergeLocalData(entries);
+    if (data.workflows.length === 0 && !data.supabase) {
+        throw new Error('Nenhum workflow n8n ou supabase_data.json encontrado nos arquivos.');
+    }
+    // A single stack_data.json keeps its own generation date
+    if (entries.length === 1 && entries[0].data.metadata) data.metadata = entries[0].data.metadata;
+
+    const graph = StackGraph.buildGraph(data);
+    const index = StackGraph.buildGraphIndex(graph.nodes, graph.links);
+
+    let view = graph;
+    if (options.filter && options.filter !== true) {
+        const matches = StackGraph.evaluateQuery(StackGraph.parseQuery(options.filter), index);
+        const hops = parseInt(options.hops || '0', 10);
+        const visible = hops > 0 ? StackGraph.expandNeighbors(matches, graph.links, hops) : matches;
+        view = {
+            nodes: graph.nodes.filter(n => visible.has(n.id)),
+            links: graph.links.filter(l => visible.has(l.source) && visible.has(l.target))
+        };
+    }
+    return { data, graph, index, view, config };
+}
+
+/**
+ * Finds a node by ID, then by exact label, then by label substring (case-insensitive)
+ */
+function findResource(nodes, query) {
+    const q = query.toLowerCase();
+    const byId = nodes.find(n => n.id === query);
+    if (byId) return [byId];
+    const exact = nodes.filter(n => [q, `rpc: ${q}`, `cred: ${q}`].includes(n.label.toLowerCase()));
+    if (exact.length) return exact;
+    return nodes.filter(n => n.label.toLowerCase().includes(q));
+}
+
+function commandGraph(inputs, options) {
+    const { data, view } = loadGraph(inputs, options);
+    const graph = StackGraph.toExportGraph(view.nodes, view.links);
+    const format = options.format || 'json';
+
+    switch (format) {
+        case 'mermaid': return StackGraph.toMermaid(graph);
+        case 'dot': return StackGraph.toDot(graph);
+        case 'graphml': return StackGraph.toGraphML(graph);
+        case 'csv-nodes': return StackGraph.toCsv(graph.nodes, ['id', 'label', 'type', 'group', 'active', 'tags', 'isOrphan']);
+        case 'csv-edges': return StackGraph.toCsv(graph.links, ['source', 'target', 'type', 'access', 'origin']);
+        case 'json':
+            return StackGraph.toGraphJson(graph, {
+                scope: options.filter ? 'view' : 'full',
+                filter: options.filter || null,
+                dataGeneratedAt: data.metadata?.generated_at || null
+            }) + '\n';
+        default:
+            throw new Error(`Formato desconhecido: ${format}`);
+    }
+}
+
+function commandImpact(resource, inputs, options) {
+    if (!resource) throw new Error('Informe o recurso (ID ou nome do nó).');
+    const { graph, index } = loadGraph(inputs, options);
+
+    const candidates = findResource(graph.nodes, resource);
+    if (candidates.length === 0) throw new Error(`Recurso não encontrado: ${resource}`);
+    if (candidates.length > 1) {
+        throw new Error(`"${resource}" é ambíguo:\n${candidates.map(n => `  ${n.id} (${n.label})`).join('\n')}`);
+    }
+
+    const target = candidates[0];
+    const depth = parseInt(options.depth || '0', 10);
+    const blast = StackGraph.computeBlastRadius(index, target.id, depth > 0 ? depth : Infinity);
+    const affected = blast.affected
+        .map(a => ({ ...a, node: index.node(a.id) }))
+        .sort((a, b) => a.hops - b.hops || index.label(a.id).localeCompare(index.label(b.id)));
+    const catalog = loadCatalog(options.catalog, index);
+    const notify = catalog && StackGraph.notifyList([target.id, ...affected.map(a => a.id)], catalog);
+
+    if (options.json) {
+        return JSON.stringify({
+            resource: { id: target.id, label: target.label, type: target.type, ...(catalog && { catalog: catalog.get(target.id) || null }) },
+            affected: affected.map(a => ({ id: a.id, label: a.node.label, type: a.node.type, hops: a.hops, path: a.path })),
+            ...(notify && { notify })
+        }, null, 2) + '\n';
+    }
+
+    const workflows = affected.filter(a => a.node.type === 'workflow');
+    const lines = [`${target.label} (${target.id}): ${workflows.length} workflow(s) afetado(s)`];
+    if (catalog && catalog.has(target.id)) lines.push(`  Dono: ${StackGraph.describeOwnership(catalog.get(target.id)) || '-'}`);
+    workflows.forEach(a => {
+        const route = a.hops > 1 ? `  [${a.path.map(index.label).join(' → ')}]` : '';
+        lines.push(`  ${a.hops} hop(s)  ${index.label(a.id)}${route}`);
+    });
+    if (notify) {
+        lines.push('Quem avisar:');
+        notify.owners.forEach(o => {
+            const details = [o.team, o.criticality].filter(Boolean).join(', ');
+            lines.push(`  ${o.owner}${details ? ` (${details})` : ''}: ${o.nodes.map(index.label).join(', ')}`);
+        });
+        if (notify.owners.length === 0) lines.push('  nenhum dono catalogado');
+        if (notify.unowned.length) lines.push(`  ${notify.unowned.length} item(ns) sem dono no catálogo`);
+    }
+    return lines.join('\n') + '\n';
+}
+
+function commandReport(inputs, options) {
+    const { index, view } = loadGraph(inputs, options);
+    // Policy violations are included when a rules file is given or found
+    const hasRules = options.rules !== undefined || RULES_FILES.some(f => fs.existsSync(f));
+    return StackGraph.buildMarkdownReport(view, index, {
+        filter: options.filter || null,
+        hops: parseInt(options.hops || '0', 10),
+        violations: hasRules ? StackGraph.evaluatePolicies(loadRules(options.rules), index) : null,
+        catalog: loadCatalog(options.catalog, index)
+    });
+}
+
+function commandHygiene(inputs, options) {
+    // Always over the full graph: --filter only narrows graph/report views
+    const { index } = loadGraph(inputs, options);
+    const hygiene = StackGraph.computeHygiene(index);
+    switch (options.format || 'md') {
+        case 'md': return StackGraph.buildHygieneReport(hygiene, index);
+        case 'csv': return StackGraph.toCsv(StackGraph.hygieneRows(hygiene, index), ['category', 'id', 'label', 'updated_at', 'workflows', 'node']);
+        default:
+            throw new Error(`Formato desconhecido: ${options.format}`);
+    }
+}
+
+function commandCredentials(inputs, options) {
+    const { index } = loadGraph(inputs, options);
+    const credentials = StackGraph.computeCredentialUsage(index);
+    if (options.json) return JSON.stringify(credentials, null, 2) + '\n';
+
+    const lines = credentials.map(c => {
+        const shared = c.shared ? '  [compartilhada]' : '';
+        return `${c.label} (${c.credentialType || 'tipo desconhecido'}): ${c.workflows.length} workflow(s), ${c.consumers.length} nó(s)${shared}`;
+    });
+    return lines.join('\n') + '\n';
+}
+
+function commandRotation(credential, inputs, options) {
+    if (!credential) throw new Error('Informe a credencial (ID ou nome).');
+    const { graph, index } = loadGraph(inputs, options);
+
+    const candidates = findResource(graph.nodes.filter(n => n.type.includes('credential')), credential);
+    if (candidates.length === 0) throw new Error(`Credencial não encontrada: ${credential}`);
+    if (candidates.length > 1) {
+        throw new Error(`"${credential}" é ambíguo:\n${candidates.map(n => `  ${n.id} (${n.label})`).join('\n')}`);
+    }
+    return StackGraph.buildRotationReport(index, candidates[0].id);
+}
+
+function commandCheck(inputs, options) {
+    const rules = loadRules(options.rules);
+    const { index } = loadGraph(inputs, options);
+    const violations = StackGraph.evaluatePolicies(rules, index);
+
+    // Fails the run (e.g. the daily Action) on errors; --strict also on warnings
+    const failing = violations.filter(v => options.strict || v.severity === 'error');
+    if (failing.length > 0) process.exitCode = 1;
+
+    if (options.json) return JSON.stringify({ rules: rules.length, violations }, null, 2) + '\n';
+    const lines = [`${rules.length} regra(s), ${violations.length} violação(ões)`];
+    violations.forEach(v => lines.push(`  [${v.severity}] ${v.rule}: ${StackGraph.describeViolation(v, index)} — ${v.description}`));
+    return lines.join('\n') + '\n';
+}
+
+function commandSchedule(inputs, options) {
+    const { graph, index, config } = loadGraph(inputs, options);
+    const number = (value, fallback) => (value === undefined || value === true ? fallback : parseInt(value, 10));
+    const days = number(options.days, 7);
+    const bucketMinutes = number(options.window, 5);
+    if (!(days > 0) || !(bucketMinutes > 0)) throw new Error('--days e --window devem ser números positivos.');
+
+    const schedule = StackGraph.computeSchedule(graph.workflows, index, {
+        timeZone: options.timezone || config.timezone || 'UTC', days, bucketMinutes
+    });
+    if (options.json) return JSON.stringify(schedule, null, 2) + '\n';
+    return StackGraph.buildScheduleReport(schedule, index);
+}
+
+function commandDrift(inputs, options) {
+    const { data, index } = loadGraph(inputs, options);
+    const environments = StackGraph.listEnvironments(data);
+    const envs = options.envs && options.envs !== true ? options.envs.split(',').map(e => e.trim()) : environments.slice(0, 2);
+    if (environments.length < 2) throw new Error('O drift precisa de ao menos dois ambientes (use <ambiente>=<arquivo>).');
+    if (envs.length !== 2 || envs[0] === envs[1]) throw new Error('--envs deve indicar dois ambientes diferentes (ex.: --envs prod,staging).');
+    const unknown = envs.filter(e => !environments.includes(e));
+    if (unknown.length) throw new Error(`Ambiente não encontrado: ${unknown.join(', ')} (disponíveis: ${environments.join(', ')})`);
+
+    const drift = StackGraph.computeEnvironmentDrift(index, envs[0], envs[1]);
+    if (options.json) return JSON.stringify(drift, null, 2) + '\n';
+    return StackGraph.buildDriftReport(drift);
+}
+
+function main(argv) {
+    const { positional, options } = parseArgs(argv);
+    const [command, ...rest] = positional;
+
+    switch (command) {
+        case 'graph': return commandGraph(rest, options);
+        case 'impact': return commandImpact(rest[0], rest.slice(1), options);
+        case 'report': return commandReport(rest, options);
+        case 'hygiene': return commandHygiene(rest, options);
+        case 'credentials': return commandCredentials(rest, options);
+        case 'rotation': return commandRotation(rest[0], rest.slice(1), options);
+        case 'check': return commandCheck(rest, options);
+        case 'schedule': return commandSchedule(rest, options);
+        case 'drift': return commandDrift(rest, options);
+        default:
+            console.error(USAGE);
+            process.exit(command ? 1 : 0);
+    }
+}
+
+if (require.main === module) {
+    try {
+        process.stdout.write(main(process.argv.slice(2)));
+    } catch (e) {
+        console.error(`❌ ${e.message}`);
+        process.exit(1);
+    }
+}
+
+module.exports = { main, parseArgs, readInputs, loadGraph, loadRules, loadCatalog, findResource };
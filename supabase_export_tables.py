@@ -28,6 +28,8 @@ SUPABASE_URL = (os.getenv("SUPABASE_URL") or "").rstrip("/")
 SUPABASE_KEY = (os.getenv("SUPABASE_SERVICE_ROLE_KEY") or os.getenv("SUPABASE_ANON_KEY") or "").strip()
 OUT_DIR = "supabase_export_tables"
 SCHEMAS = [s.strip() for s in (os.getenv("SCHEMAS", "public")).split(",") if s.strip()]
+# Rótulo do projeto (ex: prod, staging) para comparar ambientes no visualizador
+SUPABASE_ENVIRONMENT = (os.getenv("SUPABASE_ENVIRONMENT") or "").strip()
 
 if not SUPABASE_URL:
     raise SystemExit("Faltou SUPABASE_URL no .env")
@@ -188,6 +190,8 @@ def main():
         "tables": tables_for_bundle,
         "functions": functions_for_bundle
     }
+    if SUPABASE_ENVIRONMENT:
+        bundle["metadata"]["environment"] = SUPABASE_ENVIRONMENT
 
     bundle_path = Path(OUT_DIR) / "supabase_data.json"
     with open(bundle_path, "w", encoding="utf-8") as f:
@@ -0,0 +1,102 @@
+/**
+ * Ownership catalog: validation, resolution over the graph, who to notify and the CLI --catalog option
+ */
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const { execFileSync, spawnSync } = require('child_process');
+const StackGraph = require('../stack_graph.js');
+const catalogDoc = require('./fixtures/catalog.json');
+
+const CLI = path.join(__dirname, '..', 'stack_graph_cli.js');
+const FIXTURES = path.join(__dirname, 'fixtures');
+const STACK = path.join(FIXTURES, 'stack.json');
+const CATALOG = path.join(FIXTURES, 'catalog.json');
+
+const graph = StackGraph.buildGraph(require('./fixtures/stack.json'));
+const index = StackGraph.buildGraphIndex(graph.nodes, graph.links);
+const catalog = StackGraph.resolveCatalog(StackGraph.parseCatalog(catalogDoc), index);
+
+test('invalid entries are rejected with their position', () => {
+    const invalid = (entries) => () => StackGraph.parseCatalog({ entries });
+    assert.throws(() => StackGraph.parseCatalog({}), /Catálogo sem a lista "entries"/);
+    assert.throws(invalid(['x']), /Entrada #1: objeto esperado/);
+    assert.throws(invalid([{ owner: 'Ana' }]), /Entrada #1: informe "id" ou "name"/);
+    assert.throws(invalid([{ name: '*', owner: 'Ana' }, { kind: 'queue', name: '*', owner: 'Ana' }]), /Entrada #2: kind deve ser workflow, table, function, credential, host, env/);
+    assert.throws(invalid([{ name: '*', criticality: 'urgent' }]), /criticality deve ser critical, high, medium, low/);
+    assert.throws(invalid([{ name: '*' }]), /Entrada #1: nenhum campo/);
+    assert.throws(invalid([{ name: '/[/', owner: 'Ana' }]), /Entrada #1: regex inválida \/\[\//);
+});
+
+test('a bare list is accepted', () => {
+    assert.equal(StackGraph.parseCatalog([{ id: 'wf_billing', owner: 'Ana' }]).length, 1);
+});
+
+test('each kind selects its nodes by ID, name, wildcard or pattern', () => {
+    assert.deepEqual(catalog.get('wf_billing'), { owner: 'Ana', team: 'Finance' });
+    assert.deepEqual(catalog.get('rpc_calc_total'), { owner: 'Bruno', criticality: 'high' });
+    assert.deepEqual(catalog.get('cred_supabase_Prod Supabase'), { owner: 'Carla', team: 'Platform', criticality: 'high' });
+    assert.deepEqual(catalog.get('http_api.stripe.com'), { owner: 'Ana' });
+    assert.deepEqual(catalog.get('env_STRIPE_KEY'), { owner: 'Carla', notes: 'Rotated every quarter' });
+    assert.deepEqual(catalog.get('postgres_payments'), { team: 'Data', criticality: 'low' });
+    assert.equal(catalog.has('rpc_old_report'), false);
+    assert.equal(catalog.has('cred_supabase_Staging Supabase'), false);
+});
+
+test('later entries override the fields of earlier ones', () => {
+    assert.deepEqual(catalog.get('supabase_invoices'), { team: 'Finance', criticality: 'critical', owner: 'Ana', sla: '4h' });
+});
+
+test('entries with an environment only apply to that environment', () => {
+    assert.equal(catalog.has('wf_notify'), false);
+    const data = StackGraph.mergeLocalData([
+        { name: 'prod', data: require('./fixtures/stack.json'), environment: 'prod' },
+        { name: 'staging', data: require('./fixtures/stack_old.json'), environment: 'staging' }
+    ]);
+    const envGraph = StackGraph.buildGraph(data);
+    const envIndex = StackGraph.buildGraphIndex(envGraph.nodes, envGraph.links);
+    const envCatalog = StackGraph.resolveCatalog(StackGraph.parseCatalog(catalogDoc), envIndex);
+    assert.deepEqual(envCatalog.get('staging:wf_notify'), { owner: 'Davi' });
+    assert.equal(envCatalog.has('prod:wf_notify'), false);
+    assert.deepEqual(envCatalog.get('prod:wf_billing'), { owner: 'Ana', team: 'Finance' });
+});
+
+test('owners to notify are grouped, most critical first', () => {
+    assert.deepEqual(StackGraph.notifyList(['supabase_invoices', 'wf_billing', 'rpc_calc_total', 'wf_notify', 'wf_billing'], catalog), {
+        owners: [
+            { owner: 'Ana', team: 'Finance', criticality: 'critical', nodes: ['supabase_invoices', 'wf_billing'] },
+            { owner: 'Bruno', team: null, criticality: 'high', nodes: ['rpc_calc_total'] }
+        ],
+        unowned: ['wf_notify']
+    });
+});
+
+test('ownership is summarized in one line', () => {
+    assert.equal(StackGraph.describeOwnership(catalog.get('supabase_invoices')), 'Ana (Finance) · critical · SLA 4h');
+    assert.equal(StackGraph.describeOwnership(catalog.get('postgres_payments')), 'Data · low');
+    assert.equal(StackGraph.describeOwnership(undefined), '');
+});
+
+test('the report lists who to notify and the owner of each item', () => {
+    const md = StackGraph.buildMarkdownReport(graph, index, { catalog });
+    assert.ok(md.includes('## Who to Notify\n\n- **Ana** (Finance) [critical]: Billing Sync, invoices, api.stripe.com\n'));
+    assert.ok(md.includes('- **Data** [low]: customers, payments, billing.ledger, refunds, {{ $json.templateTable }}, legacy_data\n'));
+    assert.ok(md.includes('- 5 item(s) without owner\n'));
+    assert.ok(md.includes('#### invoices\nOwnership: Ana (Finance) · critical · SLA 4h\n'));
+    assert.ok(!StackGraph.buildMarkdownReport(graph, index).includes('## Who to Notify'));
+});
+
+test('the CLI impact command shows the owner and who to notify', () => {
+    const out = execFileSync(process.execPath, [CLI, 'impact', 'supabase_invoices', STACK, '--catalog', CATALOG], { cwd: __dirname, encoding: 'utf8' });
+    assert.match(out, /^ {2}Dono: Ana \(Finance\) · critical · SLA 4h$/m);
+    assert.ok(out.includes('Quem avisar:\n  Ana (Finance, critical): invoices, Billing Sync\n  Bruno (high): rpc: calc_total\n  2 item(ns) sem dono no catálogo\n'));
+});
+
+test('the CLI fails on an invalid or missing catalog', () => {
+    const invalid = spawnSync(process.execPath, [CLI, 'impact', 'supabase_invoices', STACK, '--catalog', path.join(FIXTURES, 'rules.json')], { cwd: __dirname, encoding: 'utf8' });
+    assert.equal(invalid.status, 1);
+    assert.match(invalid.stderr, /Catálogo inválido em .*rules\.json: Catálogo sem a lista "entries"/);
+    const missing = spawnSync(process.execPath, [CLI, 'report', STACK, '--catalog', path.join(FIXTURES, 'missing.json')], { cwd: __dirname, encoding: 'utf8' });
+    assert.equal(missing.status, 1);
+    assert.match(missing.stderr, /Catálogo não encontrado/);
+});
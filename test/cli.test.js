@@ -0,0 +1,98 @@
+/**
+ * Command line interface: arguments, inputs, and the impact and report commands
+ */
+const { test, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFileSync, spawnSync } = require('child_process');
+const { parseArgs, readInputs, findResource } = require('../stack_graph_cli.js');
+const StackGraph = require('../stack_graph.js');
+
+const CLI = path.join(__dirname, '..', 'stack_graph_cli.js');
+const STACK = path.join(__dirname, 'fixtures', 'stack.json');
+const run = (...args) => spawnSync(process.execPath, [CLI, ...args], { cwd: __dirname, encoding: 'utf8' });
+const cli = (...args) => execFileSync(process.execPath, [CLI, ...args], { cwd: __dirname, encoding: 'utf8' });
+
+// A folder with an n8n_data.json bundle, a single workflow export, supabase_data.json and a file that is not JSON
+const exportsDir = fs.mkdtempSync(path.join(os.tmpdir(), 'stack-graph-cli-'));
+after(() => fs.rmSync(exportsDir, { recursive: true, force: true }));
+const stack = require('./fixtures/stack.json');
+fs.mkdirSync(path.join(exportsDir, 'workflows'));
+fs.writeFileSync(path.join(exportsDir, 'n8n_data.json'), JSON.stringify({ workflows: stack.workflows.slice(0, 2) }));
+fs.writeFileSync(path.join(exportsDir, 'workflows', 'staging.json'), JSON.stringify(stack.workflows[2]));
+fs.writeFileSync(path.join(exportsDir, 'supabase_data.json'), JSON.stringify(stack.supabase));
+fs.writeFileSync(path.join(exportsDir, 'notes.txt'), 'not an export');
+
+test('options take a value, --name=value or act as flags', () => {
+    assert.deepEqual(parseArgs(['graph', 'a', '--format', 'dot', '--strict', '--depth=2', 'b']),
+        { positional: ['graph', 'a', 'b'], options: { format: 'dot', strict: true, depth: '2' } });
+});
+
+test('folders are read recursively and labelled inputs carry their environment', () => {
+    assert.deepEqual(readInputs([exportsDir]).map(e => path.relative(exportsDir, e.name)), ['n8n_data.json', 'supabase_data.json', path.join('workflows', 'staging.json')]);
+    assert.deepEqual(readInputs([`prod=${STACK}`]).map(e => e.environment), ['prod']);
+});
+
+test('a folder of exports builds the same graph as stack_data.json', () => {
+    const fromFolder = JSON.parse(cli('graph', exportsDir));
+    const fromStack = JSON.parse(cli('graph', STACK));
+    assert.deepEqual(fromFolder.nodes.map(n => n.id).sort(), fromStack.nodes.map(n => n.id).sort());
+    assert.equal(fromFolder.edges.length, fromStack.edges.length);
+});
+
+test('resources are found by ID, exact name, then substring', () => {
+    const { nodes } = StackGraph.buildGraph(stack);
+    assert.deepEqual(findResource(nodes, 'rpc_calc_total').map(n => n.id), ['rpc_calc_total']);
+    assert.deepEqual(findResource(nodes, 'CALC_TOTAL').map(n => n.id), ['rpc_calc_total']);
+    assert.deepEqual(findResource(nodes, 'prod supabase').map(n => n.id), ['cred_supabase_Prod Supabase']);
+    assert.deepEqual(findResource(nodes, 'ledger').map(n => n.id), ['postgres_billing.ledger']);
+});
+
+test('impact lists the affected workflows with their route', () => {
+    assert.equal(cli('impact', 'invoices', STACK), [
+        'invoices (supabase_invoices): 3 workflow(s) afetado(s)',
+        '  1 hop(s)  Billing Sync',
+        '  1 hop(s)  Staging Invoices',
+        '  2 hop(s)  Notifier  [Notifier → rpc: calc_total → invoices]',
+        ''
+    ].join('\n'));
+});
+
+test('impact --json honours --depth', () => {
+    const out = JSON.parse(cli('impact', 'supabase_invoices', STACK, '--depth', '1', '--json'));
+    assert.deepEqual(out.resource, { id: 'supabase_invoices', label: 'invoices', type: 'supabase' });
+    assert.deepEqual(out.affected.map(a => [a.id, a.hops]), [['wf_billing', 1], ['rpc_calc_total', 1], ['wf_staging', 1]]);
+    assert.equal(out.notify, undefined);
+});
+
+test('impact fails on unknown or ambiguous resources', () => {
+    const unknown = run('impact', 'nope', STACK);
+    assert.equal(unknown.status, 1);
+    assert.equal(unknown.stderr, '❌ Recurso não encontrado: nope\n');
+    const ambiguous = run('impact', 'supabase', STACK);
+    assert.equal(ambiguous.status, 1);
+    assert.match(ambiguous.stderr, /"supabase" é ambíguo:\n {2}cred_supabase_Prod Supabase \(Cred: Prod Supabase\)\n/);
+});
+
+test('report counts the filtered view and names the filter', () => {
+    const md = cli('report', STACK, '--filter', 'type:postgres');
+    assert.match(md, /^# n8n Dependencies Report\nGenerated: .+\nFilter: `type:postgres`\n\n## Stats\n- Workflows: 0\n- Data Sources: 2\n- Credentials: 0\n/);
+    assert.ok(md.includes('### Postgres\n'));
+    assert.ok(!md.includes('### Supabase\n'));
+});
+
+test('missing inputs and inputs without workflows fail', () => {
+    assert.equal(run('graph').stderr, '❌ Informe ao menos um arquivo ou pasta de entrada.\n');
+    const empty = run('graph', path.join(__dirname, 'fixtures', 'rules.json'));
+    assert.equal(empty.status, 1);
+    assert.match(empty.stderr, /Nenhum workflow n8n ou supabase_data\.json encontrado/);
+});
+
+test('the usage is printed without a command and unknown commands fail', () => {
+    const usage = run();
+    assert.equal(usage.status, 0);
+    assert.match(usage.stderr, /^Uso:\n/);
+    assert.equal(run('bogus').status, 1);
+});
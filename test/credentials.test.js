@@ -0,0 +1,65 @@
+/**
+ * Credential audit and rotation impact, in the library and through the CLI
+ */
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const { execFileSync, spawnSync } = require('child_process');
+const StackGraph = require('../stack_graph.js');
+const stackData = require('./fixtures/stack.json');
+
+const CLI = path.join(__dirname, '..', 'stack_graph_cli.js');
+const STACK = path.join(__dirname, 'fixtures', 'stack.json');
+
+const graph = StackGraph.buildGraph(stackData);
+const index = StackGraph.buildGraphIndex(graph.nodes, graph.links);
+const usage = StackGraph.computeCredentialUsage(index);
+const prod = usage.find(c => c.id === 'cred_supabase_Prod Supabase');
+
+test('credentials are listed most used first with their sources and consumers', () => {
+    assert.deepEqual(usage.map(c => c.id), ['cred_supabase_Prod Supabase', 'cred_supabase_Staging Supabase']);
+    assert.equal(prod.credentialType, 'supabaseApi');
+    assert.equal(prod.credentialId, 'c1');
+    assert.deepEqual(prod.workflows, ['wf_billing', 'wf_notify']);
+    assert.deepEqual(prod.sources, ['supabase_customers', 'supabase_invoices', 'dynamic_wf_notify_supabase_{{ $json.templateTable }}']);
+    assert.deepEqual(prod.consumers.map(c => `${c.workflow}/${c.node}`),
+        ['wf_billing/Read customers', 'wf_billing/Insert invoices', 'wf_notify/Load template', 'wf_notify/Total']);
+});
+
+test('credentials used by enough workflows are shared', () => {
+    assert.equal(prod.shared, false);
+    const shared = StackGraph.computeCredentialUsage(index, { sharedThreshold: 2 });
+    assert.equal(shared.find(c => c.id === prod.id).shared, true);
+});
+
+test('the rotation report lists the nodes to re-test and the calling workflows', () => {
+    const notifyOnly = StackGraph.buildGraph({ workflows: [
+        { id: 'wf_parent', name: 'Parent', nodes: [{ name: 'Run', type: 'n8n-nodes-base.executeWorkflow', parameters: { workflowId: 'wf_child' } }] },
+        { id: 'wf_child', name: 'Child', active: false, nodes: [
+            { name: 'Post', type: 'n8n-nodes-base.slack', disabled: true, parameters: { channel: 'ops' }, credentials: { slackApi: { id: 's1', name: 'Bot' } } }
+        ] }
+    ] });
+    const md = StackGraph.buildRotationReport(StackGraph.buildGraphIndex(notifyOnly.nodes, notifyOnly.links), 'cred_slack_Bot');
+
+    assert.match(md, /^# Credential Rotation Impact: Bot\n/);
+    assert.match(md, /### Child \(inactive\)\n- \[ \] Post \(disabled\)\n/);
+    assert.match(md, /## Calling Workflows\n\n- \[ \] Parent \(calls Child\)\n/);
+});
+
+test('the rotation report rejects nodes that are not credentials', () => {
+    assert.throws(() => StackGraph.buildRotationReport(index, 'supabase_invoices'), /Credencial não encontrada/);
+});
+
+test('the CLI credentials command prints the same audit as JSON', () => {
+    const out = JSON.parse(execFileSync(process.execPath, [CLI, 'credentials', STACK, '--json'], { cwd: __dirname, encoding: 'utf8' }));
+    assert.deepEqual(out.map(c => [c.id, c.workflows.length]), [['cred_supabase_Prod Supabase', 2], ['cred_supabase_Staging Supabase', 1]]);
+});
+
+test('the CLI rotation command finds credentials by name and fails on unknown ones', () => {
+    const md = execFileSync(process.execPath, [CLI, 'rotation', 'Staging Supabase', STACK], { cwd: __dirname, encoding: 'utf8' });
+    assert.match(md, /### Staging Invoices \(inactive\)\n- \[ \] Read invoices\n/);
+
+    const missing = spawnSync(process.execPath, [CLI, 'rotation', 'Nope', STACK], { cwd: __dirname, encoding: 'utf8' });
+    assert.equal(missing.status, 1);
+    assert.match(missing.stderr, /Credencial não encontrada: Nope/);
+});
@@ -0,0 +1,54 @@
+/**
+ * Differences between two exports of the fixture stack
+ */
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const StackGraph = require('../stack_graph.js');
+const current = require('./fixtures/stack.json');
+const previous = require('./fixtures/stack_old.json');
+
+const diff = StackGraph.diffGraphs(StackGraph.buildGraph(previous), StackGraph.buildGraph(current));
+const ids = (items) => items.map(n => n.id).sort();
+
+test('added and removed workflows', () => {
+    assert.deepEqual(ids(diff.workflows.added), ['wf_staging']);
+    assert.deepEqual(ids(diff.workflows.removed), ['wf_cleanup']);
+});
+
+test('changed workflows list the changed attributes', () => {
+    assert.deepEqual(diff.workflows.changed.map(n => [n.id, n.changes]), [
+        ['wf_billing', [{ attr: 'updatedAt', from: '2026-08-30T12:00:00Z', to: '2026-09-30T12:00:00Z' }]]
+    ]);
+});
+
+test('sources and credentials', () => {
+    assert.deepEqual(ids(diff.sources.added), [
+        'env_STRIPE_KEY', 'http_api.stripe.com', 'http_api.stripe.com/v1/charges',
+        'postgres_billing.ledger', 'postgres_payments', 'supabase_refunds'
+    ]);
+    assert.deepEqual(diff.sources.removed, []);
+    // customers is now used by a workflow, legacy_data no longer is
+    assert.deepEqual(diff.sources.changed.map(n => [n.id, n.changes]), [
+        ['supabase_customers', [{ attr: 'isOrphan', from: true, to: null }]],
+        ['supabase_legacy_data', [{ attr: 'isOrphan', from: null, to: true }]]
+    ]);
+    assert.deepEqual(ids(diff.credentials.added), ['cred_supabase_Staging Supabase']);
+});
+
+test('edges are keyed by source, target and type', () => {
+    const added = diff.edges.added.map(StackGraph.diffLinkKey);
+    const removed = diff.edges.removed.map(StackGraph.diffLinkKey);
+
+    assert.ok(added.includes('wf_billing->wf_notify:calls_workflow'));
+    assert.ok(added.includes('wf_staging->supabase_invoices:uses'));
+    assert.ok(removed.includes('wf_billing->supabase_legacy_data:uses'));
+    assert.ok(removed.includes('wf_cleanup->supabase_legacy_data:uses'));
+    assert.ok(!added.includes('wf_billing->supabase_invoices:uses'), 'unchanged edge');
+});
+
+test('identical exports have no differences', () => {
+    const same = StackGraph.diffGraphs(StackGraph.buildGraph(current), StackGraph.buildGraph(current));
+    Object.values(same).forEach(cat => {
+        assert.deepEqual([cat.added.length, cat.removed.length, cat.changed.length], [0, 0, 0]);
+    });
+});
@@ -0,0 +1,119 @@
+/**
+ * Environments: namespaced graphs, merging labelled inputs and the drift between two environments
+ */
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const { execFileSync, spawnSync } = require('child_process');
+const StackGraph = require('../stack_graph.js');
+
+const CLI = path.join(__dirname, '..', 'stack_graph_cli.js');
+const PROD = `prod=${path.join(__dirname, 'fixtures', 'stack.json')}`;
+const STAGING = `staging=${path.join(__dirname, 'fixtures', 'stack_old.json')}`;
+
+const read = (name, tableId, credential) => ({
+    name, type: 'n8n-nodes-base.supabase', parameters: { operation: 'getAll', tableId },
+    credentials: { supabaseApi: { id: credential, name: credential } }
+});
+const data = { workflows: [
+    { id: 'wf_sync', name: 'Sync', environment: 'prod', active: true, nodes: [
+        read('Read', 'orders', 'Prod DB'),
+        { name: 'Call', type: 'n8n-nodes-base.executeWorkflow', parameters: { workflowId: 'wf_child' } }
+    ] },
+    { id: 'wf_child', name: 'Child', environment: 'prod', active: true, nodes: [
+        { name: 'Start', type: 'n8n-nodes-base.executeWorkflowTrigger', parameters: {} }
+    ] },
+    { id: 'wf_sync', name: 'Sync', environment: 'staging', active: false, nodes: [
+        read('Read', 'orders', 'Staging DB'),
+        read('Read old', 'orders_v1', 'Staging DB')
+    ] },
+    { id: 'wf_beta', name: 'Beta Feature', environment: 'staging', active: true, nodes: [read('Read', 'orders', 'Staging DB')] }
+], supabase: [
+    { environment: 'prod', tables: [{ name: 'orders' }], functions: [] },
+    { environment: 'staging', tables: [{ name: 'orders' }, { name: 'orders_v1' }], functions: [] }
+] };
+const graph = StackGraph.buildGraph(data);
+const index = StackGraph.buildGraphIndex(graph.nodes, graph.links);
+
+test('environments are listed in order of appearance', () => {
+    assert.deepEqual(StackGraph.listEnvironments(data), ['prod', 'staging']);
+    assert.deepEqual(StackGraph.listEnvironments({ workflows: [{ id: 'a', nodes: [] }] }), []);
+    assert.deepEqual(StackGraph.listEnvironments({ metadata: { environment: 'prod' }, workflows: [{ id: 'a', nodes: [] }] }), ['prod']);
+    assert.deepEqual(StackGraph.listEnvironments({ workflows: [{ id: 'a', nodes: [] }, { id: 'b', environment: 'qa', nodes: [] }] }), ['default', 'qa']);
+});
+
+test('node IDs are namespaced by environment', () => {
+    assert.deepEqual([...graph.workflows.keys()], ['prod:wf_sync', 'prod:wf_child', 'staging:wf_sync', 'staging:wf_beta']);
+    assert.equal(index.node('staging:supabase_orders_v1').environment, 'staging');
+    assert.equal(index.label('prod:wf_sync'), 'Sync (prod)');
+    assert.deepEqual(index.node('staging:cred_supabase_Staging DB').consumers.map(c => c.workflow),
+        ['staging:wf_sync', 'staging:wf_sync', 'staging:wf_beta']);
+});
+
+test('sub-workflow calls and tables resolve within their environment', () => {
+    assert.deepEqual(index.outgoing('prod:wf_sync').map(l => l.target), ['prod:supabase_orders', 'prod:wf_child']);
+    assert.deepEqual(index.incoming('staging:supabase_orders').map(l => l.source), ['staging:wf_sync', 'staging:wf_beta']);
+});
+
+test('a single environment keeps plain IDs', () => {
+    const single = StackGraph.buildGraph({ metadata: { environment: 'prod' }, workflows: [data.workflows[1]] });
+    assert.deepEqual(single.nodes.map(n => n.id), ['wf_child']);
+});
+
+test('merged inputs label their workflows and keep one Supabase project per environment', () => {
+    const merged = StackGraph.mergeLocalData([
+        { name: 'prod', data: require('./fixtures/stack.json'), environment: 'prod' },
+        { name: 'staging', data: require('./fixtures/stack_old.json'), environment: 'staging' },
+        { name: 'qa', data: { metadata: { environment: 'qa' }, workflows: [{ id: 'wf_x', name: 'X', nodes: [] }] } },
+        { name: 'export', data: { id: 'wf_billing', name: 'Billing Sync v2', nodes: [] }, environment: 'prod' }
+    ]);
+    assert.deepEqual(merged.workflows.map(w => `${w.environment}:${w.id}:${w.name}`), [
+        'prod:wf_billing:Billing Sync v2', 'prod:wf_notify:Notifier', 'prod:wf_staging:Staging Invoices',
+        'staging:wf_billing:Billing Sync', 'staging:wf_notify:Notifier', 'staging:wf_cleanup:Nightly Cleanup', 'qa:wf_x:X'
+    ]);
+    assert.deepEqual(merged.supabase.map(p => p.environment), ['prod', 'staging']);
+});
+
+test('drift lists missing workflows and what differs between matching ones', () => {
+    const drift = StackGraph.computeEnvironmentDrift(index, 'prod', 'staging');
+    assert.deepEqual(drift.missing, [
+        { name: 'Beta Feature', environment: 'staging', id: 'staging:wf_beta' },
+        { name: 'Child', environment: 'prod', id: 'prod:wf_child' }
+    ]);
+    assert.deepEqual(drift.changed, [{
+        name: 'Sync', left: 'prod:wf_sync', right: 'staging:wf_sync', active: true,
+        sources: { left: ['n8n: Child'], right: ['Supabase: orders_v1'] },
+        credentials: { left: ['Cred: Prod DB'], right: ['Cred: Staging DB'] }
+    }]);
+});
+
+test('the drift report lists each difference per environment', () => {
+    const md = StackGraph.buildDriftReport(StackGraph.computeEnvironmentDrift(index, 'prod', 'staging'));
+    assert.ok(md.startsWith('# Environment Drift: prod vs staging\n\n- Missing workflows: 2\n- Workflows with different dependencies: 1\n'));
+    assert.ok(md.includes('- **Beta Feature**: only in staging (missing in prod)'));
+    assert.ok(md.includes('### Sync\n\n- Active state differs\n- Dependencies only in prod: n8n: Child\n- Credentials only in prod: Cred: Prod DB\n'));
+    assert.ok(md.includes('- Dependencies only in staging: Supabase: orders_v1\n- Credentials only in staging: Cred: Staging DB\n'));
+});
+
+test('the CLI drift command compares labelled inputs', () => {
+    const drift = JSON.parse(execFileSync(process.execPath, [CLI, 'drift', PROD, STAGING, '--envs', 'prod,staging', '--json'], { cwd: __dirname, encoding: 'utf8' }));
+    assert.deepEqual(drift.missing.map(m => `${m.name}@${m.environment}`), ['Nightly Cleanup@staging', 'Staging Invoices@prod']);
+    assert.deepEqual(drift.changed.map(c => c.name), ['Billing Sync']);
+    assert.deepEqual(drift.changed[0].sources.right, ['Supabase: legacy_data']);
+});
+
+test('the CLI drift command needs two known environments', () => {
+    const single = spawnSync(process.execPath, [CLI, 'drift', PROD], { cwd: __dirname, encoding: 'utf8' });
+    assert.equal(single.status, 1);
+    assert.match(single.stderr, /O drift precisa de ao menos dois ambientes/);
+    const unknown = spawnSync(process.execPath, [CLI, 'drift', PROD, STAGING, '--envs', 'prod,qa'], { cwd: __dirname, encoding: 'utf8' });
+    assert.equal(unknown.status, 1);
+    assert.match(unknown.stderr, /Ambiente não encontrado: qa \(disponíveis: prod, staging\)/);
+});
+
+test('the CLI impact command names the environment of each workflow', () => {
+    const out = execFileSync(process.execPath, [CLI, 'impact', 'prod:supabase_invoices', PROD, STAGING], { cwd: __dirname, encoding: 'utf8' });
+    assert.match(out, /^invoices \(prod:supabase_invoices\): 3 workflow\(s\) afetado\(s\)\n/);
+    assert.match(out, /1 hop\(s\) {2}Billing Sync \(prod\)\n/);
+    assert.doesNotMatch(out, /\(staging\)/);
+});
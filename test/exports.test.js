@@ -0,0 +1,99 @@
+/**
+ * Graph exports: Mermaid, Graphviz DOT, GraphML, CSV and JSON, in the library and through the CLI
+ */
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const { execFileSync, spawnSync } = require('child_process');
+const StackGraph = require('../stack_graph.js');
+
+const CLI = path.join(__dirname, '..', 'stack_graph_cli.js');
+const STACK = path.join(__dirname, 'fixtures', 'stack.json');
+const cli = (...args) => execFileSync(process.execPath, [CLI, 'graph', STACK, ...args], { cwd: __dirname, encoding: 'utf8' });
+
+const graph = { nodes: [
+    { id: 'wf_a', label: 'Sync "v2"', type: 'workflow', group: 'workflow', active: true },
+    { id: 'supabase_orders', label: 'orders & co', type: 'supabase', group: 'supabase' },
+    { id: 'cred_x', label: 'Cred: X', type: 'credential supabase', group: 'supabase' },
+    { id: 'wf_b', label: 'Child', type: 'workflow', group: 'workflow', active: false }
+], links: [
+    { source: 'wf_a', target: 'supabase_orders', type: 'uses', access: ['read', 'write'] },
+    { source: 'supabase_orders', target: 'cred_x', type: 'auth', access: [] },
+    { source: 'wf_a', target: 'wf_b', type: 'calls_workflow', access: ['call'] }
+] };
+
+test('Mermaid shapes follow the node kind and arrows the edge type', () => {
+    assert.equal(StackGraph.toMermaid(graph), [
+        'flowchart LR',
+        '    n0["Sync #quot;v2#quot;"]:::workflow',
+        '    n1[("orders & co")]:::supabase',
+        '    n2{{"Cred: X"}}:::supabase',
+        '    n3["Child"]:::workflow',
+        '    n0 -->|read/write| n1',
+        '    n1 -.- n2',
+        '    n0 -.->|call| n3',
+        '    classDef workflow fill:#f85149,stroke:#30363d,color:#0d1117',
+        '    classDef supabase fill:#3ecf8e,stroke:#30363d,color:#0d1117',
+        ''
+    ].join('\n'));
+});
+
+test('DOT escapes quotes and dashes auth and sub-workflow edges', () => {
+    const dot = StackGraph.toDot(graph);
+    assert.ok(dot.startsWith('digraph n8n {\n    rankdir=LR;\n'));
+    assert.ok(dot.includes('    "wf_a" [label="Sync \\"v2\\"", shape=box, fillcolor="#f85149"];\n'));
+    assert.ok(dot.includes('    "cred_x" [label="Cred: X", shape=hexagon, fillcolor="#3ecf8e"];\n'));
+    assert.ok(dot.includes('    "wf_a" -> "supabase_orders" [label="read/write"];\n'));
+    assert.ok(dot.includes('    "supabase_orders" -> "cred_x" [style=dashed];\n'));
+    assert.ok(dot.includes('    "wf_a" -> "wf_b" [label="call", style=dashed];\n'));
+    assert.ok(dot.endsWith('}\n'));
+});
+
+test('GraphML escapes XML and skips empty attributes', () => {
+    const xml = StackGraph.toGraphML(graph);
+    assert.ok(xml.includes('<node id="wf_a"><data key="label">Sync &quot;v2&quot;</data><data key="type">workflow</data><data key="group">workflow</data><data key="color">#f85149</data><data key="active">true</data></node>'));
+    assert.ok(xml.includes('<data key="label">orders &amp; co</data>'));
+    assert.ok(xml.includes('<edge id="e1" source="supabase_orders" target="cred_x"><data key="etype">auth</data></edge>'));
+    assert.ok(xml.includes('<data key="active">false</data>'));
+});
+
+test('CSV quotes separators and joins lists with semicolons', () => {
+    assert.equal(StackGraph.toCsv([{ a: 'x,y', b: ['p', 'q'], c: 'say "hi"' }, { a: null, b: [], c: 1 }], ['a', 'b', 'c']),
+        'a,b,c\n"x,y","p;q","say ""hi"""\n,,1\n');
+});
+
+test('the export graph lists access modes, n8n nodes and origin of each edge', () => {
+    const { nodes, links } = StackGraph.buildGraph(require('./fixtures/stack.json'));
+    const exported = StackGraph.toExportGraph(nodes, links);
+    assert.equal(exported.nodes[0].group, 'workflow');
+    assert.deepEqual(exported.links.find(l => l.origin), {
+        source: 'wf_billing', target: 'http_api.stripe.com/v1/charges', type: 'uses', access: ['write'], nodeNames: ['Charge'], origin: 'code'
+    });
+    assert.deepEqual(exported.links.find(l => l.type === 'auth').access, []);
+});
+
+test('the CLI JSON export carries the schema and the data date', () => {
+    const out = JSON.parse(cli());
+    assert.equal(out.schema, StackGraph.GRAPH_EXPORT_SCHEMA);
+    assert.equal(out.scope, 'full');
+    assert.equal(out.data_generated_at, '2026-10-01T00:00:00Z');
+    assert.deepEqual(out.nodes.find(n => n.id === 'http_api.stripe.com/v1/charges'),
+        { id: 'http_api.stripe.com/v1/charges', label: 'api.stripe.com/v1/charges', type: 'http', group: 'http', parent: 'http_api.stripe.com', path: '/v1/charges' });
+    assert.deepEqual(out.edges.find(e => e.origin), {
+        source: 'wf_billing', target: 'http_api.stripe.com/v1/charges', type: 'uses', access: ['write'], nodes: ['Charge'], origin: 'code'
+    });
+});
+
+test('the CLI writes every text format', () => {
+    assert.ok(cli('--format', 'mermaid').startsWith('flowchart LR\n'));
+    assert.ok(cli('--format', 'dot').startsWith('digraph n8n {'));
+    assert.ok(cli('--format', 'graphml').startsWith('<?xml'));
+    assert.ok(cli('--format', 'csv-nodes', '--filter', 'calc_total').startsWith('id,label,type,group,active,tags,isOrphan\nrpc_calc_total,rpc: calc_total,rpc_function,other,,,\n'));
+    assert.ok(cli('--format', 'csv-edges', '--filter', 'id:wf_billing', '--hops', '1').includes('\nwf_billing,http_api.stripe.com/v1/charges,uses,write,code\n'));
+});
+
+test('the CLI rejects unknown formats', () => {
+    const result = spawnSync(process.execPath, [CLI, 'graph', STACK, '--format', 'svg'], { cwd: __dirname, encoding: 'utf8' });
+    assert.equal(result.status, 1);
+    assert.match(result.stderr, /Formato desconhecido: svg/);
+});
@@ -0,0 +1,109 @@
+/**
+ * SQL, Code node and expression extraction, alone and through the fixture workflows
+ */
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const StackGraph = require('../stack_graph.js');
+const stackData = require('./fixtures/stack.json');
+
+const graph = StackGraph.buildGraph(stackData);
+const node = (id) => graph.nodes.find(n => n.id === id);
+const access = (source, target) => graph.links.find(l => l.source === source && l.target === target)?.access;
+
+test('SQL references carry the access of each statement', () => {
+    const sql = `WITH recent AS (SELECT * FROM payments)
+        INSERT INTO billing.ledger SELECT * FROM recent JOIN customers USING (customer_id);
+        UPDATE invoices SET paid = true WHERE note = 'delete from fake';
+        DELETE FROM "sessions" WHERE id = {{ $json.id }};
+        TRUNCATE audit_log -- FROM commented`;
+
+    assert.deepEqual(StackGraph.extractSqlTables(sql), [
+        { table: 'payments', access: 'read' },
+        { table: 'billing.ledger', access: 'write' },
+        { table: 'customers', access: 'read' },
+        { table: 'invoices', access: 'write' },
+        { table: 'sessions', access: 'delete' },
+        { table: 'audit_log', access: 'delete' }
+    ]);
+});
+
+test('SQL tables listed in the Supabase metadata join the Supabase table nodes', () => {
+    assert.equal(access('wf_billing', 'postgres_payments'), 'read');
+    assert.equal(access('wf_billing', 'postgres_billing.ledger'), 'write');
+    assert.equal(access('wf_billing', 'supabase_customers'), 'read');
+    assert.ok(!node('postgres_customers'), 'customers is a Supabase table');
+    assert.ok(!graph.nodes.some(n => n.label === 'recent'), 'CTE names are not tables');
+});
+
+test('JavaScript code: Supabase client, fetch and $env', () => {
+    const found = StackGraph.analyzeCode(`
+        const { data } = await supabase.from('refunds').select('*');
+        // supabase.from('commented')
+        const text = "supabase.from('quoted')";
+        Array.from(data);
+        await supabase.rpc('recalculate');
+        await fetch('https://api.example.com/items', { method: 'DELETE' });
+        return [{ json: { key: $env.API_KEY } }];`, 'javaScript');
+
+    assert.deepEqual(found.tables, [{ table: 'refunds', access: 'read' }]);
+    assert.deepEqual(found.rpcs, ['recalculate']);
+    assert.deepEqual(found.urls, [{ url: 'https://api.example.com/items', access: 'delete' }]);
+    assert.deepEqual(found.env, ['API_KEY']);
+});
+
+test('Python code: Supabase client and os.environ', () => {
+    const found = StackGraph.analyzeCode(`rows = supabase.table('orders').select('*').execute()
+key = os.environ['PY_KEY']`, 'python');
+
+    assert.deepEqual(found.tables, [{ table: 'orders', access: 'read' }]);
+    assert.deepEqual(found.env, ['PY_KEY']);
+});
+
+test('code that cannot be tokenized throws', () => {
+    assert.throws(() => StackGraph.analyzeCode('const a = "unterminated', 'javaScript'), /linha 1/);
+});
+
+test('Code nodes of the fixture become sources', () => {
+    assert.equal(access('wf_billing', 'supabase_refunds'), 'read');
+    assert.equal(access('wf_billing', 'http_api.stripe.com/v1/charges'), 'write');
+    assert.equal(access('wf_billing', 'env_STRIPE_KEY'), 'read');
+    assert.ok(graph.links.some(l => l.source === 'http_api.stripe.com/v1/charges' && l.target === 'http_api.stripe.com' && l.type === 'part_of'));
+});
+
+test('expressions resolve through Set nodes of the workflow', () => {
+    // "Read customers" reads ={{ $json.table }}, set to "customers" by the "Config" node
+    assert.equal(access('wf_billing', 'supabase_customers'), 'read');
+    assert.ok(!graph.nodes.some(n => n.dynamic && n.id.startsWith('dynamic_wf_billing')));
+});
+
+test('unresolved expressions become dynamic references of their workflow', () => {
+    const dynamic = node('dynamic_wf_notify_supabase_{{ $json.templateTable }}');
+    assert.ok(dynamic, 'dynamic node');
+    assert.equal(dynamic.label, '{{ $json.templateTable }}');
+    assert.equal(dynamic.expression, '={{ $json.templateTable }}');
+    assert.equal(dynamic.dynamic, true);
+});
+
+test('sub-workflow calls and RPC calls link the workflows', () => {
+    assert.ok(graph.links.some(l => l.source === 'wf_billing' && l.target === 'wf_notify' && l.type === 'calls_workflow'));
+    assert.ok(graph.links.some(l => l.source === 'wf_notify' && l.target === 'rpc_calc_total' && l.type === 'calls'));
+    assert.ok(graph.links.some(l => l.source === 'rpc_calc_total' && l.target === 'supabase_invoices' && l.type === 'reads'));
+});
+
+test('tables and functions only known from the metadata are orphans', () => {
+    assert.equal(node('supabase_legacy_data').isOrphan, true);
+    assert.equal(node('rpc_old_report').isOrphan, true);
+    assert.ok(!node('supabase_invoices').isOrphan);
+    assert.ok(!node('rpc_calc_total').isOrphan);
+});
+
+test('resource locators without value nor cached name are unresolved', () => {
+    assert.equal(StackGraph.getVal({ __rl: true, mode: 'list' }), '');
+    assert.equal(StackGraph.getVal({ mode: 'list', foo: 1 }), '');
+    assert.equal(StackGraph.getVal({ __rl: true, value: 'db1', cachedResultName: 'Tasks' }), 'Tasks');
+
+    const notion = StackGraph.buildGraph({ workflows: [{ id: 'wf', name: 'Notion', nodes: [
+        { name: 'Query', type: 'n8n-nodes-base.notion', parameters: { databaseId: { mode: 'list', foo: 1 } } }
+    ] }] });
+    assert.ok(!notion.nodes.some(n => n.id.includes('{')), 'no serialized locator in node IDs');
+});
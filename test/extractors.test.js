@@ -0,0 +1,94 @@
+/**
+ * Extractor registry: built-in and registered extractors turning n8n nodes into sources
+ */
+const { test, after } = require('node:test');
+const assert = require('node:assert/strict');
+const StackGraph = require('../stack_graph.js');
+
+// Extractors registered by these tests, removed from the shared registry afterwards
+const TEST_EXTRACTORS = ['crm_test', 'sheets_test', 'regex_test'];
+
+after(() => {
+    TEST_EXTRACTORS.forEach(id => {
+        const i = StackGraph.extractorRegistry.findIndex(e => e.id === id);
+        if (i >= 0) StackGraph.extractorRegistry.splice(i, 1);
+    });
+});
+
+const workflow = (nodes) => ({ workflows: [{ id: 'wf', name: 'Test', active: true, nodes }] });
+
+const linksOf = (graph, type) => graph.links.filter(l => l.type === type).map(l => `${l.source} -> ${l.target}`);
+
+test('the Supabase extractor links each table to the workflow and to its credential', () => {
+    const graph = StackGraph.buildGraph(workflow([
+        { name: 'Insert', type: 'n8n-nodes-base.supabase', parameters: { operation: 'create', tableId: 'invoices' }, credentials: { supabaseApi: { id: 'c1', name: 'Prod Supabase' } } }
+    ]));
+
+    const table = graph.nodes.find(n => n.id === 'supabase_invoices');
+    assert.equal(table.type, 'supabase');
+    assert.equal(graph.links.find(l => l.target === 'supabase_invoices').access, 'write');
+    assert.deepEqual(linksOf(graph, 'auth'), ['supabase_invoices -> cred_supabase_Prod Supabase']);
+    assert.deepEqual(graph.nodes.find(n => n.id === 'cred_supabase_Prod Supabase').consumers,
+        [{ workflow: 'wf', node: 'Insert', disabled: false }]);
+});
+
+test('registered extractors create sources in their own group', () => {
+    StackGraph.registerExtractor({
+        id: 'crm_test', group: 'crm_test', label: 'CRM',
+        nodeTypes: ['crmtest'],
+        resourceParams: ['table.value', 'table'],
+        credentialTypes: ['crmTestApi']
+    });
+    const graph = StackGraph.buildGraph(workflow([
+        { name: 'Leads', type: 'n8n-nodes-base.crmTest', parameters: { operation: 'search', table: { __rl: true, value: 'Leads' } }, credentials: { crmTestApi: { id: 'a1', name: 'CRM' } } }
+    ]));
+
+    const source = graph.nodes.find(n => n.id === 'crm_test_Leads');
+    assert.ok(source, 'crm_test_Leads node');
+    assert.equal(source.group, 'crm_test');
+    assert.equal(StackGraph.getGroup(source), 'crm_test');
+    assert.equal(StackGraph.groupLabels.crm_test, 'CRM');
+    assert.equal(graph.links.find(l => l.target === 'crm_test_Leads').access, 'read');
+    assert.deepEqual(linksOf(graph, 'auth'), ['crm_test_Leads -> cred_crm_test_CRM']);
+});
+
+test('an extractor with the id of another one replaces it', () => {
+    StackGraph.registerExtractor({ id: 'sheets_test', group: 'sheets_test', nodeTypes: ['googlesheets'], resourceParams: ['sheetName'] });
+    StackGraph.registerExtractor({ id: 'sheets_test', group: 'sheets_test', nodeTypes: ['googlesheets'], defaultResource: 'Any sheet' });
+
+    assert.equal(StackGraph.extractorRegistry.filter(e => e.id === 'sheets_test').length, 1);
+    const graph = StackGraph.buildGraph(workflow([
+        { name: 'Sheet', type: 'n8n-nodes-base.googleSheetsTest', parameters: { sheetName: 'Orders' } }
+    ]));
+    assert.ok(graph.nodes.some(n => n.id === 'sheets_test_Any sheet'));
+    assert.ok(!graph.nodes.some(n => n.id === 'sheets_test_Orders'));
+});
+
+test('definitions without id or group are ignored', (t) => {
+    const warn = t.mock.method(console, 'warn', () => {});
+    const count = StackGraph.extractorRegistry.length;
+
+    StackGraph.registerExtractor({ id: 'no_group', nodeTypes: ['x'] });
+    StackGraph.registerExtractor({ group: 'no_id', nodeTypes: ['x'] });
+
+    assert.equal(StackGraph.extractorRegistry.length, count);
+    assert.equal(warn.mock.callCount(), 2);
+});
+
+test('an invalid node type regex is skipped without breaking the graph', (t) => {
+    const warn = t.mock.method(console, 'warn', () => {});
+    StackGraph.registerExtractor({ id: 'regex_test', group: 'regex_test', nodeTypes: ['/[unclosed/', '/^acme\\.ledger$/'], defaultResource: 'Ledger' });
+
+    assert.match(warn.mock.calls[0].arguments[0], /regex inválida \/\[unclosed\//);
+    const graph = StackGraph.buildGraph(workflow([{ name: 'Ledger', type: 'acme.ledger', parameters: {} }]));
+    assert.ok(graph.nodes.some(n => n.id === 'regex_test_Ledger'));
+});
+
+test('operations and HTTP methods map to access modes', () => {
+    assert.equal(StackGraph.classifyOperation('getAll'), 'read');
+    assert.equal(StackGraph.classifyOperation('create'), 'write');
+    assert.equal(StackGraph.classifyOperation('delete'), 'delete');
+    assert.equal(StackGraph.classifyHttpMethod('GET'), 'read');
+    assert.equal(StackGraph.classifyHttpMethod('PATCH'), 'write');
+    assert.equal(StackGraph.classifyHttpMethod('DELETE'), 'delete');
+});
@@ -0,0 +1,67 @@
+/**
+ * HTTP Request targets grouped by host, with host mappings from visualizer_config.json
+ */
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const { execFileSync } = require('child_process');
+const StackGraph = require('../stack_graph.js');
+const config = require('./fixtures/visualizer_config.json');
+
+const CLI = path.join(__dirname, '..', 'stack_graph_cli.js');
+const FIXTURES = path.join(__dirname, 'fixtures');
+
+Object.entries(config.hosts).forEach(([pattern, mapping]) => StackGraph.registerHost(pattern, mapping));
+
+const call = (name, url, method) => ({ name, type: 'n8n-nodes-base.httpRequest', parameters: { url, method } });
+const graph = StackGraph.buildGraph({ workflows: [{ id: 'wf', name: 'Calls', nodes: [
+    call('Customer', 'https://api.stripe.com/v1/customers/cus_N4x8a9s7d6'),
+    call('Create contact', 'https://api.hubapi.com/crm/v3/objects', 'POST'),
+    call('EU contacts', 'https://eu1.api.hubapi.com/crm/v3'),
+    call('Item', 'https://example.org/items/123'),
+    call('Home', 'https://example.org')
+] }] });
+const node = (id) => graph.nodes.find(n => n.id === id);
+
+test('unmapped hosts become service nodes with their path prefix as child', () => {
+    assert.deepEqual(node('http_example.org').hosts, ['example.org']);
+    assert.equal(node('http_example.org/items').parent, 'http_example.org');
+    assert.ok(graph.links.some(l => l.source === 'http_example.org/items' && l.target === 'http_example.org' && l.type === 'part_of'));
+    // The root path is used directly on the host
+    assert.ok(graph.links.some(l => l.source === 'wf' && l.target === 'http_example.org' && l.type === 'uses'));
+});
+
+test('path prefixes stop at IDs', () => {
+    assert.ok(node('http_Stripe/v1/customers'));
+    assert.ok(!graph.nodes.some(n => n.id.includes('cus_')));
+});
+
+test('mapped hosts take the service name and, optionally, its own group', () => {
+    const stripe = node('http_Stripe');
+    assert.equal(stripe.label, 'Stripe');
+    assert.equal(stripe.group, 'payments');
+    assert.equal(StackGraph.groupLabels.payments, 'Pagamentos');
+    assert.equal(StackGraph.colorMap.payments, '#635bff');
+});
+
+test('wildcard patterns merge every subdomain into one service', () => {
+    const hubspot = node('http_HubSpot');
+    assert.equal(hubspot.group, 'http');
+    assert.deepEqual(hubspot.hosts, ['api.hubapi.com', 'eu1.api.hubapi.com']);
+    const access = graph.links.filter(l => l.target === 'http_HubSpot/crm/v3').map(l => l.access).sort();
+    assert.deepEqual(access, ['read', 'write']);
+});
+
+test('mappings without label are ignored', (t) => {
+    const warn = t.mock.method(console, 'warn', () => {});
+    StackGraph.registerHost('api.example.com', {});
+    assert.equal(warn.mock.callCount(), 1);
+});
+
+test('the CLI applies the host mappings of --config', () => {
+    const out = execFileSync(process.execPath, [CLI, 'graph', path.join(FIXTURES, 'stack.json'), '--format', 'json',
+        '--config', path.join(FIXTURES, 'visualizer_config.json')], { cwd: __dirname, encoding: 'utf8' });
+    const stripe = JSON.parse(out).nodes.find(n => n.id === 'http_Stripe');
+    assert.equal(stripe.group, 'payments');
+    assert.deepEqual(stripe.hosts, ['api.stripe.com']);
+});
@@ -0,0 +1,75 @@
+/**
+ * Stack hygiene: cleanup candidates, their CSV rows and the CLI hygiene command
+ */
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const { execFileSync } = require('child_process');
+const StackGraph = require('../stack_graph.js');
+
+const CLI = path.join(__dirname, '..', 'stack_graph_cli.js');
+const FIXTURES = path.join(__dirname, 'fixtures');
+
+const graph = StackGraph.buildGraph({ workflows: [
+    { id: 'wf_active', name: 'Active', active: true, updatedAt: '2026-09-01T00:00:00Z', nodes: [
+        { name: 'Cron', type: 'n8n-nodes-base.scheduleTrigger', parameters: {} },
+        { name: 'Run child', type: 'n8n-nodes-base.executeWorkflow', parameters: { workflowId: 'wf_child' } },
+        { name: 'Old alert', type: 'n8n-nodes-base.slack', disabled: true, parameters: { channel: 'alerts' }, credentials: { slackApi: { id: 's1', name: 'Old Slack' } } }
+    ] },
+    { id: 'wf_child', name: 'Child', active: false, updatedAt: '2026-08-01T00:00:00Z', nodes: [
+        { name: 'Start', type: 'n8n-nodes-base.executeWorkflowTrigger', parameters: {} }
+    ] },
+    { id: 'wf_old', name: 'Old Export', active: false, updatedAt: '2025-01-01T00:00:00Z', nodes: [
+        { name: 'Archive', type: 'n8n-nodes-base.supabase', parameters: { operation: 'create', tableId: 'archive' } }
+    ] }
+], supabase: { tables: [{ name: 'archive' }, { name: 'legacy' }], functions: [{ name: 'old_fn', tables_used: ['legacy'] }] } });
+const index = StackGraph.buildGraphIndex(graph.nodes, graph.links);
+const hygiene = StackGraph.computeHygiene(index);
+const ids = (category) => hygiene[category].map(item => item.id);
+
+test('orphan tables and functions are unused', () => {
+    assert.deepEqual(ids('unusedTables'), ['supabase_legacy']);
+    assert.deepEqual(hygiene.unusedFunctions, [{ id: 'rpc_old_fn', label: 'rpc: old_fn', updatedAt: null, tables: ['supabase_legacy'] }]);
+});
+
+test('inactive workflows called by an active one are not dead', () => {
+    assert.deepEqual(ids('inactiveWorkflows'), ['wf_old']);
+});
+
+test('workflows without trigger nor caller', () => {
+    assert.deepEqual(hygiene.noTriggerWorkflows.map(item => [item.id, item.manualOnly]), [['wf_old', false]]);
+});
+
+test('sources reached only by inactive workflows list those workflows', () => {
+    assert.deepEqual(hygiene.inactiveOnlySources, [
+        { id: 'supabase_archive', label: 'archive', updatedAt: '2025-01-01T00:00:00Z', workflows: ['wf_old'] }
+    ]);
+});
+
+test('credentials used only by a disabled node', () => {
+    assert.deepEqual(hygiene.disabledCredentials.map(item => [item.id, item.workflows, item.node]),
+        [['cred_slack_Old Slack', ['wf_active'], 'Old alert']]);
+});
+
+test('CSV rows name the workflows by label', () => {
+    const rows = StackGraph.hygieneRows(hygiene, index);
+    assert.deepEqual(rows.find(r => r.category === 'disabledCredentials'), {
+        category: 'disabledCredentials', id: 'cred_slack_Old Slack', label: 'Cred: Old Slack',
+        updated_at: '2026-09-01T00:00:00Z', workflows: 'Active', node: 'Old alert'
+    });
+});
+
+test('the Markdown report counts every category', () => {
+    const md = StackGraph.buildHygieneReport(hygiene, index);
+    Object.entries(StackGraph.HYGIENE_CATEGORIES).forEach(([category, title]) => {
+        assert.ok(md.includes(`- ${title}: ${hygiene[category].length}`), title);
+    });
+});
+
+test('the CLI hygiene command prints the same rows as CSV', () => {
+    const out = execFileSync(process.execPath, [CLI, 'hygiene', path.join(FIXTURES, 'stack.json'), '--format', 'csv'], { cwd: __dirname, encoding: 'utf8' });
+    const lines = out.trim().split('\n');
+    assert.equal(lines[0], 'category,id,label,updated_at,workflows,node');
+    assert.ok(lines.includes('unusedTables,supabase_legacy_data,legacy_data,,,'));
+    assert.ok(lines.includes('inactiveWorkflows,wf_staging,Staging Invoices,2026-08-01T08:00:00Z,,'));
+});
@@ -0,0 +1,63 @@
+/**
+ * Blast radius of tables, RPC functions and credentials on the fixture workflows
+ */
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const StackGraph = require('../stack_graph.js');
+const stackData = require('./fixtures/stack.json');
+
+const graph = StackGraph.buildGraph(stackData);
+const index = StackGraph.buildGraphIndex(graph.nodes, graph.links);
+
+const impact = (id, depth) => Object.fromEntries(StackGraph.computeBlastRadius(index, id, depth).affected.map(a => [a.id, a.hops]));
+
+test('a table affects its workflows and, through RPC functions, their callers', () => {
+    assert.deepEqual(impact('supabase_invoices'), {
+        wf_billing: 1,
+        wf_staging: 1,
+        rpc_calc_total: 1,
+        wf_notify: 2
+    });
+    const notify = StackGraph.computeBlastRadius(index, 'supabase_invoices').affected.find(a => a.id === 'wf_notify');
+    assert.deepEqual(notify.path, ['wf_notify', 'rpc_calc_total', 'supabase_invoices']);
+});
+
+test('the depth limits the hops', () => {
+    assert.deepEqual(Object.keys(impact('supabase_invoices', 1)).sort(), ['rpc_calc_total', 'wf_billing', 'wf_staging']);
+});
+
+test('parent workflows are affected through sub-workflow calls', () => {
+    assert.deepEqual(impact('rpc_calc_total'), { wf_notify: 1, wf_billing: 2 });
+});
+
+test('a credential only affects the workflows that use it', () => {
+    const prod = impact('cred_supabase_Prod Supabase');
+    assert.ok(prod.wf_billing && prod.wf_notify);
+    assert.ok(!('wf_staging' in prod), 'invoices is shared with Staging Supabase');
+    assert.ok(!('rpc_calc_total' in prod), 'RPC functions read tables server-side');
+
+    assert.deepEqual(impact('cred_supabase_Staging Supabase'), { supabase_invoices: 1, wf_staging: 2 });
+});
+
+test('the traversed edges are returned for highlighting', () => {
+    const { edges } = StackGraph.computeBlastRadius(index, 'rpc_calc_total');
+    assert.deepEqual(edges.map(l => `${l.source}->${l.target}`), ['wf_notify->rpc_calc_total', 'wf_billing->wf_notify']);
+});
+
+test('a credential on an HTTP host reaches its workflows through the path nodes', () => {
+    const call = (name, path, key) => ({
+        name, type: 'n8n-nodes-base.httpRequest',
+        parameters: { url: `https://api.stripe.com${path}`, authentication: 'genericCredentialType', genericAuthType: 'httpHeaderAuth' },
+        credentials: { httpHeaderAuth: { id: key, name: key } }
+    });
+    const http = StackGraph.buildGraph({ workflows: [
+        { id: 'wf_charges', name: 'Charges', nodes: [call('Charge', '/v1/charges', 'KeyA')] },
+        { id: 'wf_refunds', name: 'Refunds', nodes: [call('Refund', '/v1/refunds', 'KeyB')] }
+    ] });
+    const httpIndex = StackGraph.buildGraphIndex(http.nodes, http.links);
+    const affected = StackGraph.computeBlastRadius(httpIndex, 'cred_http_KeyA').affected;
+
+    assert.deepEqual(affected.filter(a => a.id.startsWith('wf_')).map(a => [a.id, a.hops]), [['wf_charges', 3]]);
+    assert.deepEqual(affected.find(a => a.id === 'wf_charges').path,
+        ['wf_charges', 'http_api.stripe.com/v1/charges', 'http_api.stripe.com', 'cred_http_KeyA']);
+});
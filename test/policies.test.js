@@ -0,0 +1,75 @@
+/**
+ * Policy rules: validation, evaluation and the exit code of the CLI check command
+ */
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const { spawnSync } = require('child_process');
+const StackGraph = require('../stack_graph.js');
+const stackData = require('./fixtures/stack.json');
+const rulesDoc = require('./fixtures/rules.json');
+
+const CLI = path.join(__dirname, '..', 'stack_graph_cli.js');
+const FIXTURES = path.join(__dirname, 'fixtures');
+
+const graph = StackGraph.buildGraph(stackData);
+const index = StackGraph.buildGraphIndex(graph.nodes, graph.links);
+const violations = StackGraph.evaluatePolicies(StackGraph.parsePolicyRules(rulesDoc), index);
+const byRule = (id) => violations.filter(v => v.rule === id);
+
+const check = (...args) => spawnSync(process.execPath, [CLI, 'check', path.join(FIXTURES, 'stack.json'), ...args], { cwd: __dirname, encoding: 'utf8' });
+
+test('forbidden edges are reported on the workflow, with the n8n node', () => {
+    assert.deepEqual(byRule('ledger-read-only'), [{
+        rule: 'ledger-read-only',
+        description: 'Only the finance pipeline writes to the ledger',
+        severity: 'error',
+        node: 'wf_billing',
+        edge: { source: 'wf_billing', target: 'postgres_billing.ledger', type: 'uses', access: 'write', nodeName: 'Totals' }
+    }]);
+    assert.equal(StackGraph.describeViolation(byRule('ledger-read-only')[0], index), 'Billing Sync → billing.ledger (write, node "Totals")');
+});
+
+test('node rules flag the matches that miss the requirement', () => {
+    assert.deepEqual(byRule('active-need-schedule').map(v => [v.node, v.severity]), [['wf_notify', 'warning']]);
+});
+
+test('edges are matched by the credential of their n8n node', () => {
+    assert.deepEqual(byRule('no-staging-credentials').map(v => `${v.edge.source}->${v.edge.target}`), ['wf_staging->supabase_invoices']);
+});
+
+test('invalid rules are rejected with the rule named', () => {
+    const invalid = (rules) => () => StackGraph.parsePolicyRules({ rules });
+    assert.throws(invalid([{ match: 'is:workflow', forbid: true }]), /Regra #1: informe "id"/);
+    assert.throws(invalid([{ id: 'a', match: 'x', forbid: true }, { id: 'a', match: 'y', forbid: true }]), /Regra "a": id repetido/);
+    assert.throws(invalid([{ id: 'a', severity: 'info', match: 'x', forbid: true }]), /severity deve ser error ou warning/);
+    assert.throws(invalid([{ id: 'a', match: 'x' }]), /use "forbid: true" ou "require"/);
+    assert.throws(invalid([{ id: 'a', match: { nodes: 'x', from: 'y' }, forbid: true }]), /"nodes" não se combina/);
+    assert.throws(invalid([{ id: 'a', match: 'name:/[/', forbid: true }]), /consulta inválida/);
+    assert.throws(() => StackGraph.parsePolicyRules({}), /sem a lista "rules"/);
+});
+
+test('check exits with 1 on errors and lists every violation', () => {
+    const result = check('--rules', path.join(FIXTURES, 'rules.json'));
+    assert.equal(result.status, 1);
+    assert.match(result.stdout, /^3 regra\(s\), 3 violação\(ões\)\n/);
+    assert.match(result.stdout, /\[error\] ledger-read-only: Billing Sync → billing\.ledger/);
+});
+
+test('warnings only fail the check with --strict', () => {
+    const rules = path.join(FIXTURES, 'rules_warnings.json');
+    assert.equal(check('--rules', rules).status, 0);
+    assert.equal(check('--rules', rules, '--strict').status, 1);
+});
+
+test('check --json returns the violations', () => {
+    const out = JSON.parse(check('--rules', path.join(FIXTURES, 'rules.json'), '--json').stdout);
+    assert.equal(out.rules, 3);
+    assert.deepEqual(out.violations, violations);
+});
+
+test('check fails when the rules file is missing', () => {
+    const result = check('--rules', path.join(FIXTURES, 'missing.json'));
+    assert.equal(result.status, 1);
+    assert.match(result.stderr, /Arquivo de regras não encontrado/);
+});
@@ -0,0 +1,69 @@
+/**
+ * Query language of the filter box and the CLI --filter option
+ */
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const { execFileSync, spawnSync } = require('child_process');
+const StackGraph = require('../stack_graph.js');
+
+const CLI = path.join(__dirname, '..', 'stack_graph_cli.js');
+const STACK = path.join(__dirname, 'fixtures', 'stack.json');
+
+const graph = StackGraph.buildGraph(require('./fixtures/stack.json'));
+const index = StackGraph.buildGraphIndex(graph.nodes, graph.links);
+const query = (text) => [...StackGraph.evaluateQuery(StackGraph.parseQuery(text), index)];
+
+test('terms are split on spaces, with quotes and negation', () => {
+    assert.deepEqual(StackGraph.parseQuery('-tag:a name:"Billing Sync" !b').map(t => [t.field, t.negate, t.raw]),
+        [['tag', true, 'a'], ['name', false, 'Billing Sync'], ['name', true, 'b']]);
+    assert.deepEqual(StackGraph.parseQuery('foo:bar').map(t => [t.field, t.raw]), [['name', 'foo:bar']]);
+});
+
+test('free text matches label substrings, regexes match labels', () => {
+    assert.deepEqual(query('Stripe'), ['http_api.stripe.com', 'http_api.stripe.com/v1/charges', 'env_STRIPE_KEY']);
+    assert.deepEqual(query('/_(total|report)$/'), ['rpc_calc_total', 'rpc_old_report']);
+});
+
+test('exact fields take comma-separated alternatives', () => {
+    assert.deepEqual(query('type:postgres,rpc_function'), ['postgres_payments', 'postgres_billing.ledger', 'rpc_calc_total', 'rpc_old_report']);
+    assert.deepEqual(query('group:http'), ['http_api.stripe.com', 'http_api.stripe.com/v1/charges']);
+    assert.deepEqual(query('trigger:schedule'), ['wf_billing']);
+});
+
+test('terms are combined with AND', () => {
+    assert.deepEqual(query('is:workflow active:false'), ['wf_staging']);
+    assert.deepEqual(query('-is:workflow type:postgres'), ['postgres_payments', 'postgres_billing.ledger']);
+});
+
+test('cred: selects the credential, its sources and the workflows using it', () => {
+    assert.deepEqual(query('cred:"Staging Supabase"'), ['supabase_invoices', 'wf_staging', 'cred_supabase_Staging Supabase']);
+});
+
+test('uses: and is: follow edges and node flags', () => {
+    assert.deepEqual(query('uses:calc_total'), ['wf_notify']);
+    assert.deepEqual(query('is:orphan'), ['supabase_legacy_data', 'rpc_old_report']);
+    assert.deepEqual(query('is:dynamic'), ['dynamic_wf_notify_supabase_{{ $json.templateTable }}']);
+});
+
+test('neighbors are added hop by hop in both directions', () => {
+    assert.deepEqual([...StackGraph.expandNeighbors(new Set(['rpc_calc_total']), graph.links, 1)], ['rpc_calc_total', 'wf_notify', 'supabase_invoices']);
+});
+
+test('invalid regexes throw', () => {
+    assert.throws(() => StackGraph.parseQuery('name:/[/'), /regex inválida \/\[\//);
+});
+
+test('the CLI --filter and --hops options narrow the exported graph', () => {
+    const out = JSON.parse(execFileSync(process.execPath, [CLI, 'graph', STACK, '--filter', 'calc_total', '--hops', '1'], { cwd: __dirname, encoding: 'utf8' }));
+    assert.equal(out.scope, 'view');
+    assert.equal(out.filter, 'calc_total');
+    assert.deepEqual(out.nodes.map(n => n.id), ['supabase_invoices', 'wf_notify', 'rpc_calc_total']);
+    assert.deepEqual(out.edges.map(e => `${e.source}->${e.target}`), ['wf_notify->rpc_calc_total', 'rpc_calc_total->supabase_invoices']);
+});
+
+test('the CLI reports invalid filters', () => {
+    const result = spawnSync(process.execPath, [CLI, 'graph', STACK, '--filter', '/[/'], { cwd: __dirname, encoding: 'utf8' });
+    assert.equal(result.status, 1);
+    assert.match(result.stderr, /regex inválida/);
+});
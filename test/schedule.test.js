@@ -0,0 +1,114 @@
+/**
+ * Schedule calendar: cron parsing, firing times, collisions and the CLI schedule command
+ */
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const { execFileSync, spawnSync } = require('child_process');
+const StackGraph = require('../stack_graph.js');
+
+const CLI = path.join(__dirname, '..', 'stack_graph_cli.js');
+const STACK = path.join(__dirname, 'fixtures', 'stack.json');
+
+const cron = (name, expression) => ({ name, type: 'n8n-nodes-base.scheduleTrigger', parameters: { rule: { interval: [{ field: 'cronExpression', expression }] } } });
+const graph = StackGraph.buildGraph({ workflows: [
+    { id: 'wf_hourly', name: 'Hourly Sync', active: true, nodes: [
+        { name: 'Every hour', type: 'n8n-nodes-base.scheduleTrigger', parameters: { rule: { interval: [{ field: 'hours' }] } } },
+        { name: 'Save', type: 'n8n-nodes-base.supabase', parameters: { operation: 'create', tableId: 'orders' } }
+    ] },
+    { id: 'wf_half', name: 'Half Hour Report', active: true, nodes: [
+        cron('Cron', '*/30 * * * *'),
+        { name: 'Load', type: 'n8n-nodes-base.supabase', parameters: { operation: 'getAll', tableId: 'orders' } }
+    ] },
+    { id: 'wf_morning', name: 'Morning Digest', active: true, settings: { timezone: 'America/Sao_Paulo' }, nodes: [
+        cron('Weekdays', '0 9 * * MON-FRI'),
+        { name: 'Load', type: 'n8n-nodes-base.supabase', parameters: { operation: 'getAll', tableId: 'digest' } }
+    ] },
+    { id: 'wf_paused', name: 'Paused', active: false, nodes: [cron('Cron', '* * * * *')] },
+    { id: 'wf_broken', name: 'Broken', active: true, nodes: [cron('Cron', '61 * * * *')] },
+    { id: 'wf_fast', name: 'Fast Poll', active: true, nodes: [
+        { name: 'Tick', type: 'n8n-nodes-base.scheduleTrigger', parameters: { rule: { interval: [{ field: 'seconds', secondsInterval: 10 }] } } }
+    ] }
+] });
+const index = StackGraph.buildGraphIndex(graph.nodes, graph.links);
+// 2026-10-19 is a Monday
+const schedule = StackGraph.computeSchedule(graph.workflows, index, { start: '2026-10-19T00:00:00Z', days: 1 });
+const scheduled = (id) => schedule.workflows.find(w => w.id === id);
+
+test('cron expressions parse into value sets', () => {
+    const parsed = StackGraph.parseCron('*/15 9-17 * * MON-FRI');
+    assert.deepEqual([...parsed.minute], [0, 15, 30, 45]);
+    assert.deepEqual([...parsed.hour], [9, 10, 11, 12, 13, 14, 15, 16, 17]);
+    assert.deepEqual([...parsed.dow], [1, 2, 3, 4, 5]);
+    assert.equal(parsed.anyDom, true);
+    assert.equal(parsed.anyDow, false);
+});
+
+test('macros, a leading seconds field and Sunday as 7 are accepted', () => {
+    assert.deepEqual([...StackGraph.parseCron('@daily').hour], [0]);
+    assert.deepEqual([...StackGraph.parseCron('30 0 12 * * *').minute], [0]);
+    assert.deepEqual([...StackGraph.parseCron('0 0 * * 7').dow], [0]);
+});
+
+test('invalid cron expressions return null', () => {
+    ['61 * * * *', '* * *', '0 0 31-1 * *', '*/0 * * * *', 'a b c d e'].forEach(expression =>
+        assert.equal(StackGraph.parseCron(expression), null, expression));
+});
+
+test('only active time-triggered workflows are scheduled', () => {
+    assert.deepEqual(schedule.workflows.map(w => w.id), ['wf_broken', 'wf_fast', 'wf_half', 'wf_hourly', 'wf_morning']);
+});
+
+test('firings are minutes since the start of the window', () => {
+    assert.equal(scheduled('wf_hourly').firings.length, 24);
+    assert.deepEqual(scheduled('wf_half').firings.slice(0, 3), [0, 30, 60]);
+    assert.deepEqual(scheduled('wf_hourly').resources, ['supabase_orders']);
+});
+
+test('crons run in the time zone of the workflow settings', () => {
+    assert.equal(scheduled('wf_morning').timeZone, 'America/Sao_Paulo');
+    assert.deepEqual(scheduled('wf_morning').firings, [12 * 60]);
+});
+
+test('sub-minute intervals fire continuously and invalid crons never fire', () => {
+    assert.equal(scheduled('wf_fast').subMinute, true);
+    assert.equal(scheduled('wf_fast').firings.length, 1440);
+    assert.deepEqual(scheduled('wf_broken').invalid, ['61 * * * *']);
+    assert.deepEqual(scheduled('wf_broken').firings, []);
+});
+
+test('workflows sharing a resource in the same slot collide', () => {
+    assert.equal(schedule.collisions.length, 1);
+    const [collision] = schedule.collisions;
+    assert.equal(collision.resource, 'supabase_orders');
+    assert.deepEqual(collision.workflows, ['wf_half', 'wf_hourly']);
+    assert.deepEqual(collision.slots, Array.from({ length: 24 }, (_, h) => h * 60));
+});
+
+test('an invalid time zone is rejected', () => {
+    assert.throws(() => StackGraph.computeSchedule(graph.workflows, index, { timeZone: 'Mars/Base' }), /Fuso horário inválido: Mars\/Base/);
+});
+
+test('the report lists the workflows and the collisions', () => {
+    const md = StackGraph.buildScheduleReport(schedule, index);
+    assert.ok(md.startsWith('# Schedule Collisions\n\nWindow: 1 day(s) from Mon 19/10, 00:00 (UTC), 5-minute slots.'));
+    assert.ok(md.includes('| Broken | Cron: `61 * * * *` (invalid: 61 * * * *) | 0 | UTC |'));
+    assert.ok(md.includes('| Fast Poll | Tick: every 10s | continuous | UTC |'));
+    assert.ok(md.includes('| Morning Digest | Weekdays: `0 9 * * MON-FRI` | 1 | America/Sao_Paulo |'));
+    assert.ok(md.includes('- **orders**: Half Hour Report, Hourly Sync — 24 slot(s): Mon 19/10, 00:00;'));
+});
+
+test('the CLI schedule command prints the schedule as JSON', () => {
+    const out = JSON.parse(execFileSync(process.execPath, [CLI, 'schedule', STACK, '--days', '1', '--json'], { cwd: __dirname, encoding: 'utf8' }));
+    assert.equal(out.days, 1);
+    assert.deepEqual(out.workflows.map(w => [w.id, w.firings.length]), [['wf_billing', 24]]);
+});
+
+test('the CLI schedule command rejects invalid options', () => {
+    const days = spawnSync(process.execPath, [CLI, 'schedule', STACK, '--days', '0'], { cwd: __dirname, encoding: 'utf8' });
+    assert.equal(days.status, 1);
+    assert.match(days.stderr, /--days e --window devem ser números positivos/);
+    const zone = spawnSync(process.execPath, [CLI, 'schedule', STACK, '--timezone', 'Mars/Base'], { cwd: __dirname, encoding: 'utf8' });
+    assert.equal(zone.status, 1);
+    assert.match(zone.stderr, /Fuso horário inválido/);
+});